@@ -14,6 +14,8 @@ import DocumentContext from './DocumentContext';
  * @param {function} onDeleteConversation - Fungsi untuk menghapus percakapan
  * @param {boolean} isLoading - Menunjukkan apakah sedang loading
  * @param {function} onDocumentDeleted - Callback setelah dokumen dihapus
+ * @param {function} onSelectDocumentVersion - Kunci versi dokumen untuk percakapan (null = ikuti versi terbaru)
+ * @param {Array<string>} partialDocumentIds - ID dokumen yang unggahannya belum selesai (terindeks sebagian)
  */
 const ChatHistory = ({ 
   conversations, 
@@ -21,7 +23,9 @@ const ChatHistory = ({
   onSelectConversation, 
   onDeleteConversation,
   isLoading,
-  onDocumentDeleted
+  onDocumentDeleted,
+  onSelectDocumentVersion,
+  partialDocumentIds = []
 }) => {
   const [showDocumentContext, setShowDocumentContext] = useState(false);
   const [selectedConversation, setSelectedConversation] = useState(null);
@@ -65,6 +69,16 @@ const ChatHistory = ({
     }
   };
 
+  // Kunci versi dokumen, lalu perbarui salinan percakapan yang sedang ditampilkan
+  const handleSelectVersion = async (versionGroupId, documentId) => {
+    if (!onSelectDocumentVersion) return;
+    
+    const documentVersions = await onSelectDocumentVersion(selectedConversation.id, versionGroupId, documentId);
+    if (documentVersions) {
+      setSelectedConversation(prev => ({ ...prev, document_versions: documentVersions }));
+    }
+  };
+
   // Open delete confirmation dialog
   const handleDeleteClick = (conversation, e) => {
     e.stopPropagation();
@@ -153,7 +167,11 @@ const ChatHistory = ({
           <div className="modal-content" onClick={e => e.stopPropagation()}>
             <DocumentContext 
               conversationId={selectedConversation.id}
+              currentConversationId={selectedConversation.id}
               documents={selectedConversation.documents}
+              versionSelection={selectedConversation.document_versions || {}}
+              onSelectVersion={onSelectDocumentVersion ? handleSelectVersion : undefined}
+              partialDocumentIds={partialDocumentIds}
               onClose={() => setShowDocumentContext(false)}
               onDocumentDeleted={handleDocumentDeleted}
             />
@@ -1,7 +1,8 @@
 import React, { useState, useRef, useEffect } from 'react';
 import './ChatInput.css';
+import { toDocumentFilterKey } from '../utils/documentMetadata';
 
-const ChatInput = ({ onSendMessage, isProcessing, isDisabled }) => {
+const ChatInput = ({ onSendMessage, isProcessing, isDisabled, sections = [], selectedSection = '', onSectionChange, documentFilterOptions = [], selectedDocumentFilter = '', onDocumentFilterChange }) => {
   const [message, setMessage] = useState('');
   const textareaRef = useRef(null);
   const submitTimeoutRef = useRef(null);
@@ -58,6 +59,50 @@ const ChatInput = ({ onSendMessage, isProcessing, isDisabled }) => {
 
   return (
     <div className="chat-input">
+      {/* Filter bagian dokumen berdasarkan outline/bookmark PDF */}
+      {sections.length > 0 && onSectionChange && (
+        <div className="chat-section-filter">
+          <label htmlFor="chat-section-filter">Cari di bagian:</label>
+          <select
+            id="chat-section-filter"
+            value={selectedSection}
+            onChange={(e) => onSectionChange(e.target.value)}
+            disabled={isProcessing}
+          >
+            <option value="">Semua bagian</option>
+            {sections.map((section) => (
+              <option key={section.path} value={section.path}>
+                {'\u00A0\u00A0'.repeat(section.depth)}{section.title}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {/* Filter dokumen berdasarkan penulis, kata kunci, atau tahun dari metadata PDF */}
+      {documentFilterOptions.length > 0 && onDocumentFilterChange && (
+        <div className="chat-section-filter">
+          <label htmlFor="chat-document-filter">Filter dokumen:</label>
+          <select
+            id="chat-document-filter"
+            value={selectedDocumentFilter}
+            onChange={(e) => onDocumentFilterChange(e.target.value)}
+            disabled={isProcessing}
+          >
+            <option value="">Semua dokumen</option>
+            {documentFilterOptions.map(({ field, label, values }) => (
+              <optgroup key={field} label={label}>
+                {values.map((value) => (
+                  <option key={value} value={toDocumentFilterKey({ field, value })}>
+                    {value}
+                  </option>
+                ))}
+              </optgroup>
+            ))}
+          </select>
+        </div>
+      )}
+
       <form onSubmit={handleSubmit} className="chat-input-form">
         <textarea
           ref={textareaRef}
@@ -1,5 +1,6 @@
 import React, { useEffect, useRef, useState } from 'react';
 import { User, Bot, RefreshCw, ThumbsUp, ThumbsDown, ChevronDown, ChevronUp } from 'lucide-react';
+import CitationFigures from './CitationFigures';
 import './ChatMessages.css';
 import ReactMarkdown from 'react-markdown';
 import rehypeKatex from 'rehype-katex';
@@ -95,7 +96,7 @@ const ChatMessages = ({ messages, isProcessing, onRateMessage }) => {
     }
     
     // Check for reference markers like [1] for implicit references
-    const refRegex = /\[\d+\]\s+[\w\s]+ \(halaman \d+\)/i;
+    const refRegex = /\[\d+\]\s+[\w\s]+ \((halaman|Chapter) \d+[^)]*\)/i;
     
     // If we find reference markers but no explicit section header, try to extract from the end
     if (refRegex.test(content)) {
@@ -280,6 +281,11 @@ const ChatMessages = ({ messages, isProcessing, onRateMessage }) => {
                             </div>
                           )}
                           
+                          {/* Thumbnail gambar yang dirujuk oleh sitasi */}
+                          {message.metadata?.figureCitations?.length > 0 && (
+                            <CitationFigures citations={message.metadata.figureCitations} />
+                          )}
+                          
                           {/* Controls for bot messages: thumbs up/down, thinking toggle */}
                           {!message.isTypingIndicator && (
                             <div className="message-controls">
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { MessageSquare, Upload, Settings, LogOut, Plus, Trash2, Moon, Sun, X, Menu, Key, Share2, HardDrive } from 'lucide-react';
 import './Chatbot.css';
 
@@ -7,6 +7,9 @@ import { getApiKey, getAIConfig, getBackupApiKey } from '../services/userSetting
 import { initializeGemini, updateRagContextForConversation } from '../services/geminiService';
 import './Chatbot.css';
 import { supabase } from '../utils/supabaseClient';
+import { linkDocumentsToConversation } from '../services/documentService';
+import { getInactiveVersionIds, getLatestVersions } from '../utils/documentVersions';
+import { getDocumentFilterOptions, parseDocumentFilterKey, toDocumentFilterKey } from '../utils/documentMetadata';
 
 // Komponen
 import ChatInput from './ChatInput';
@@ -117,7 +120,16 @@ const Chatbot = ({ user, onLogout, theme, onToggleTheme }) => {
     isSystemReady: isPdfProcessed,
     isLoading: isProcessingPdf,
     processedDocuments,
+    lockedFiles,
+    extractionProgress,
     processPdfForRag,
+    cancelFileProcessing,
+    cancelAllProcessing,
+    duplicateFiles,
+    reuseDuplicateDocument,
+    unfinishedJobs,
+    resumeIngestionJob,
+    dismissIngestionJob,
     ragError,
     clearRagError,
     resetSystem,
@@ -126,6 +138,41 @@ const Chatbot = ({ user, onLogout, theme, onToggleTheme }) => {
   // Calculate document count from processed documents
   const docsCount = processedDocuments?.length || 0;
   
+  // Bagian dokumen dari outline PDF yang dapat dipakai untuk memfilter pencarian
+  const [sectionFilter, setSectionFilter] = useState('');
+  const availableSections = useMemo(() => {
+    const sectionsByPath = new Map();
+    (processedDocuments || []).forEach(doc => {
+      (doc.metadata?.outline || []).forEach(section => {
+        if (section?.path && !sectionsByPath.has(section.path)) {
+          sectionsByPath.set(section.path, section);
+        }
+      });
+    });
+    return Array.from(sectionsByPath.values());
+  }, [processedDocuments]);
+  
+  // Reset filter bagian jika dokumennya sudah tidak ada
+  useEffect(() => {
+    if (sectionFilter && !availableSections.some(section => section.path === sectionFilter)) {
+      setSectionFilter('');
+    }
+  }, [sectionFilter, availableSections]);
+  
+  // Penulis, kata kunci, dan tahun dari metadata PDF yang dapat dipakai untuk memfilter pencarian
+  const [documentFilter, setDocumentFilter] = useState('');
+  const documentFilterOptions = useMemo(() => getDocumentFilterOptions(processedDocuments), [processedDocuments]);
+  
+  // Reset filter dokumen jika tidak ada lagi dokumen dengan nilai tersebut
+  useEffect(() => {
+    const isAvailable = documentFilterOptions.some(({ field, values }) =>
+      values.some(value => toDocumentFilterKey({ field, value }) === documentFilter)
+    );
+    if (documentFilter && !isAvailable) {
+      setDocumentFilter('');
+    }
+  }, [documentFilter, documentFilterOptions]);
+  
   // Sistem percakapan
   const { 
     messages, 
@@ -141,8 +188,22 @@ const Chatbot = ({ user, onLogout, theme, onToggleTheme }) => {
     clearAllConversations,
     loadStorageInfo, // Add loadStorageInfo here
     storageInfo: chatStorageInfo, // Add storageInfo here
+    selectDocumentVersion,
   } = useChatSystem(apiKey, user?.id);
 
+  // Versi dokumen yang tidak dipakai percakapan ini (dikunci ke versi lain atau bukan versi terbaru)
+  const pinnedVersions = conversations.find(conv => conv.id === currentConversationId)?.document_versions;
+  const excludedDocumentIds = useMemo(
+    () => getInactiveVersionIds(processedDocuments || [], pinnedVersions || {}),
+    [processedDocuments, pinnedVersions]
+  );
+  
+  // Dokumen milik pengguna yang dapat menerima versi baru (hanya versi terbarunya yang ditampilkan)
+  const versionableDocuments = useMemo(
+    () => getLatestVersions((processedDocuments || []).filter(doc => (doc.user_id || doc.userId) === user?.id)),
+    [processedDocuments, user?.id]
+  );
+
   // Set storageInfo from useChatSystem
   useEffect(() => {
     if (chatStorageInfo) {
@@ -177,7 +238,7 @@ const Chatbot = ({ user, onLogout, theme, onToggleTheme }) => {
         if (newConversation && newConversation.id) {
           console.log("Percakapan baru dibuat dengan ID:", newConversation.id);
           // Tunggu sampai state conversationId diperbarui
-          await sendMessage(newConversation.id, content, aiConfig, isPdfProcessed);
+          await sendMessage(newConversation.id, content, { ...aiConfig, sectionFilter: sectionFilter || null, excludedDocumentIds, documentFilter: parseDocumentFilterKey(documentFilter) }, isPdfProcessed);
         } else {
           console.error("Gagal membuat percakapan baru");
           clearChatError();  // Clear any existing errors first
@@ -186,7 +247,7 @@ const Chatbot = ({ user, onLogout, theme, onToggleTheme }) => {
       } else {
         // Gunakan percakapan yang sedang aktif
         console.log("Mengirim pesan ke percakapan yang sudah ada:", currentConversationId);
-        await sendMessage(currentConversationId, content, aiConfig, isPdfProcessed);
+        await sendMessage(currentConversationId, content, { ...aiConfig, sectionFilter: sectionFilter || null, excludedDocumentIds, documentFilter: parseDocumentFilterKey(documentFilter) }, isPdfProcessed);
       }
     } catch (error) {
       console.error("Error saat mengirim pesan:", error);
@@ -195,8 +256,69 @@ const Chatbot = ({ user, onLogout, theme, onToggleTheme }) => {
     }
   };
 
+  // Tautkan dokumen yang baru diproses atau dipakai ulang ke percakapan aktif (atau percakapan baru)
+  const attachDocumentsToConversation = useCallback(async (processedDocs) => {
+    // Create a new conversation or update existing one
+    let conversationToUse;
+    
+    if (!currentConversationId) {
+      console.log('Membuat percakapan baru dan mengirim pesan...');
+      // Create new conversation
+      const newConv = await startNewConversation();
+      if (!newConv) {
+        console.error('Failed to create new conversation');
+        return;
+      }
+      console.log('Percakapan baru dibuat dengan ID:', newConv.id);
+      conversationToUse = newConv.id;
+    } else {
+      console.log('Mengirim pesan ke percakapan yang sudah ada:', currentConversationId);
+      conversationToUse = currentConversationId;
+    }
+    
+    // Link processed documents to the conversation
+    if (conversationToUse) {
+      try {
+        // Get the document IDs from the processed docs
+        const docIds = processedDocs.map(doc => doc.id);
+        
+        // Add these document IDs to the conversation, keeping documents that are already linked
+        await linkDocumentsToConversation(conversationToUse, docIds);
+        
+        console.log('Documents successfully linked to conversation:', docIds);
+        
+        // Update local conversationDocuments state
+        setConversationDocuments(prevDocs => {
+          // Merge old documents with new ones, avoiding duplicates
+          const existingDocIds = new Set(prevDocs.map(doc => doc.id));
+          const newDocs = processedDocs.filter(doc => !existingDocIds.has(doc.id));
+          return [...prevDocs, ...newDocs];
+        });
+        
+        // If this is within an active conversation, update the activeConversation state
+        if (activeConversation) {
+          setActiveConversation(prev => {
+            if (!prev) return prev;
+            
+            // Get current document_context or initialize to empty array
+            const currentDocContext = Array.isArray(prev.document_context) ? prev.document_context : [];
+            // Add new doc IDs without duplicates
+            const updatedDocContext = [...new Set([...currentDocContext, ...docIds])];
+            
+            return {
+              ...prev,
+              document_context: updatedDocContext
+            };
+          });
+        }
+      } catch (linkErr) {
+        console.error('Error during document linking:', linkErr);
+      }
+    }
+  }, [startNewConversation, currentConversationId, activeConversation]);
+
   // Handle PDF processing
-  const handleProcessPdfs = useCallback(async (files) => {
+  const handleProcessPdfs = useCallback(async (files, options = {}) => {
     console.log('[Chatbot] handleProcessPdfs called with files:', files);
     if (!apiKey) {
       setShowApiForm(true);
@@ -205,80 +327,16 @@ const Chatbot = ({ user, onLogout, theme, onToggleTheme }) => {
 
     try {
       // Process the PDFs using the RAG system
-      const processedDocs = await processPdfForRag(files);
+      // options.passwords berisi kata sandi PDF terenkripsi, hanya diteruskan untuk ekstraksi
+      // options.versionOf memetakan nama file ke dokumen yang akan menerima versi baru
+      const processedDocs = await processPdfForRag(files, options);
       
       // If no docs were processed successfully, don't create a new conversation
       if (!processedDocs || processedDocs.length === 0) {
         return;
       }
       
-      // Create a new conversation or update existing one
-      let conversationToUse;
-      
-      if (!currentConversationId) {
-        console.log('Membuat percakapan baru dan mengirim pesan...');
-        // Create new conversation
-        const newConv = await startNewConversation();
-        if (!newConv) {
-          console.error('Failed to create new conversation');
-          return;
-        }
-        console.log('Percakapan baru dibuat dengan ID:', newConv.id);
-        conversationToUse = newConv.id;
-      } else {
-        console.log('Mengirim pesan ke percakapan yang sudah ada:', currentConversationId);
-        conversationToUse = currentConversationId;
-      }
-      
-      // Link processed documents to the conversation
-      if (conversationToUse) {
-        try {
-          // Get the document IDs from the processed docs
-          const docIds = processedDocs.map(doc => doc.id);
-          
-          // Update the conversation with these document IDs
-          const { error } = await supabase
-            .from('conversations')
-            .update({
-              document_context: docIds,
-              updated_at: new Date().toISOString()
-            })
-            .eq('id', conversationToUse);
-            
-          if (error) {
-            console.error('Error linking documents to conversation:', error);
-          } else {
-            console.log('Documents successfully linked to conversation:', docIds);
-            
-            // Update local conversationDocuments state
-            setConversationDocuments(prevDocs => {
-              // Merge old documents with new ones, avoiding duplicates
-              const existingDocIds = new Set(prevDocs.map(doc => doc.id));
-              const newDocs = processedDocs.filter(doc => !existingDocIds.has(doc.id));
-              return [...prevDocs, ...newDocs];
-            });
-            
-            // If this is within an active conversation, update the activeConversation state
-            if (activeConversation) {
-              setActiveConversation(prev => {
-                if (!prev) return prev;
-                
-                // Get current document_context or initialize to empty array
-                const currentDocContext = Array.isArray(prev.document_context) ? prev.document_context : [];
-                // Add new doc IDs without duplicates
-                const updatedDocContext = [...new Set([...currentDocContext, ...docIds])];
-                
-                return {
-                  ...prev,
-                  document_context: updatedDocContext
-                };
-              });
-            }
-          }
-        } catch (linkErr) {
-          console.error('Error during document linking:', linkErr);
-        }
-      }
+      await attachDocumentsToConversation(processedDocs);
     } catch (err) {
       console.error('[Chatbot] Error processing PDFs:', err);
       // Use clearRagError since we don't have a direct setError function
@@ -286,7 +344,29 @@ const Chatbot = ({ user, onLogout, theme, onToggleTheme }) => {
       clearRagError();
       err.message && clearRagError(err.message);
     }
-  }, [apiKey, processPdfForRag, startNewConversation, currentConversationId, activeConversation, clearRagError]);
+  }, [apiKey, processPdfForRag, attachDocumentsToConversation, clearRagError]);
+
+  // Pakai ulang dokumen identik yang sudah tersimpan alih-alih mengunggahnya lagi
+  const handleReuseDocument = useCallback(async (fileName) => {
+    const document = await reuseDuplicateDocument(fileName);
+    if (document) {
+      await attachDocumentsToConversation([document]);
+    }
+  }, [reuseDuplicateDocument, attachDocumentsToConversation]);
+
+  // Lanjutkan unggahan yang terputus; dokumennya belum sempat dikaitkan ke percakapan
+  const handleResumeUpload = useCallback(async (jobId) => {
+    const document = await resumeIngestionJob(jobId);
+    if (document) {
+      await attachDocumentsToConversation([document]);
+    }
+  }, [resumeIngestionJob, attachDocumentsToConversation]);
+
+  // Dokumen yang baru terindeks sebagian ditandai di daftar dokumen percakapan
+  const partialDocumentIds = useMemo(
+    () => unfinishedJobs.filter(job => job.document_id).map(job => job.document_id),
+    [unfinishedJobs]
+  );
 
   // Use effect to update document context when conversation changes
   useEffect(() => {
@@ -498,6 +578,8 @@ const Chatbot = ({ user, onLogout, theme, onToggleTheme }) => {
                 onDeleteConversation={handleDeleteConversation}
                 isLoading={false}
                 onDocumentDeleted={handleStorageChange}
+                onSelectDocumentVersion={selectDocumentVersion}
+                partialDocumentIds={partialDocumentIds}
               />
             </div>
           </div>
@@ -612,6 +694,12 @@ const Chatbot = ({ user, onLogout, theme, onToggleTheme }) => {
             onSendMessage={handleSendMessage}
             isProcessing={isProcessing}
             isDisabled={!isPdfProcessed}
+            sections={availableSections}
+            selectedSection={sectionFilter}
+            onSectionChange={setSectionFilter}
+            documentFilterOptions={documentFilterOptions}
+            selectedDocumentFilter={documentFilter}
+            onDocumentFilterChange={setDocumentFilter}
           />
         </section>
       </main>
@@ -649,6 +737,16 @@ const Chatbot = ({ user, onLogout, theme, onToggleTheme }) => {
             isProcessing={isProcessingPdf}
             isDisabled={false}
             processingSuccess={isPdfProcessed}
+            lockedFiles={lockedFiles}
+            progress={extractionProgress}
+            onCancelFile={cancelFileProcessing}
+            onCancelAll={cancelAllProcessing}
+            duplicateFiles={duplicateFiles}
+            onReuseDocument={handleReuseDocument}
+            unfinishedJobs={unfinishedJobs}
+            onResumeJob={handleResumeUpload}
+            onDismissJob={dismissIngestionJob}
+            versionableDocuments={versionableDocuments}
             storageInfo={storageInfo}
           />
         </div>
@@ -0,0 +1,85 @@
+import React, { useState, useEffect } from 'react';
+import { getDocumentFigures } from '../services/documentService';
+
+// Thumbnail yang sudah dimuat per dokumen dan nomor gambar, agar pesan lama tidak memuat ulang
+const figureCache = new Map();
+
+const getCacheKey = (documentId, number) => `${documentId}:${number}`;
+
+/**
+ * Muat gambar yang belum ada di cache, dikelompokkan per dokumen
+ * @param {Array<{documentId: string, figures: Array<string>}>} citations - Sitasi yang merujuk gambar
+ */
+const loadFigures = async (citations) => {
+  const missing = new Map();
+  citations.forEach(({ documentId, figures }) => {
+    figures.forEach(number => {
+      if (figureCache.has(getCacheKey(documentId, number))) return;
+      missing.set(documentId, new Set([...(missing.get(documentId) || []), number]));
+    });
+  });
+
+  await Promise.all(Array.from(missing, async ([documentId, numbers]) => {
+    const figures = await getDocumentFigures(documentId, [...numbers]);
+    // Nomor tanpa hasil tetap dicatat agar tidak dimuat berulang kali
+    numbers.forEach(number => figureCache.set(getCacheKey(documentId, number), null));
+    figures.forEach(figure => figureCache.set(getCacheKey(documentId, figure.number), figure));
+  }));
+};
+
+/**
+ * Tampilkan thumbnail gambar yang dirujuk oleh sitasi jawaban
+ *
+ * @param {Array<{documentId: string, source: string, location: string, figures: Array<string>}>} citations - Sitasi dari metadata pesan
+ */
+const CitationFigures = ({ citations = [] }) => {
+  const [figures, setFigures] = useState([]);
+  // Pesan dirender ulang setiap ada pesan baru; isi sitasi yang dipakai sebagai dependensi efek
+  const citationKey = citations.length > 0 ? JSON.stringify(citations) : '';
+
+  useEffect(() => {
+    if (!citationKey) return;
+    let cancelled = false;
+    const figureCitations = JSON.parse(citationKey);
+
+    const collectFigures = () => {
+      const seen = new Set();
+      return figureCitations.flatMap(({ documentId, source, location, figures: numbers }) =>
+        numbers
+          .filter(number => {
+            const key = getCacheKey(documentId, number);
+            if (seen.has(key) || !figureCache.get(key)?.thumbnail) return false;
+            seen.add(key);
+            return true;
+          })
+          .map(number => ({ ...figureCache.get(getCacheKey(documentId, number)), source, location }))
+      );
+    };
+
+    loadFigures(figureCitations)
+      .then(() => {
+        if (!cancelled) setFigures(collectFigures());
+      })
+      .catch(error => console.error('Error loading citation figures:', error));
+
+    return () => { cancelled = true; };
+  }, [citationKey]);
+
+  if (figures.length === 0) return null;
+
+  return (
+    <div className="citation-figures">
+      {figures.map(figure => (
+        <figure key={figure.id} className="citation-figure" title={figure.caption}>
+          <img src={figure.thumbnail} alt={figure.caption || figure.label} loading="lazy" />
+          <figcaption>
+            <strong>{figure.label}</strong> &middot; {figure.source}
+            {figure.location ? ` (${figure.location})` : ''}
+          </figcaption>
+        </figure>
+      ))}
+    </div>
+  );
+};
+
+export default CitationFigures;
@@ -1,5 +1,12 @@
 import React, { useState, useEffect } from 'react';
-import { FileText, X, Trash2, AlertCircle, RefreshCw } from 'lucide-react';
+import { FileText, X, Trash2, AlertCircle, RefreshCw, GitCompare, Info } from 'lucide-react';
+import DocumentVersionDiff from './DocumentVersionDiff';
+import DocumentDetail from './DocumentDetail';
+import { getDocumentVersionGroups } from '../services/documentService';
+import { getVersionInfo } from '../utils/documentVersions';
+import { formatDocumentAttribution } from '../utils/documentMetadata';
+import { LANGUAGE_LABELS } from '../utils/languageDetection';
+import { formatPageRanges } from '../utils/pageRanges';
 
 const DocumentContext = ({ 
   documents = [], 
@@ -7,9 +14,16 @@ const DocumentContext = ({
   onRefreshDocuments,
   isLoading = false,
   currentConversationId,
-  onError
+  onError,
+  versionSelection = {},
+  onSelectVersion,
+  partialDocumentIds = []
 }) => {
   const [confirmDelete, setConfirmDelete] = useState(null);
+  // Semua versi untuk setiap grup dokumen yang tampil, termasuk versi yang belum terkait percakapan
+  const [versionGroups, setVersionGroups] = useState(new Map());
+  const [diffDocument, setDiffDocument] = useState(null);
+  const [detailDocument, setDetailDocument] = useState(null);
   const [documentState, setDocumentState] = useState({
     isLoading: isLoading,
     documents: documents
@@ -46,6 +60,21 @@ const DocumentContext = ({
     fetchConversationDocuments();
   }, [currentConversationId, onRefreshDocuments, onError]);
   
+  // Muat daftar versi agar percakapan dapat dikunci ke versi tertentu
+  const versionGroupKey = documents.map(doc => getVersionInfo(doc).groupId).join(',');
+  useEffect(() => {
+    if (!versionGroupKey) return;
+    let cancelled = false;
+    
+    getDocumentVersionGroups(versionGroupKey.split(','))
+      .then(groups => {
+        if (!cancelled) setVersionGroups(groups);
+      })
+      .catch(error => console.error("Error loading document versions:", error));
+      
+    return () => { cancelled = true; };
+  }, [versionGroupKey]);
+  
   // Format bytes to human-readable size
   const formatBytes = (bytes, decimals = 1) => {
     if (!bytes || bytes === 0) return '0 B';
@@ -60,7 +89,7 @@ const DocumentContext = ({
   const handleRemove = (documentId) => {
     if (confirmDelete === documentId) {
       // Actually remove the document
-      onRemoveDocument(documentId);
+      onRemoveDocument?.(documentId);
       setConfirmDelete(null);
     } else {
       // Ask for confirmation
@@ -85,6 +114,62 @@ const DocumentContext = ({
     }
   };
 
+  // Porsi bahasa per paragraf, misalnya "Bahasa Indonesia 80%, Bahasa Inggris 20%"
+  const formatLanguageDistribution = (distribution = {}) =>
+    Object.entries(distribution)
+      .map(([language, share]) => `${LANGUAGE_LABELS[language] || language} ${Math.round(share * 100)}%`)
+      .join(', ');
+
+  // Penulis, tahun, subjek, dan kata kunci dari metadata PDF; judul asli PDF ditampilkan sebagai tooltip
+  const renderDocumentInfo = (documentInfo) => {
+    const details = [
+      formatDocumentAttribution(documentInfo),
+      documentInfo.subject,
+      documentInfo.keywords?.length > 0 ? `Kata kunci: ${documentInfo.keywords.join(', ')}` : ''
+    ].filter(Boolean);
+    if (details.length === 0) return null;
+
+    return (
+      <div className="document-size" title={documentInfo.title ? `Judul PDF: ${documentInfo.title}` : undefined}>
+        {details.join(' • ')}
+      </div>
+    );
+  };
+
+  // Pilihan versi ditampilkan sekali per grup, pada dokumen pertama dari grup tersebut
+  const renderVersionSelect = (doc, index) => {
+    const { groupId } = getVersionInfo(doc);
+    const versions = versionGroups.get(groupId) || [];
+    const isFirstOfGroup = documentState.documents.findIndex(item => getVersionInfo(item).groupId === groupId) === index;
+    if (versions.length < 2 || !isFirstOfGroup || !onSelectVersion) return null;
+    
+    const latest = versions[versions.length - 1];
+    
+    return (
+      <select
+        className="document-version-select"
+        value={versionSelection[groupId] || ''}
+        onChange={(event) => onSelectVersion(groupId, event.target.value || null)}
+        title="Versi yang dipakai untuk menjawab di percakapan ini"
+      >
+        <option value="">Ikuti versi terbaru (v{getVersionInfo(latest).version})</option>
+        {versions.map(version => (
+          <option key={version.id} value={version.id}>
+            Kunci ke v{getVersionInfo(version).version} ({new Date(version.created_at).toLocaleDateString('id-ID')})
+          </option>
+        ))}
+      </select>
+    );
+  };
+
+  if (diffDocument) {
+    return <DocumentVersionDiff document={diffDocument} onClose={() => setDiffDocument(null)} />;
+  }
+
+  if (detailDocument) {
+    return <DocumentDetail document={detailDocument} onClose={() => setDetailDocument(null)} />;
+  }
+
   if (documentState.isLoading) {
     return (
       <div className="document-context-loading">
@@ -132,17 +217,80 @@ const DocumentContext = ({
         </button>
       </div>
       <ul className="document-list">
-        {documentState.documents.map((doc) => (
+        {documentState.documents.map((doc, index) => (
           <li key={doc.id} className="document-item">
             <div className="document-info">
               <div className="document-name">
                 <FileText size={14} />
                 {doc.title || "Dokumen tanpa judul"}
+                {doc.metadata?.version > 1 && (
+                  <span className="document-version-badge">v{doc.metadata.version}</span>
+                )}
+                {partialDocumentIds.includes(doc.id) && (
+                  <span
+                    className="document-partial-badge"
+                    title="Unggahan terhenti sebelum semua chunk tersimpan. Lanjutkan dari panel unggah."
+                  >
+                    Terindeks sebagian
+                  </span>
+                )}
               </div>
               <div className="document-size">
                 {formatBytes(doc.file_size)} &bull; {doc.metadata?.pageCount || 1} halaman
+                {doc.metadata?.pageRanges?.length > 0 && (
+                  <span title="Hanya halaman ini yang diproses">
+                    {' '}&bull; hlm. {formatPageRanges(doc.metadata.pageRanges)}
+                  </span>
+                )}
+                {doc.metadata?.ocr?.pages?.length > 0 && (
+                  <span
+                    title={`Halaman hasil OCR: ${doc.metadata.ocr.pages.join(', ')}`}
+                  >
+                    {' '}&bull; OCR {doc.metadata.ocr.pages.length} halaman ({doc.metadata.ocr.averageConfidence}%)
+                  </span>
+                )}
+                {doc.metadata?.cleanup?.removedLines + doc.metadata?.cleanup?.repairedHyphenations > 0 && (
+                  <span
+                    title={`Header/footer dihapus: ${doc.metadata.cleanup.removedLines} baris, tanda hubung disambung: ${doc.metadata.cleanup.repairedHyphenations}, ukuran teks ${doc.metadata.cleanup.originalSize} → ${doc.metadata.cleanup.cleanedSize} karakter`}
+                  >
+                    {' '}&bull; dibersihkan {doc.metadata.cleanup.percentSaved}%
+                  </span>
+                )}
+                {LANGUAGE_LABELS[doc.metadata?.language?.primary] && (
+                  <span title={formatLanguageDistribution(doc.metadata.language.distribution)}>
+                    {' '}&bull; {LANGUAGE_LABELS[doc.metadata.language.primary]}
+                  </span>
+                )}
               </div>
+              {doc.metadata?.documentInfo && renderDocumentInfo(doc.metadata.documentInfo)}
+              {doc.metadata?.tags?.length > 0 && (
+                <div className="document-size" title="Folder asal di dalam arsip ZIP">
+                  Folder: {doc.metadata.tags.join(', ')}
+                </div>
+              )}
+              {doc.metadata?.referenceCount > 0 && (
+                <div className="document-size">
+                  {doc.metadata.referenceCount} entri daftar pustaka
+                </div>
+              )}
+              {renderVersionSelect(doc, index)}
             </div>
+            <button
+              className="document-detail-btn"
+              onClick={() => setDetailDocument(doc)}
+              title="Detail dokumen dan daftar pustaka"
+            >
+              <Info size={16} />
+            </button>
+            {doc.metadata?.previousVersionId && (
+              <button
+                className="document-compare-btn"
+                onClick={() => setDiffDocument(doc)}
+                title={`Bandingkan dengan v${doc.metadata.version - 1}`}
+              >
+                <GitCompare size={16} />
+              </button>
+            )}
             <button
               className="document-remove-btn"
               onClick={() => handleRemove(doc.id)}
@@ -0,0 +1,141 @@
+import React, { useState, useEffect } from 'react';
+import { saveAs } from 'file-saver';
+import { ArrowLeft, Loader, AlertCircle, Download } from 'lucide-react';
+import { getDocumentReferences } from '../services/documentService';
+import { formatBibtex, formatRis } from '../utils/bibliography';
+import { formatDocumentAttribution } from '../utils/documentMetadata';
+import { CHUNKING_STRATEGIES, DEFAULT_CHUNKING_STRATEGY } from '../utils/textChunking';
+import './DocumentDetail.css';
+
+// Format ekspor daftar pustaka: ekstensi file, MIME type, dan fungsi format
+const EXPORT_FORMATS = {
+  bibtex: { label: 'BibTeX', extension: 'bib', type: 'application/x-bibtex', format: formatBibtex },
+  ris: { label: 'RIS', extension: 'ris', type: 'application/x-research-info-systems', format: formatRis }
+};
+
+/**
+ * Tampilkan detail dokumen beserta daftar pustaka yang terdeteksi, dengan ekspor ke BibTeX atau RIS
+ *
+ * @param {Object} document - Dokumen dari daftar dokumen terkait
+ * @param {function} onClose - Kembali ke daftar dokumen
+ */
+const DocumentDetail = ({ document, onClose }) => {
+  const [references, setReferences] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadReferences = async () => {
+      setReferences(null);
+      setError('');
+
+      try {
+        const result = await getDocumentReferences(document.id);
+        if (!cancelled) setReferences(result);
+      } catch (err) {
+        console.error('Error loading document references:', err);
+        if (!cancelled) setError(err.message);
+      }
+    };
+
+    loadReferences();
+    return () => { cancelled = true; };
+  }, [document.id]);
+
+  const handleExport = (formatKey) => {
+    const { extension, type, format } = EXPORT_FORMATS[formatKey];
+    const fileName = (document.title || 'dokumen').replace(/[\\/:*?"<>|]+/g, '_');
+    saveAs(new Blob([format(references)], { type: `${type};charset=utf-8` }), `${fileName}.${extension}`);
+  };
+
+  const attribution = document.metadata?.documentInfo ? formatDocumentAttribution(document.metadata.documentInfo) : '';
+
+  return (
+    <div className="document-detail">
+      <div className="document-detail-header">
+        <button className="document-detail-back" onClick={onClose} title="Kembali ke daftar dokumen">
+          <ArrowLeft size={16} />
+        </button>
+        <h3>{document.title || 'Dokumen tanpa judul'}</h3>
+      </div>
+
+      <div className="document-detail-info">
+        {attribution && <div>{attribution}</div>}
+        <div>
+          {document.metadata?.pageCount || 1} halaman
+          {document.metadata?.version > 1 && <> &bull; versi {document.metadata.version}</>}
+          {document.created_at && <> &bull; diunggah {new Date(document.created_at).toLocaleDateString('id-ID')}</>}
+        </div>
+        <div>Chunking: {CHUNKING_STRATEGIES[document.metadata?.chunkingStrategy || DEFAULT_CHUNKING_STRATEGY]}</div>
+      </div>
+
+      <div className="document-detail-section-header">
+        <h4>Daftar Pustaka{references?.length > 0 ? ` (${references.length})` : ''}</h4>
+        {references?.length > 0 && (
+          <div className="document-detail-export">
+            {Object.entries(EXPORT_FORMATS).map(([key, { label }]) => (
+              <button key={key} onClick={() => handleExport(key)} title={`Unduh daftar pustaka sebagai ${label}`}>
+                <Download size={14} />
+                {label}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <div className="document-detail-error">
+          <AlertCircle size={14} />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {!error && !references && (
+        <div className="document-detail-loading">
+          <Loader size={16} className="document-detail-spinner" />
+          <span>Memuat daftar pustaka...</span>
+        </div>
+      )}
+
+      {references?.length === 0 && (
+        <p className="document-detail-empty">Tidak ada daftar pustaka yang terdeteksi di dokumen ini.</p>
+      )}
+
+      {references?.length > 0 && (
+        <ol className="document-reference-list">
+          {references.map(reference => (
+            <li key={reference.id} className="document-reference" title={reference.raw}>
+              {reference.title ? (
+                <>
+                  <span className="document-reference-title">{reference.title}</span>
+                  <span className="document-reference-meta">
+                    {[
+                      reference.authors?.join(', '),
+                      reference.venue,
+                      reference.year
+                    ].filter(Boolean).join(' • ')}
+                  </span>
+                </>
+              ) : (
+                <span className="document-reference-meta">{reference.raw}</span>
+              )}
+              {reference.doi && (
+                <a
+                  className="document-reference-link"
+                  href={`https://doi.org/${reference.doi}`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                >
+                  doi:{reference.doi}
+                </a>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default DocumentDetail;
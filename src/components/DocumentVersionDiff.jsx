@@ -0,0 +1,121 @@
+import React, { useState, useEffect } from 'react';
+import { diffSentences } from 'diff';
+import { ArrowLeft, Loader, AlertCircle } from 'lucide-react';
+import { getDocumentContent } from '../services/documentService';
+import './DocumentVersionDiff.css';
+
+// Bagian yang tidak berubah dipotong agar perubahan mudah ditemukan
+const CONTEXT_CHARS = 160;
+
+// Batas waktu perbandingan untuk dokumen yang sangat besar (ms)
+const DIFF_TIMEOUT = 5000;
+
+const countSentences = (text) => (text.match(/[^.!?]+[.!?]*/g) || []).filter(sentence => sentence.trim()).length;
+
+/**
+ * Tampilkan perbedaan teks antara dua versi dokumen per kalimat
+ *
+ * @param {Object} document - Versi yang lebih baru (dengan metadata.previousVersionId dan metadata.version)
+ * @param {function} onClose - Kembali ke daftar dokumen
+ */
+const DocumentVersionDiff = ({ document, onClose }) => {
+  const [parts, setParts] = useState(null);
+  const [error, setError] = useState('');
+
+  const previousVersionId = document.metadata?.previousVersionId;
+  const version = document.metadata?.version || 1;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadDiff = async () => {
+      setParts(null);
+      setError('');
+
+      try {
+        const [previousText, currentText] = await Promise.all([
+          getDocumentContent(previousVersionId),
+          getDocumentContent(document.id)
+        ]);
+        const result = diffSentences(previousText, currentText, { timeout: DIFF_TIMEOUT });
+
+        if (cancelled) return;
+        if (!result) {
+          setError('Dokumen terlalu besar untuk dibandingkan.');
+          return;
+        }
+        setParts(result);
+      } catch (err) {
+        console.error('Error comparing document versions:', err);
+        if (!cancelled) setError('Gagal membandingkan versi: ' + err.message);
+      }
+    };
+
+    loadDiff();
+    return () => { cancelled = true; };
+  }, [document.id, previousVersionId]);
+
+  const renderUnchanged = (value, index) => {
+    if (value.length <= CONTEXT_CHARS * 2 + 20) {
+      return <span key={index}>{value}</span>;
+    }
+
+    return (
+      <span key={index}>
+        {index > 0 && value.slice(0, CONTEXT_CHARS)}
+        <span className="version-diff-gap"> … </span>
+        {index < parts.length - 1 && value.slice(-CONTEXT_CHARS)}
+      </span>
+    );
+  };
+
+  const addedCount = parts ? parts.filter(part => part.added).reduce((sum, part) => sum + countSentences(part.value), 0) : 0;
+  const removedCount = parts ? parts.filter(part => part.removed).reduce((sum, part) => sum + countSentences(part.value), 0) : 0;
+
+  return (
+    <div className="version-diff">
+      <div className="version-diff-header">
+        <button className="version-diff-back" onClick={onClose} title="Kembali ke daftar dokumen">
+          <ArrowLeft size={16} />
+        </button>
+        <h3>{document.title}: v{version - 1} → v{version}</h3>
+      </div>
+
+      {error && (
+        <div className="version-diff-error">
+          <AlertCircle size={14} />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {!error && !parts && (
+        <div className="version-diff-loading">
+          <Loader size={16} className="version-diff-spinner" />
+          <span>Membandingkan versi...</span>
+        </div>
+      )}
+
+      {parts && (
+        <>
+          <div className="version-diff-summary">
+            <span className="version-diff-added-count">+{addedCount} kalimat</span>
+            <span className="version-diff-removed-count">-{removedCount} kalimat</span>
+          </div>
+          {addedCount === 0 && removedCount === 0 ? (
+            <p className="version-diff-empty">Tidak ada perubahan teks antara kedua versi.</p>
+          ) : (
+            <div className="version-diff-content">
+              {parts.map((part, index) => {
+                if (part.added) return <ins key={index} className="version-diff-added">{part.value}</ins>;
+                if (part.removed) return <del key={index} className="version-diff-removed">{part.value}</del>;
+                return renderUnchanged(part.value, index);
+              })}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DocumentVersionDiff;
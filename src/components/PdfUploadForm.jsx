@@ -1,58 +1,78 @@
 import React, { useState, useCallback, useEffect } from 'react';
 import { useDropzone } from 'react-dropzone';
 import './PdfUploadForm.css';
-import { FileText, X, Upload, AlertCircle, Check, Loader, AlertTriangle, HardDrive } from 'lucide-react';
-import { hasEnoughStorage } from '../services/documentService';
+import { FileText, X, Upload, AlertCircle, Check, Loader, AlertTriangle, Lock, Ban, Copy } from 'lucide-react';
+import { SUPPORTED_DOCUMENT_TYPES, isSupportedDocument, resolveDocumentExtension, getMaxFileSize, MAX_DOCUMENT_SIZE, MAX_ARCHIVE_SIZE, PDF_PASSWORD_INCORRECT } from '../services/pdfService';
+import { parsePageRanges } from '../utils/pageRanges';
+import { CHUNKING_STRATEGIES, DEFAULT_CHUNKING_STRATEGY } from '../utils/textChunking';
 
-const PdfUploadForm = ({ onProcessPdfs, isProcessing, isDisabled, processingSuccess = false, maxFiles = 15 }) => {
+const PdfUploadForm = ({
+  onProcessPdfs,
+  isProcessing,
+  isDisabled,
+  processingSuccess = false,
+  lockedFiles = [],
+  progress = {},
+  onCancelFile,
+  onCancelAll,
+  duplicateFiles = [],
+  onReuseDocument,
+  unfinishedJobs = [],
+  onResumeJob,
+  onDismissJob,
+  versionableDocuments = []
+}) => {
   const [selectedFiles, setSelectedFiles] = useState([]);
   const [error, setError] = useState('');
   const [fileStatus, setFileStatus] = useState({});
   const [hasAutoProcessed, setHasAutoProcessed] = useState(false);
-  const [isCheckingStorage, setIsCheckingStorage] = useState(false);
+  // Kata sandi PDF terenkripsi hanya disimpan di state ini sampai dikirim, tidak pernah dipersistenkan
+  const [passwordInputs, setPasswordInputs] = useState({});
+  // Dokumen yang akan menerima file sebagai versi baru, berdasarkan nama file
+  const [versionTargets, setVersionTargets] = useState({});
+  // Rentang halaman PDF yang diketik pengguna per file, misalnya "1-20, 45-60"; kosong berarti semua halaman
+  const [pageRangeInputs, setPageRangeInputs] = useState({});
+  // Strategi chunking per file; file tanpa pilihan memakai chunk berukuran tetap
+  const [chunkingStrategies, setChunkingStrategies] = useState({});
+  
+  // Ubah input rentang halaman menjadi `{ [fileName]: [[awal, akhir], ...] }` untuk file yang dipilih
+  const getPageRanges = useCallback((files) => {
+    const pageRanges = {};
+    files.forEach(file => {
+      const ranges = parsePageRanges(pageRangeInputs[file.name]);
+      if (ranges) pageRanges[file.name] = ranges;
+    });
+    return pageRanges;
+  }, [pageRangeInputs]);
   
   // Handle process button click - wrapped with useCallback
-  const handleProcessClick = useCallback(async () => {
+  const handleProcessClick = useCallback(() => {
     console.log("[PdfUploadForm] handleProcessClick called with files:", selectedFiles.length);
     if (selectedFiles.length === 0) {
-      setError('Pilih setidaknya satu file PDF untuk diproses.');
+      setError('Pilih setidaknya satu dokumen (PDF, DOCX, EPUB, PPTX, LaTeX, Markdown, HTML, TXT, CSV, atau XLSX) untuk diproses.');
       return;
     }
     
-    // Check if user has enough storage space
+    let pageRanges;
     try {
-      setIsCheckingStorage(true);
-      
-      // Calculate total size of selected files
-      const totalSize = selectedFiles.reduce((acc, file) => acc + file.size, 0);
-      
-      // Check if user has enough storage
-      const hasStorage = await hasEnoughStorage(totalSize);
-      
-      if (!hasStorage) {
-        setError('Penyimpanan tidak cukup. Batas penyimpanan 100MB. Hapus beberapa dokumen lama terlebih dahulu.');
-        setIsCheckingStorage(false);
-        return;
-      }
-      
-      setIsCheckingStorage(false);
-      
-      // Tandai semua file sebagai 'processing'
-      const newStatus = {};
-      selectedFiles.forEach(file => {
-        newStatus[file.name] = 'processing';
-      });
-      setFileStatus(newStatus);
-      console.log("[PdfUploadForm] Setting file status to processing:", newStatus);
-      
-      // Panggil fungsi pemrosesan dari parent component
-      onProcessPdfs(selectedFiles);
-    } catch (err) {
-      console.error("[PdfUploadForm] Error checking storage:", err);
-      setError('Gagal memeriksa penyimpanan: ' + err.message);
-      setIsCheckingStorage(false);
+      pageRanges = getPageRanges(selectedFiles);
+    } catch (rangeError) {
+      setError(`${rangeError.message}. Gunakan format seperti 1-20, 45-60.`);
+      return;
     }
-  }, [selectedFiles, onProcessPdfs]);
+    
+    // Tandai semua file sebagai 'processing'
+    const newStatus = {};
+    selectedFiles.forEach(file => {
+      newStatus[file.name] = 'processing';
+    });
+    setFileStatus(newStatus);
+    console.log("[PdfUploadForm] Setting file status to processing:", newStatus);
+    
+    // Panggil fungsi pemrosesan dari parent component; kuota penyimpanan diperiksa per dokumen
+    // saat diproses, berdasarkan panjang teks hasil ekstraksi
+    onProcessPdfs(selectedFiles, { versionOf: versionTargets, pageRanges, chunkingStrategies });
+  }, [selectedFiles, onProcessPdfs, versionTargets, getPageRanges, chunkingStrategies]);
 
   // Auto proses setelah file ditambahkan - dinonaktifkan untuk mencegah reset berulang
   useEffect(() => {
@@ -89,10 +109,20 @@ const PdfUploadForm = ({ onProcessPdfs, isProcessing, isDisabled, processingSucc
     
     if (wasProcessing && !isProcessing) {
       console.log(`Processing finished. Success status: ${processingSuccess}`);
+      const lockedNames = new Set(lockedFiles.map(locked => locked.name));
       const newStatus = {};
       Object.keys(fileStatus).forEach(fileName => {
         // Perbarui status hanya untuk file yang sebelumnya 'processing'
-        if (fileStatus[fileName] === 'processing') {
+        const stage = progress[fileName]?.stage;
+        if (fileStatus[fileName] === 'processing' && lockedNames.has(fileName)) {
+          // PDF terenkripsi menunggu kata sandi dari pengguna
+          newStatus[fileName] = 'locked';
+        } else if (fileStatus[fileName] === 'processing' && (stage === 'cancelled' || stage === 'duplicate')) {
+          // File identik menunggu keputusan untuk memakai ulang dokumen yang sudah ada
+          newStatus[fileName] = stage;
+        } else if (fileStatus[fileName] === 'processing' && (stage === 'done' || stage === 'failed')) {
+          newStatus[fileName] = stage === 'done' ? 'processed' : 'failed';
+        } else if (fileStatus[fileName] === 'processing') {
           newStatus[fileName] = processingSuccess ? 'processed' : 'failed';
         } else {
           // Pertahankan status file lain (misalnya jika ada yang sudah 'processed' sebelumnya)
@@ -102,53 +132,67 @@ const PdfUploadForm = ({ onProcessPdfs, isProcessing, isDisabled, processingSucc
       setFileStatus(newStatus);
       
       // Tampilkan error jika pemrosesan gagal secara keseluruhan
-      if (!processingSuccess) {
+      if (Object.values(newStatus).includes('failed')) {
         setError('Gagal memproses dokumen. Silakan periksa konsol untuk detail atau coba lagi.');
       }
     }
-  }, [isProcessing, processingSuccess, fileStatus]);
+  }, [isProcessing, processingSuccess, fileStatus, lockedFiles, progress]);
 
-  // Check file size before accepting
-  const checkTotalFilesSize = async (files) => {
-    const totalSize = files.reduce((total, file) => total + file.size, 0);
-    
-    // Hard limit on individual file size - 20MB per file
-    const largeFiles = files.filter(file => file.size > 20_971_520); // 20MB in bytes
+  // Pakai ulang dokumen identik yang sudah tersimpan untuk file ini
+  const handleReuseDocument = useCallback((fileName) => {
+    if (isProcessing || !onReuseDocument) return;
+
+    setFileStatus(prev => ({ ...prev, [fileName]: 'processing' }));
+    setError('');
+    onReuseDocument(fileName);
+  }, [isProcessing, onReuseDocument]);
+
+  // Proses ulang satu PDF terenkripsi dengan kata sandi yang dimasukkan pengguna
+  const handleUnlockFile = useCallback((event, file) => {
+    event.preventDefault();
+    const password = passwordInputs[file.name];
+    if (!password || isProcessing) return;
+
+    // Hapus kata sandi dari state segera setelah dikirim
+    setPasswordInputs(prev => {
+      const next = { ...prev };
+      delete next[file.name];
+      return next;
+    });
+    setFileStatus(prev => ({ ...prev, [file.name]: 'processing' }));
+    setError('');
+
+    onProcessPdfs([file], {
+      passwords: { [file.name]: password },
+      versionOf: versionTargets[file.name] ? { [file.name]: versionTargets[file.name] } : {},
+      // Input sudah divalidasi saat file pertama kali diproses
+      pageRanges: getPageRanges([file]),
+      chunkingStrategies: chunkingStrategies[file.name] ? { [file.name]: chunkingStrategies[file.name] } : {}
+    });
+  }, [passwordInputs, isProcessing, onProcessPdfs, versionTargets, getPageRanges, chunkingStrategies]);
+
+  // Check file size before accepting; the storage quota is checked per document while it is processed
+  const checkFileSizes = (files) => {
+    // Hard limit on individual file size; ZIP archives have their own limit and each file
+    // inside them is checked against the per-document limit when it is processed
+    const largeFiles = files.filter(file => file.size > getMaxFileSize(file));
     
     if (largeFiles.length > 0) {
       return {
         valid: false,
-        error: `File terlalu besar: ${largeFiles.map(f => f.name).join(', ')}. Maksimal 20MB per file.`
+        error: `File terlalu besar: ${largeFiles.map(f => f.name).join(', ')}. Maksimal ${MAX_DOCUMENT_SIZE / 1024 / 1024}MB per file dan ${MAX_ARCHIVE_SIZE / 1024 / 1024}MB per arsip ZIP.`
       };
     }
     
-    // Check if adding these files would exceed storage limit
-    try {
-      const hasStorage = await hasEnoughStorage(totalSize);
-      if (!hasStorage) {
-        return {
-          valid: false,
-          error: 'Penyimpanan tidak cukup. Batas penyimpanan 100MB. Hapus beberapa dokumen lama terlebih dahulu.'
-        };
-      }
-      
-      return { valid: true, error: null };
-    } catch (err) {
-      console.error("[PdfUploadForm] Error checking storage for new files:", err);
-      return {
-        valid: false,
-        error: 'Gagal memeriksa penyimpanan: ' + err.message
-      };
-    }
+    return { valid: true, error: null };
   };
 
-  const onDrop = useCallback(async (acceptedFiles, rejectedFiles) => {
+  const onDrop = useCallback((acceptedFiles, rejectedFiles) => {
     setError(''); // Clear previous errors
     
     // Jangan terima file baru jika masih dalam proses
-    if (isProcessing || isCheckingStorage) {
-      setError(isProcessing ? 'Sedang memproses file. Tunggu hingga selesai sebelum mengunggah file baru.' :
-                            'Sedang memeriksa penyimpanan. Harap tunggu sebentar.');
+    if (isProcessing) {
+      setError('Sedang memproses file. Tunggu hingga selesai sebelum mengunggah file baru.');
       return;
     }
 
@@ -159,27 +203,27 @@ const PdfUploadForm = ({ onProcessPdfs, isProcessing, isDisabled, processingSucc
     
     // Handle rejected files (e.g., wrong type)
     if (rejectedFiles && rejectedFiles.length > 0) {
-      setError(`File tidak valid: ${rejectedFiles.map(f => f.file.name).join(', ')}. Hanya file PDF yang diterima.`);
+      setError(`File tidak valid: ${rejectedFiles.map(f => f.file.name).join(', ')}. Hanya file PDF, DOCX, EPUB, PPTX, LaTeX (TEX), Markdown, HTML, TXT, CSV, XLSX, dan arsip ZIP yang diterima.`);
     }
 
-    // Filter only PDF files from accepted files
-    const pdfFiles = acceptedFiles.filter(file => file.type === 'application/pdf');
+    // Filter only supported document files from accepted files
+    const pdfFiles = acceptedFiles.filter(isSupportedDocument);
 
     if (pdfFiles.length !== acceptedFiles.length) {
-      setError('Beberapa file non-PDF diabaikan.');
+      setError('Beberapa file yang tidak didukung diabaikan.');
     }
 
     if (pdfFiles.length === 0) return;
 
-    // Check storage before accepting files
-    const sizeCheck = await checkTotalFilesSize(pdfFiles);
+    // Check file sizes before accepting files
+    const sizeCheck = checkFileSizes(pdfFiles);
     
     if (!sizeCheck.valid) {
       setError(sizeCheck.error);
       return;
     }
 
-    // Combine with existing files, prevent duplicates, and enforce maxFiles limit
+    // Combine with existing files and prevent duplicates; files are processed one by one as a queue
     setSelectedFiles(prevFiles => {
       const existingFileNames = new Set(prevFiles.map(f => f.name));
       const newUniqueFiles = pdfFiles.filter(file => !existingFileNames.has(file.name));
@@ -188,22 +232,14 @@ const PdfUploadForm = ({ onProcessPdfs, isProcessing, isDisabled, processingSucc
         setError(prevError => prevError ? prevError + ' File duplikat diabaikan.' : 'File duplikat diabaikan.');
       }
 
-      const combined = [...prevFiles, ...newUniqueFiles];
-      
-      if (combined.length > maxFiles) {
-        setError(`Anda hanya dapat mengunggah maksimal ${maxFiles} file. Kelebihan file diabaikan.`);
-        return combined.slice(0, maxFiles); // Keep only up to maxFiles
-      }
-      return combined;
+      return [...prevFiles, ...newUniqueFiles];
     });
-  }, [maxFiles, isProcessing, isCheckingStorage]);
+  }, [isProcessing]);
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
-    accept: {
-      'application/pdf': ['.pdf'],
-    },
-    disabled: isDisabled || isProcessing || isCheckingStorage,
+    accept: SUPPORTED_DOCUMENT_TYPES,
+    disabled: isDisabled || isProcessing,
     multiple: true,
   });
 
@@ -218,7 +254,7 @@ const PdfUploadForm = ({ onProcessPdfs, isProcessing, isDisabled, processingSucc
 
   const handleRemoveFile = (fileName) => {
     // Jangan izinkan menghapus file saat sedang diproses
-    if (isProcessing || isCheckingStorage) return;
+    if (isProcessing) return;
     
     setSelectedFiles(prevFiles => prevFiles.filter(file => file.name !== fileName));
     setFileStatus(prevStatus => {
@@ -226,6 +262,26 @@ const PdfUploadForm = ({ onProcessPdfs, isProcessing, isDisabled, processingSucc
       delete newStatus[fileName];
       return newStatus;
     });
+    setPasswordInputs(prev => {
+      const next = { ...prev };
+      delete next[fileName];
+      return next;
+    });
+    setVersionTargets(prev => {
+      const next = { ...prev };
+      delete next[fileName];
+      return next;
+    });
+    setPageRangeInputs(prev => {
+      const next = { ...prev };
+      delete next[fileName];
+      return next;
+    });
+    setChunkingStrategies(prev => {
+      const next = { ...prev };
+      delete next[fileName];
+      return next;
+    });
     
     if (error && error.includes(fileName)) {
       setError('');
@@ -242,17 +298,248 @@ const PdfUploadForm = ({ onProcessPdfs, isProcessing, isDisabled, processingSucc
       return <Check size={18} className="file-processed-indicator" />;
     } else if (status === 'failed') {
       return <AlertTriangle size={18} className="file-failed-indicator" />;
+    } else if (status === 'locked') {
+      return <Lock size={18} className="file-locked-indicator" />;
+    } else if (status === 'cancelled') {
+      return <Ban size={18} className="file-cancelled-indicator" />;
+    } else if (status === 'duplicate') {
+      return <Copy size={18} className="file-duplicate-indicator" />;
     }
     
     return null;
   };
 
+  // Keterangan progres file yang sedang diproses, misalnya "Halaman 12/240"
+  const renderFileProgress = (fileName) => {
+    if (fileStatus[fileName] !== 'processing') return null;
+
+    const { stage, page, pageCount, embeddedBatches = 0, totalBatches, archiveIndex, archiveCount, currentFile } = progress[fileName] || {};
+    let percent = stage === 'extracting' && pageCount ? Math.round((page / pageCount) * 100) : null;
+
+    let label = 'Menunggu giliran...';
+    if (stage === 'extracting' && archiveCount) {
+      // Arsip ZIP diproses file demi file
+      label = `File ${archiveIndex}/${archiveCount}: ${currentFile}`;
+      percent = Math.round(((archiveIndex - 1) / archiveCount) * 100);
+    } else if (stage === 'extracting') {
+      label = pageCount ? `Mengekstrak halaman ${page}/${pageCount}` : 'Mengekstrak teks...';
+    } else if (stage === 'indexing' && totalBatches) {
+      label = `Membuat embedding batch ${embeddedBatches}/${totalBatches}`;
+      percent = Math.round((embeddedBatches / totalBatches) * 100);
+    } else if (stage === 'indexing') {
+      label = 'Mengindeks dokumen...';
+    }
+
+    return (
+      <div className="pdf-file-progress">
+        <span className="pdf-file-progress-label">{label}</span>
+        {percent !== null && (
+          <div className="pdf-file-progress-track">
+            <div className="pdf-file-progress-bar" style={{ width: `${percent}%` }} />
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // Form kata sandi untuk PDF terenkripsi
+  const renderPasswordForm = (file) => {
+    const locked = lockedFiles.find(item => item.name === file.name);
+    if (fileStatus[file.name] !== 'locked' || !locked) return null;
+
+    return (
+      <form className="pdf-password-form" onSubmit={(event) => handleUnlockFile(event, file)}>
+        <span className="pdf-password-message">
+          {locked.code === PDF_PASSWORD_INCORRECT
+            ? 'Kata sandi salah. Coba lagi.'
+            : 'PDF ini dilindungi kata sandi.'}
+        </span>
+        <div className="pdf-password-row">
+          <input
+            type="password"
+            className="pdf-password-input"
+            placeholder="Kata sandi PDF"
+            autoComplete="off"
+            value={passwordInputs[file.name] || ''}
+            onChange={(event) => setPasswordInputs(prev => ({ ...prev, [file.name]: event.target.value }))}
+            disabled={isProcessing}
+            aria-label={`Kata sandi untuk ${file.name}`}
+          />
+          <button
+            type="submit"
+            className="pdf-password-submit"
+            disabled={isProcessing || !passwordInputs[file.name]}
+          >
+            Buka
+          </button>
+        </div>
+      </form>
+    );
+  };
+
+  // Pilihan untuk mengunggah file sebagai versi baru dari dokumen yang sudah ada
+  const renderVersionSelect = (file) => {
+    if (versionableDocuments.length === 0 || fileStatus[file.name]) return null;
+
+    return (
+      <div className="pdf-version-select">
+        <label htmlFor={`version-target-${file.name}`}>Unggah sebagai</label>
+        <select
+          id={`version-target-${file.name}`}
+          value={versionTargets[file.name] || ''}
+          onChange={(event) => setVersionTargets(prev => ({ ...prev, [file.name]: event.target.value }))}
+          disabled={isProcessing}
+        >
+          <option value="">Dokumen baru</option>
+          {versionableDocuments.map(doc => (
+            <option key={doc.id} value={doc.id}>
+              Versi baru dari {doc.title} (saat ini v{doc.metadata?.version || 1})
+            </option>
+          ))}
+        </select>
+      </div>
+    );
+  };
+
+  // Pilihan rentang halaman untuk PDF, agar buku referensi yang tebal tidak perlu diproses seluruhnya
+  const renderPageRangeInput = (file) => {
+    if (resolveDocumentExtension(file) !== '.pdf' || fileStatus[file.name]) return null;
+
+    const value = pageRangeInputs[file.name] || '';
+    let rangeError = '';
+    try {
+      parsePageRanges(value);
+    } catch (err) {
+      rangeError = err.message;
+    }
+
+    return (
+      <div className="pdf-version-select pdf-page-range">
+        <label htmlFor={`page-range-${file.name}`}>Halaman</label>
+        <input
+          id={`page-range-${file.name}`}
+          type="text"
+          className={rangeError ? 'invalid' : ''}
+          placeholder="Semua halaman (mis. 1-20, 45-60)"
+          value={value}
+          onChange={(event) => setPageRangeInputs(prev => ({ ...prev, [file.name]: event.target.value }))}
+          disabled={isProcessing}
+          title={rangeError || 'Hanya halaman ini yang diekstrak, dipotong, dan dibuatkan embedding'}
+          aria-invalid={Boolean(rangeError)}
+        />
+      </div>
+    );
+  };
+
+  // Pilihan cara memotong dokumen: ukuran tetap atau mengikuti judul dan bagian dokumen
+  const renderChunkingSelect = (file) => {
+    if (fileStatus[file.name]) return null;
+
+    return (
+      <div className="pdf-version-select">
+        <label htmlFor={`chunking-strategy-${file.name}`}>Chunking</label>
+        <select
+          id={`chunking-strategy-${file.name}`}
+          value={chunkingStrategies[file.name] || DEFAULT_CHUNKING_STRATEGY}
+          onChange={(event) => setChunkingStrategies(prev => ({ ...prev, [file.name]: event.target.value }))}
+          disabled={isProcessing}
+          title="Ikuti struktur dokumen: chunk dipotong per bab/bagian dari outline PDF, judul Markdown, atau judul bernomor"
+        >
+          {Object.entries(CHUNKING_STRATEGIES).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </div>
+    );
+  };
+
+  // Tawaran memakai ulang dokumen identik yang sudah tersimpan
+  const renderDuplicateNotice = (file) => {
+    const duplicate = duplicateFiles.find(item => item.name === file.name);
+    if (fileStatus[file.name] !== 'duplicate' || !duplicate) return null;
+
+    return (
+      <div className="pdf-duplicate-notice">
+        <span className="pdf-duplicate-message">
+          Dokumen identik sudah ada: <strong>{duplicate.document.title}</strong>
+          {duplicate.document.isOwner ? ' (milik Anda)' : ' (dibagikan kepada Anda)'}.
+          Gunakan dokumen tersebut agar tidak perlu memproses ulang.
+        </span>
+        <button
+          type="button"
+          className="pdf-duplicate-reuse"
+          onClick={() => handleReuseDocument(file.name)}
+          disabled={isProcessing}
+        >
+          Gunakan dokumen yang ada
+        </button>
+      </div>
+    );
+  };
+
+  // Unggahan yang terputus (tab dimuat ulang) atau gagal sebelum semua chunk tersimpan
+  const renderUnfinishedJobs = () => {
+    if (unfinishedJobs.length === 0) return null;
+
+    return (
+      <div className="pdf-unfinished-jobs">
+        <h4>Unggahan Belum Selesai ({unfinishedJobs.length})</h4>
+        {unfinishedJobs.map(job => {
+          const { stage, embeddedBatches, totalBatches } = progress[job.filename] || {};
+          const isResuming = isProcessing && stage === 'indexing';
+
+          let message = 'Terhenti saat mengekstrak teks. Pilih file ini lagi untuk mengunggah ulang.';
+          if (isResuming && totalBatches) {
+            message = `Melanjutkan: batch ${embeddedBatches}/${totalBatches}...`;
+          } else if (job.document_id) {
+            message = job.total_batches
+              ? `Terindeks sebagian: ${job.stored_batches}/${job.total_batches} batch chunk tersimpan.`
+              : 'Terindeks sebagian: teks tersimpan, chunk belum dibuat.';
+          }
+
+          return (
+            <div key={job.id} className="pdf-unfinished-job" title={job.error || undefined}>
+              <AlertTriangle size={16} className="pdf-unfinished-icon" />
+              <div className="pdf-unfinished-info">
+                <div className="pdf-file-name" title={job.filename}>{job.filename}</div>
+                <span className="pdf-unfinished-message">{message}</span>
+              </div>
+              {job.document_id && onResumeJob && (
+                <button
+                  type="button"
+                  className="pdf-duplicate-reuse"
+                  onClick={() => onResumeJob(job.id)}
+                  disabled={isProcessing}
+                  title="Lanjutkan dari batch terakhir yang tersimpan"
+                >
+                  {isResuming ? <Loader size={14} className="pdf-process-spinner" /> : 'Lanjutkan'}
+                </button>
+              )}
+              {onDismissJob && (
+                <button
+                  type="button"
+                  className="pdf-file-remove"
+                  onClick={() => onDismissJob(job.id)}
+                  disabled={isProcessing}
+                  aria-label={`Abaikan ${job.filename}`}
+                  title={job.document_id ? 'Abaikan; dokumen tetap terindeks sebagian' : 'Abaikan'}
+                >
+                  <X size={16} />
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
+
   return (
     <div className="pdf-form">
       {/* Dropzone area with modern styling */}
       <div
         {...getRootProps()}
-        className={`pdf-dropzone ${isDragActive ? 'active' : ''} ${isDisabled || isProcessing || isCheckingStorage ? 'disabled' : ''}`}
+        className={`pdf-dropzone ${isDragActive ? 'active' : ''} ${isDisabled || isProcessing ? 'disabled' : ''}`}
       >
         <input {...getInputProps()} />
         <div className="dropzone-content">
@@ -264,11 +551,11 @@ const PdfUploadForm = ({ onProcessPdfs, isProcessing, isDisabled, processingSucc
             )}
           </div>
           {isDragActive ? (
-            <p className="dropzone-text">Lepaskan file PDF di sini...</p>
+            <p className="dropzone-text">Lepaskan dokumen di sini...</p>
           ) : (
             <p className="dropzone-text">
-              <span className="dropzone-primary">Jatuhkan file PDF di sini</span>
-              <span className="dropzone-secondary">atau klik untuk memilih (maks {maxFiles})</span>
+              <span className="dropzone-primary">Jatuhkan file PDF, DOCX, EPUB, PPTX, TEX/ZIP, MD, HTML, TXT, CSV, atau XLSX di sini</span>
+              <span className="dropzone-secondary">atau klik untuk memilih; arsip ZIP berisi folder dokumen juga diterima</span>
             </p>
           )}
         </div>
@@ -282,6 +569,8 @@ const PdfUploadForm = ({ onProcessPdfs, isProcessing, isDisabled, processingSucc
         </div>
       )}
 
+      {renderUnfinishedJobs()}
+
       {/* Selected files list with improved UI */}
       {selectedFiles && selectedFiles.length > 0 && (
         <div className="pdf-files">
@@ -291,23 +580,30 @@ const PdfUploadForm = ({ onProcessPdfs, isProcessing, isDisabled, processingSucc
             {/* Tombol proses manual (untuk berjaga-jaga jika auto-process tidak berfungsi) */}
             <button 
               onClick={handleProcessClick}
-              disabled={isProcessing || isCheckingStorage || selectedFiles.length === 0}
+              disabled={isProcessing || selectedFiles.length === 0}
               className="pdf-process-btn"
-              title="Proses file PDF"
+              title="Proses file dokumen"
             >
               {isProcessing ? (
                 <Loader size={16} className="pdf-process-spinner" />
-              ) : isCheckingStorage ? (
-                <HardDrive size={16} className="pdf-process-spinner" />
               ) : (
                 <span>Proses File</span>
               )}
             </button>
+            {isProcessing && onCancelAll && (
+              <button
+                onClick={onCancelAll}
+                className="pdf-cancel-all-btn"
+                title="Batalkan pemrosesan semua file"
+              >
+                Batalkan Semua
+              </button>
+            )}
           </div>
           <div className="pdf-files-list">
             {selectedFiles.map((file, index) => (
+              <React.Fragment key={`${file.name}-${index}`}>
               <div 
-                key={`${file.name}-${index}`} 
                 className={`pdf-file-item ${fileStatus[file.name] || ''}`}
               >
                 <div className="pdf-file-icon">
@@ -318,19 +614,38 @@ const PdfUploadForm = ({ onProcessPdfs, isProcessing, isDisabled, processingSucc
                     {file.name}
                   </div>
                   <div className="pdf-file-size">{formatFileSize(file.size)}</div>
+                  {renderFileProgress(file.name)}
                 </div>
                 <div className="pdf-file-status">
                   {renderFileStatusIcon(file.name)}
                 </div>
-                <button
-                  onClick={() => handleRemoveFile(file.name)}
-                  disabled={isProcessing || isCheckingStorage}
-                  className="pdf-file-remove"
-                  aria-label={`Hapus ${file.name}`}
-                >
-                  <X size={16} />
-                </button>
+                {fileStatus[file.name] === 'processing' && onCancelFile ? (
+                  <button
+                    onClick={() => onCancelFile(file.name)}
+                    disabled={['indexing', 'cancelled'].includes(progress[file.name]?.stage)}
+                    className="pdf-file-remove"
+                    aria-label={`Batalkan ${file.name}`}
+                    title="Batalkan pemrosesan file ini"
+                  >
+                    <X size={16} />
+                  </button>
+                ) : (
+                  <button
+                    onClick={() => handleRemoveFile(file.name)}
+                    disabled={isProcessing}
+                    className="pdf-file-remove"
+                    aria-label={`Hapus ${file.name}`}
+                  >
+                    <X size={16} />
+                  </button>
+                )}
               </div>
+              {renderVersionSelect(file)}
+              {renderPageRangeInput(file)}
+              {renderChunkingSelect(file)}
+              {renderPasswordForm(file)}
+              {renderDuplicateNotice(file)}
+              </React.Fragment>
             ))}
           </div>
         </div>
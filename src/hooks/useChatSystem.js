@@ -4,6 +4,7 @@ import { queryWithRAG, getActiveDocumentIds } from '../services/geminiService';
 import { 
   deleteConversationAndDocuments,
   removeDocumentFromConversation,
+  setConversationDocumentVersion,
   getStorageUsage
 } from '../services/documentService';
 
@@ -382,6 +383,12 @@ const useChatSystem = (apiKey, userId) => {
         const assistantTimestamp = new Date();
         const assistantMessageContent = response?.text || "Maaf, saya tidak bisa memproses permintaan Anda saat ini.";
         
+        // Sitasi yang merujuk gambar disimpan bersama pesan agar thumbnail-nya dapat ditampilkan
+        const figureCitations = (response?.citations || [])
+          .filter(citation => citation.documentId && citation.figures?.length > 0)
+          .map(({ documentId, source, location, figures }) => ({ documentId, source, location, figures }));
+        const assistantMetadata = figureCitations.length > 0 ? { figureCitations } : undefined;
+        
         // Replace typing indicator with real response by updating messages state
         setMessages(prevMessages => 
           prevMessages.map(msg => 
@@ -390,7 +397,8 @@ const useChatSystem = (apiKey, userId) => {
                   ...msg, 
                   content: assistantMessageContent,
                   isTypingIndicator: false,
-                  timestamp: assistantTimestamp
+                  timestamp: assistantTimestamp,
+                  metadata: assistantMetadata
                 } 
               : msg
           )
@@ -410,6 +418,7 @@ const useChatSystem = (apiKey, userId) => {
             user_id: userId,
             role: 'assistant',
             content: assistantMessageContent,
+            ...(assistantMetadata ? { metadata: assistantMetadata } : {}),
             created_at: assistantTimestamp.toISOString()
           }
         ];
@@ -633,6 +642,31 @@ const useChatSystem = (apiKey, userId) => {
     }
   }, [currentConversationId, loadStorageInfo]);
 
+  // Pin a document version for a conversation, or follow the latest version again (documentId = null)
+  const selectDocumentVersion = useCallback(async (conversationId, versionGroupId, documentId) => {
+    if (!conversationId || !versionGroupId) return null;
+    
+    try {
+      setError(null);
+      
+      const documentVersions = await setConversationDocumentVersion(conversationId, versionGroupId, documentId);
+      
+      setConversations(prev => prev.map(conv =>
+        conv.id === conversationId ? { ...conv, document_versions: documentVersions } : conv
+      ));
+      
+      if (conversationId === currentConversationId) {
+        setActiveConversation(prev => prev ? { ...prev, document_versions: documentVersions } : prev);
+      }
+      
+      return documentVersions;
+    } catch (err) {
+      console.error('Error selecting document version:', err);
+      setError('Gagal mengubah versi dokumen: ' + err.message);
+      return null;
+    }
+  }, [currentConversationId]);
+
   // Clear all conversations
   const clearAllConversations = useCallback(async () => {
     if (!userId) return;
@@ -773,7 +807,8 @@ const useChatSystem = (apiKey, userId) => {
     clearChatError,
     clearAllConversations,
     setActiveConversationId: setCurrentConversationId,
-    deleteDocumentFromConversation
+    deleteDocumentFromConversation,
+    selectDocumentVersion
   };
 };
 
@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { 
   initializeGemini, 
   isGeminiInitialized, 
@@ -8,20 +8,41 @@ import {
   reloadRAGContext,
   getActiveDocumentIds,
   isDocumentInRagSystem,
-  cleanRAGSystem
+  cleanRAGSystem,
+  loadStoredDocumentForRag
 } from '../services/geminiService';
-import { getPdfText } from '../services/pdfService';
+import { getFileExtension, getMaxFileSize, isPdfPasswordError } from '../services/pdfService';
+import { extractDocumentText } from '../services/documentExtractionService';
+import { getVersionInfo } from '../utils/documentVersions';
+import { detectDocumentLanguage } from '../utils/languageDetection';
+import { formatPageRanges } from '../utils/pageRanges';
+import { findReferenceList } from '../utils/bibliography';
+import { DEFAULT_CHUNKING_STRATEGY } from '../utils/textChunking';
 import { 
   saveDocument, 
   getDocuments, 
   deleteDocument, 
   getDocumentContent,
-  updateDocumentUsage
+  updateDocumentUsage,
+  findDocumentByContentHash,
+  getDocumentVersions,
+  storeDocumentFigures,
+  storeDocumentReferences,
+  hasEnoughStorage
 } from '../services/documentService';
+import { createIngestionJob, updateIngestionJob, getUnfinishedIngestionJobs, getIngestionJobSourceText } from '../services/ingestionJobService';
+import { openDocumentArchive } from '../services/archiveService';
+import { computeFileHash } from '../utils/fileHash';
 import { handleError } from '../utils/errorUtils';
 import { useSupabaseContext } from '../utils/supabaseClient';
 import { v4 as uuidv4 } from 'uuid';
 
+// Selama ekstraksi, job ingest diperbarui paling sering sekali per interval ini agar tidak dianggap terputus
+const JOB_HEARTBEAT_MS = 30 * 1000;
+
+// Kedalaman maksimum arsip ZIP di dalam arsip; arsip yang lebih dalam tidak dibuka
+const MAX_ARCHIVE_DEPTH = 3;
+
 /**
  * Custom hook for managing the RAG (Retrieval Augmented Generation) system
  * @param {string} apiKey - API key for Gemini AI
@@ -34,6 +55,17 @@ export const useRagSystem = (apiKey) => {
   const [processedDocuments, setProcessedDocuments] = useState([]);
   const [isRagReady, setIsRagReady] = useState(false);
   const [isSystemReady, setIsSystemReady] = useState(false);
+  // PDF terenkripsi yang menunggu kata sandi: [{ name, code }]
+  const [lockedFiles, setLockedFiles] = useState([]);
+  // File yang isinya identik dengan dokumen tersimpan: [{ name, document }]
+  const [duplicateFiles, setDuplicateFiles] = useState([]);
+  // Unggahan yang terputus atau gagal setelah dokumennya tersimpan (baris ingestion_jobs)
+  const [unfinishedJobs, setUnfinishedJobs] = useState([]);
+  // Progres per file: { [fileName]: { stage, page, pageCount, embeddedBatches, totalBatches } }
+  // stage: 'queued' | 'extracting' | 'indexing' | 'done' | 'failed' | 'cancelled' | 'duplicate'
+  const [extractionProgress, setExtractionProgress] = useState({});
+  // AbortController untuk setiap file dalam batch yang sedang diproses
+  const fileControllersRef = useRef(new Map());
   const [ragMetrics, setRagMetrics] = useState({
     documentsProcessed: 0,
     totalTokensUsed: 0,
@@ -52,10 +84,17 @@ export const useRagSystem = (apiKey) => {
       setDocuments(docs);
       setProcessedDocuments(docs);
       
+      const jobs = await getUnfinishedIngestionJobs().catch((jobError) => {
+        console.warn('Could not load unfinished ingestion jobs:', jobError);
+        return [];
+      });
+      setUnfinishedJobs(jobs);
+      
       // Check if documents need to be reloaded into RAG system
       if (isGeminiInitialized()) {
-        const activeDocIds = new Set(getActiveDocumentIds());
-        const docsToLoad = docs.filter(doc => !activeDocIds.has(doc.id));
+        // Partially indexed documents are only added once their job is resumed
+        const skippedDocIds = new Set([...getActiveDocumentIds(), ...jobs.map(job => job.document_id)]);
+        const docsToLoad = docs.filter(doc => !skippedDocIds.has(doc.id));
         
         if (docsToLoad.length > 0) {
           // For each document, we need to get its content if not already loaded
@@ -107,8 +146,59 @@ export const useRagSystem = (apiKey) => {
     }
   }, [loadDocuments]);
   
+  const updateExtractionProgress = useCallback((fileName, progress) => {
+    setExtractionProgress(prev => ({ ...prev, [fileName]: { ...prev[fileName], ...progress } }));
+  }, []);
+  
+  // Muat ulang daftar unggahan yang belum selesai, misalnya setelah penyimpanan chunk gagal
+  const refreshUnfinishedJobs = useCallback(() =>
+    getUnfinishedIngestionJobs()
+      .then(setUnfinishedJobs)
+      .catch(jobError => console.warn('Could not load unfinished ingestion jobs:', jobError)), []);
+  
+  // Catat kemajuan pengindeksan ke job ingest dan ke progres file; kegagalan mencatat tidak menggagalkan unggahan
+  const createJobReporter = useCallback((jobId, fileName, reportFileProgress = progress => updateExtractionProgress(fileName, progress)) => async ({ error: ingestionError, ...changes }) => {
+    if (changes.totalBatches || changes.embeddedBatches) {
+      reportFileProgress({
+        stage: 'indexing',
+        ...(changes.totalBatches ? { totalBatches: changes.totalBatches } : {}),
+        ...(changes.embeddedBatches ? { embeddedBatches: changes.embeddedBatches } : {})
+      });
+    }
+    if (!jobId) return;
+    
+    let jobChanges = changes;
+    if (ingestionError) {
+      jobChanges = { status: 'failed', error: ingestionError };
+    } else if (changes.stage === 'stored') {
+      // Teks sumber hanya diperlukan untuk melanjutkan unggahan
+      jobChanges = { ...changes, status: 'completed', sourceText: null };
+    }
+    await updateIngestionJob(jobId, jobChanges).catch(jobError => console.warn(`Could not update ingestion job for ${fileName}:`, jobError));
+    
+    // The document is only partially indexed; show it with the other unfinished uploads right away
+    if (ingestionError) await refreshUnfinishedJobs();
+  }, [updateExtractionProgress, refreshUnfinishedJobs]);
+  
+  // Batalkan satu file; file yang sudah mulai diindeks tetap diselesaikan agar tidak tersimpan setengah
+  const cancelFileProcessing = useCallback((fileName) => {
+    fileControllersRef.current.get(fileName)?.abort();
+  }, []);
+  
+  // Batalkan seluruh batch yang sedang diproses
+  const cancelAllProcessing = useCallback(() => {
+    fileControllersRef.current.forEach(controller => controller.abort());
+  }, []);
+  
   // Process a PDF file for RAG
-  const processPdfForRag = useCallback(async (files) => {
+  // Files are processed one at a time as a queue, and every document is published as soon as it is indexed,
+  // so large batches can be queried while the rest is still processing. ZIP archives of documents are opened
+  // in the browser and each supported file inside joins the queue, tagged with its folder path
+  // options.passwords maps file names to passwords for encrypted PDFs; they are only used for extraction
+  // options.versionOf maps file names to an existing document ID; the file is stored as that document's next version
+  // options.pageRanges maps PDF file names to the page ranges to extract, e.g. [[1, 20], [45, 60]]
+  // options.chunkingStrategies maps file names to a key of CHUNKING_STRATEGIES; the default is fixed-size chunks
+  const processPdfForRag = useCallback(async (files, { passwords = {}, versionOf = {}, pageRanges = {}, chunkingStrategies = {} } = {}) => {
     setIsLoading(true);
     setError(null);
     
@@ -116,11 +206,230 @@ export const useRagSystem = (apiKey) => {
       files = [files];
     }
     
-    if (documents.length + files.length > 15) {
-      setError('Maximum number of documents (15) reached. Please delete some documents first.');
-      setIsLoading(false);
-      return null;
-    }
+    const fileNames = new Set(files.map(file => file.name));
+    setLockedFiles(prev => prev.filter(locked => !fileNames.has(locked.name)));
+    setDuplicateFiles(prev => prev.filter(duplicate => !fileNames.has(duplicate.name)));
+    
+    // Siapkan controller untuk semua file sejak awal agar file yang masih antre juga dapat dibatalkan
+    files.forEach(file => fileControllersRef.current.set(file.name, new AbortController()));
+    setExtractionProgress(prev => {
+      const next = { ...prev };
+      files.forEach(file => { next[file.name] = { stage: 'queued' }; });
+      return next;
+    });
+    
+    // Make an indexed document available right away instead of waiting for the whole queue
+    const publishDocument = (document) => {
+      const addIfMissing = prev => (prev.some(doc => doc.id === document.id) ? prev : [...prev, document]);
+      setDocuments(addIfMissing);
+      setProcessedDocuments(addIfMissing);
+      setIsRagReady(true);
+      setIsSystemReady(true);
+      setRagMetrics(prev => ({ ...prev, documentsProcessed: prev.documentsProcessed + 1 }));
+    };
+    
+    // Extract, store, and index one file
+    // reportProgress updates the progress of the file, or of the archive the file came from
+    // Identical stored documents are offered for reuse, or loaded directly when reuseDuplicates is set (archive entries)
+    // Returns { status: 'processed' | 'duplicate' | 'failed' | 'cancelled' | 'locked', document, reason }
+    const ingestFile = async (file, { password, pageRanges: filePageRanges, versionOfId, chunkingStrategy, tags = [], signal, reportProgress: reportFileProgress, reuseDuplicates = false }) => {
+      console.log(`Processing document file: ${file.name}`);
+      let job = null;
+      
+      try {
+        // Identical files that are already stored can be reused instead of re-embedding every chunk
+        const contentHash = await computeFileHash(file).catch(() => null);
+        const existingDocument = contentHash && userId
+          ? await findDocumentByContentHash(contentHash).catch((hashError) => {
+              console.warn(`Duplicate check failed for ${file.name}, processing it as a new document:`, hashError);
+              return null;
+            })
+          : null;
+        
+        // A stored copy with a different page selection or chunking strategy is not a duplicate
+        const samePages = formatPageRanges(existingDocument?.metadata?.pageRanges || []) === formatPageRanges(filePageRanges || []);
+        const sameChunking = (existingDocument?.metadata?.chunkingStrategy || DEFAULT_CHUNKING_STRATEGY) ===
+          (chunkingStrategy || DEFAULT_CHUNKING_STRATEGY);
+        
+        if (existingDocument && samePages && sameChunking) {
+          console.log(`${file.name} is identical to stored document ${existingDocument.id}`);
+          if (!reuseDuplicates) {
+            return { status: 'duplicate', document: existingDocument };
+          }
+          
+          const document = {
+            ...existingDocument,
+            filename: existingDocument.metadata?.originalFilename || file.name,
+            pageCount: existingDocument.page_count,
+            createdAt: existingDocument.created_at
+          };
+          if (!isDocumentInRagSystem(document.id)) {
+            await loadStoredDocumentForRag(document, userId, apiKey);
+          }
+          return { status: 'processed', document };
+        }
+        
+        // Earlier uploads of this file that stopped before the document was saved are replaced by this one
+        const replacedJobs = contentHash
+          ? unfinishedJobs.filter(unfinished => !unfinished.document_id && unfinished.content_hash === contentHash)
+          : [];
+        if (replacedJobs.length > 0) {
+          await Promise.all(replacedJobs.map(replaced => updateIngestionJob(replaced.id, { status: 'cancelled', sourceText: null }).catch(() => null)));
+          setUnfinishedJobs(prev => prev.filter(unfinished => !replacedJobs.includes(unfinished)));
+        }
+        
+        // Record every stage so the upload can resume if the tab is reloaded
+        job = userId
+          ? await createIngestionJob({ filename: file.name, contentHash }).catch((jobError) => {
+              console.warn(`Could not create ingestion job for ${file.name}:`, jobError);
+              return null;
+            })
+          : null;
+        const reportProgress = createJobReporter(job?.id, file.name, reportFileProgress);
+        let lastHeartbeat = Date.now();
+        
+        reportFileProgress({ stage: 'extracting' });
+        
+        // Extract text in a Web Worker so large files don't freeze the UI
+        const { text, pageCount, ocr, cleanup, outline, documentInfo, pageRanges: extractedPages, figures, sheets } = await extractDocumentText(file, {
+          password,
+          pageRanges: filePageRanges,
+          signal,
+          onProgress: ({ page, pageCount: totalPages }) => {
+            reportFileProgress({ page, pageCount: totalPages });
+            if (job && Date.now() - lastHeartbeat > JOB_HEARTBEAT_MS) {
+              lastHeartbeat = Date.now();
+              reportProgress({});
+            }
+          }
+        });
+        
+        // Last chance to cancel before anything is saved
+        signal.throwIfAborted();
+        
+        if (!text || text.trim() === '') {
+          console.warn(`Failed to extract text from document: ${file.name}. The file may be corrupted or password protected.`);
+          if (job) await updateIngestionJob(job.id, { status: 'failed', error: 'Failed to extract text' }).catch(() => null);
+          return { status: 'failed', reason: 'Failed to extract text' };
+        }
+        
+        // The quota counts stored text, so it is checked against the extracted text rather than the file size
+        // (a ZIP archive or a scanned PDF is much larger than its text). Each document in the queue is
+        // checked after the previous one is saved, so the batch as a whole stays within the limit
+        if (userId && !(await hasEnoughStorage(text.length))) {
+          const reason = 'Penyimpanan tidak cukup. Batas penyimpanan 100MB. Hapus beberapa dokumen lama terlebih dahulu.';
+          if (job) await updateIngestionJob(job.id, { status: 'failed', error: reason }).catch(() => null);
+          return { status: 'failed', reason };
+        }
+        
+        const language = detectDocumentLanguage(text);
+        const references = findReferenceList(text)?.entries || [];
+        
+        // A new version joins the group of the document it revises and builds on its latest version,
+        // keeping its chunking strategy unless another one was chosen
+        let version = null;
+        let documentChunkingStrategy = chunkingStrategy;
+        if (versionOfId && userId) {
+          const versions = await getDocumentVersions(versionOfId);
+          const latest = versions[versions.length - 1];
+          const { groupId, version: latestVersion } = getVersionInfo(latest);
+          version = { title: latest.title, groupId, number: latestVersion + 1, previousVersionId: latest.id };
+          documentChunkingStrategy = documentChunkingStrategy || latest.metadata?.chunkingStrategy;
+        }
+        
+        // Create document object
+        const documentId = uuidv4();
+        const document = {
+          id: documentId,
+          filename: file.name,
+          title: version?.title || file.name.slice(0, file.name.length - getFileExtension(file.name).length),
+          sizeBytes: file.size,
+          pageCount,
+          text,
+          metadata: {
+            ...(ocr ? { ocr } : {}),
+            ...(cleanup ? { cleanup } : {}),
+            ...(outline.length > 0 ? { outline } : {}),
+            // Nama sheet CSV/XLSX sesuai urutan penanda Sheet, untuk sitasi seperti "Sheet1 baris 40-80"
+            ...(sheets.length > 0 ? { sheets } : {}),
+            // Halaman yang diekstrak jika hanya sebagian PDF yang dipilih; pageCount tetap jumlah halaman PDF
+            ...(extractedPages ? { pageRanges: extractedPages } : {}),
+            // Daftar gambar untuk menghubungkan chunk dengan gambarnya; caption dan thumbnail disimpan di document_figures
+            ...(figures.length > 0 ? { figures: figures.map(({ number, label, page }) => ({ number, label, page })) } : {}),
+            // Strategi chunking selain ukuran tetap, misalnya "structure" untuk chunk per bagian dokumen
+            ...(documentChunkingStrategy && documentChunkingStrategy !== DEFAULT_CHUNKING_STRATEGY
+              ? { chunkingStrategy: documentChunkingStrategy }
+              : {}),
+            // Jumlah entri daftar pustaka; entrinya disimpan di document_references
+            ...(references.length > 0 ? { referenceCount: references.length } : {}),
+            // Judul, penulis, subjek, kata kunci, dan tanggal dari metadata PDF
+            ...(documentInfo ? { documentInfo } : {}),
+            // Bahasa utama dan porsi paragraf berbahasa Indonesia/Inggris
+            ...(language ? { language } : {}),
+            // Folder asal di dalam arsip ZIP, misalnya "paket-kuliah/minggu-1"
+            ...(tags.length > 0 ? { tags } : {}),
+            ...(contentHash ? { contentHash } : {}),
+            ...(version ? {
+              versionGroupId: version.groupId,
+              version: version.number,
+              previousVersionId: version.previousVersionId
+            } : {})
+          },
+          createdAt: new Date().toISOString(),
+          userId: userId || null
+        };
+        
+        reportFileProgress({ stage: 'indexing' });
+        
+        // Save document to storage first to ensure it exists; chunks are stored under its database ID
+        document.id = await saveDocument(document);
+        
+        console.log(`Document saved to storage: ${document.id}`);
+        // The extracted text is kept with the job as is, so a resumed upload splits exactly the same chunks
+        await reportProgress({ stage: 'extracted', documentId: document.id, sourceText: text });
+        
+        // Figures are optional; a failure here should not fail the whole upload
+        if (figures.length > 0 && userId) {
+          await storeDocumentFigures(document.id, figures).catch(figureError =>
+            console.warn(`Could not store figures for ${file.name}:`, figureError)
+          );
+        }
+        
+        if (references.length > 0 && userId) {
+          await storeDocumentReferences(document.id, references).catch(referenceError =>
+            console.warn(`Could not store references for ${file.name}:`, referenceError)
+          );
+        }
+        
+        // Process document for RAG - this will throw an error if it fails
+        await processDocumentForRag(document, userId, apiKey, {
+          previousVersionId: version?.previousVersionId,
+          onProgress: reportProgress
+        });
+        
+        console.log(`Document processed for RAG: ${document.id}`);
+        return { status: 'processed', document };
+      } catch (docError) {
+        if (job) {
+          await updateIngestionJob(job.id, docError.name === 'AbortError'
+            ? { status: 'cancelled', sourceText: null }
+            : { status: 'failed', error: docError.message }
+          ).catch(() => null);
+          await refreshUnfinishedJobs();
+        }
+        
+        if (docError.name === 'AbortError') {
+          console.log(`Processing cancelled for ${file.name}`);
+          return { status: 'cancelled' };
+        }
+        
+        console.error(`Error processing document ${file.name}:`, docError);
+        if (isPdfPasswordError(docError)) {
+          return { status: 'locked', code: docError.code, reason: docError.message };
+        }
+        return { status: 'failed', reason: docError.message };
+      }
+    };
     
     try {
       // Auto-initialize with apiKey if not already initialized
@@ -138,67 +447,141 @@ export const useRagSystem = (apiKey) => {
       
       const processedDocs = [];
       const failedFiles = [];
+      const cancelledFiles = [];
+      const skippedDuplicates = [];
       
-      // Process each file
+      // Process the queue one file at a time
       for (const file of files) {
-        console.log(`Processing PDF file: ${file.name}`);
+        const { signal } = fileControllersRef.current.get(file.name);
+        const reportProgress = (progress) => updateExtractionProgress(file.name, progress);
         
-        try {
-          // Extract text from PDF
-          const { text, pageCount } = await getPdfText(file);
+        // Archives of documents are expanded; a zipped LaTeX project stays a single document
+        const archiveEntries = getFileExtension(file.name) === '.zip'
+          ? await openDocumentArchive(file).catch((archiveError) => {
+              failedFiles.push({ name: file.name, reason: archiveError.message });
+              return [];
+            })
+          : null;
+        
+        if (archiveEntries) {
+          const archiveProcessed = [];
+          // Entries of nested archives are inserted right after the archive that contains them
+          const pendingEntries = archiveEntries.map(entry => ({ ...entry, depth: 1 }));
           
-          if (!text || text.trim() === '') {
-            console.warn(`Failed to extract text from PDF: ${file.name}. The file may be corrupted or password protected.`);
-            failedFiles.push({ name: file.name, reason: 'Failed to extract text' });
-            continue;
+          for (let index = 0; index < pendingEntries.length; index++) {
+            const entry = pendingEntries[index];
+            if (signal.aborted) {
+              cancelledFiles.push(`${file.name}/${entry.path}`);
+              continue;
+            }
+            
+            // Every entry is decompressed only when it is its turn; a corrupt or encrypted entry
+            // fails on its own and the rest of the archive is still processed
+            reportProgress({ stage: 'extracting', archiveIndex: index + 1, archiveCount: pendingEntries.length, currentFile: entry.path, page: null, pageCount: null });
+            let entryFile;
+            try {
+              entryFile = await entry.load();
+            } catch (loadError) {
+              console.error(`Error reading ${entry.path} from ${file.name}:`, loadError);
+              failedFiles.push({ name: `${file.name}/${entry.path}`, reason: loadError.message });
+              continue;
+            }
+            
+            // The size limit applies to every file in the archive, not to the archive as a whole
+            if (entryFile.size > getMaxFileSize(entryFile)) {
+              failedFiles.push({ name: `${file.name}/${entry.path}`, reason: `File is larger than ${getMaxFileSize(entryFile) / 1024 / 1024}MB` });
+              continue;
+            }
+            
+            // A ZIP inside the archive is expanded the same way; only a zipped LaTeX project is ingested as one document
+            if (getFileExtension(entry.name) === '.zip') {
+              if (entry.depth >= MAX_ARCHIVE_DEPTH) {
+                failedFiles.push({ name: `${file.name}/${entry.path}`, reason: `ZIP archives nested more than ${MAX_ARCHIVE_DEPTH} levels deep are not processed` });
+                continue;
+              }
+              
+              let nestedEntries;
+              try {
+                nestedEntries = await openDocumentArchive(entryFile);
+              } catch (archiveError) {
+                failedFiles.push({ name: `${file.name}/${entry.path}`, reason: archiveError.message });
+                continue;
+              }
+              
+              if (nestedEntries) {
+                if (nestedEntries.length === 0) {
+                  failedFiles.push({ name: `${file.name}/${entry.path}`, reason: 'ZIP archive does not contain any supported documents' });
+                }
+                pendingEntries.splice(index + 1, 0, ...nestedEntries.map(nested => ({
+                  ...nested,
+                  path: `${entry.path}/${nested.path}`,
+                  folder: `${entry.folder}/${nested.folder}`,
+                  depth: entry.depth + 1
+                })));
+                continue;
+              }
+            }
+            
+            const result = await ingestFile(entryFile, {
+              tags: [entry.folder],
+              // Files in an archive use the chunking strategy chosen for the archive
+              chunkingStrategy: chunkingStrategies[file.name],
+              signal,
+              // Progress of the archive is counted per file
+              reportProgress: () => {},
+              reuseDuplicates: true
+            });
+            
+            if (result.status === 'processed') {
+              archiveProcessed.push(result.document);
+              publishDocument(result.document);
+            } else if (result.status === 'cancelled') {
+              cancelledFiles.push(`${file.name}/${entry.path}`);
+            } else {
+              failedFiles.push({ name: `${file.name}/${entry.path}`, reason: result.status === 'locked' ? 'PDF dilindungi kata sandi' : result.reason });
+            }
           }
           
-          // Create document object
-          const documentId = uuidv4();
-          const document = {
-            id: documentId,
-            filename: file.name,
-            title: file.name.replace('.pdf', ''),
-            sizeBytes: file.size,
-            pageCount,
-            text,
-            createdAt: new Date().toISOString(),
-            userId: userId || null
-          };
-          
-          // Save document to storage first to ensure it exists
-          await saveDocument(document);
-          
-          console.log(`Document saved to storage: ${documentId}`);
-          
-          // Process document for RAG - this will throw an error if it fails
-          await processDocumentForRag(document, userId, apiKey);
-          
-          console.log(`Document processed for RAG: ${documentId}`);
-          
-          // Add to processed documents list
-          processedDocs.push(document);
-        } catch (docError) {
-          console.error(`Error processing document ${file.name}:`, docError);
-          failedFiles.push({ name: file.name, reason: docError.message });
+          if (archiveEntries.length === 0 && failedFiles.every(failed => failed.name !== file.name)) {
+            failedFiles.push({ name: file.name, reason: 'ZIP archive does not contain any supported documents' });
+          }
+          processedDocs.push(...archiveProcessed);
+          reportProgress({ stage: archiveProcessed.length > 0 ? 'done' : signal.aborted ? 'cancelled' : 'failed' });
+          continue;
+        }
+        
+        const result = await ingestFile(file, {
+          password: passwords[file.name],
+          pageRanges: pageRanges[file.name],
+          versionOfId: versionOf[file.name],
+          chunkingStrategy: chunkingStrategies[file.name],
+          signal,
+          reportProgress
+        });
+        
+        if (result.status === 'processed') {
+          processedDocs.push(result.document);
+          publishDocument(result.document);
+          reportProgress({ stage: 'done' });
+        } else if (result.status === 'duplicate') {
+          skippedDuplicates.push(file.name);
+          setDuplicateFiles(prev => [...prev, { name: file.name, document: result.document }]);
+          reportProgress({ stage: 'duplicate' });
+        } else if (result.status === 'cancelled') {
+          cancelledFiles.push(file.name);
+          reportProgress({ stage: 'cancelled' });
+        } else {
           // Continue with other documents instead of failing everything
+          failedFiles.push({ name: file.name, reason: result.reason });
+          reportProgress({ stage: 'failed' });
+          if (result.status === 'locked') {
+            setLockedFiles(prev => [...prev, { name: file.name, code: result.code }]);
+          }
         }
       }
       
-      // Update UI state even if some documents failed
+      // Documents were already published one by one; report what did not make it
       if (processedDocs.length > 0) {
-        // Update documents state
-        setDocuments(prev => [...prev, ...processedDocs]);
-        setProcessedDocuments(prev => [...prev, ...processedDocs]);
-        setIsRagReady(true);
-        setIsSystemReady(true);
-        
-        // Update metrics
-        setRagMetrics(prev => ({
-          ...prev,
-          documentsProcessed: prev.documentsProcessed + processedDocs.length
-        }));
-        
         // If some files failed but others succeeded, still consider it a partial success
         if (failedFiles.length > 0) {
           const failedNames = failedFiles.map(f => f.name).join(', ');
@@ -206,6 +589,10 @@ export const useRagSystem = (apiKey) => {
         }
         
         return processedDocs;
+      } else if (failedFiles.length === 0 && (cancelledFiles.length > 0 || skippedDuplicates.length > 0)) {
+        // Semua file dibatalkan atau menunggu keputusan pakai ulang dokumen yang ada; ini bukan error
+        console.log(`No new documents indexed. Cancelled: ${cancelledFiles.length}, duplicates: ${skippedDuplicates.length}`);
+        return null;
       } else {
         throw new Error(`No documents were successfully processed. Errors: ${failedFiles.map(f => `${f.name} (${f.reason})`).join(', ')}`);
       }
@@ -214,10 +601,124 @@ export const useRagSystem = (apiKey) => {
       setError(err.message || 'Failed to process PDF');
       handleError(err);
       return null;
+    } finally {
+      files.forEach(file => fileControllersRef.current.delete(file.name));
+      setIsLoading(false);
+    }
+  }, [userId, apiKey, updateExtractionProgress, unfinishedJobs, createJobReporter, refreshUnfinishedJobs]);
+  
+  // Continue an interrupted or failed upload from the last stored batch, using the text saved with the document
+  const resumeIngestionJob = useCallback(async (jobId) => {
+    const job = unfinishedJobs.find(item => item.id === jobId);
+    if (!job?.document_id) return null;
+    
+    setIsLoading(true);
+    setError(null);
+    
+    try {
+      if (!isGeminiInitialized()) {
+        throw new Error('Gemini API not initialized. Please enter API key first.');
+      }
+      
+      const stored = documents.find(doc => doc.id === job.document_id);
+      if (!stored) {
+        throw new Error(`Document for ${job.filename} no longer exists`);
+      }
+      
+      // The stored document content has its newlines replaced, so splitting it again would give
+      // different chunks than the batches already stored; only the text saved with the job is used
+      const text = await getIngestionJobSourceText(job.id);
+      if (!text) {
+        throw new Error(`The extracted text of ${job.filename} was not saved with this upload; delete the document and upload the file again`);
+      }
+      
+      const document = {
+        ...stored,
+        filename: stored.metadata?.originalFilename || job.filename,
+        pageCount: stored.page_count,
+        createdAt: stored.created_at,
+        text
+      };
+      
+      await updateIngestionJob(job.id, { status: 'running', error: null });
+      updateExtractionProgress(job.filename, { stage: 'indexing', embeddedBatches: job.stored_batches, totalBatches: job.total_batches });
+      
+      // A failed run is resumed again with the batches it managed to store
+      await processDocumentForRag(document, userId, apiKey, {
+        previousVersionId: stored.metadata?.previousVersionId,
+        storedBatches: job.stored_batches,
+        onProgress: createJobReporter(job.id, job.filename)
+      });
+      
+      await refreshUnfinishedJobs();
+      updateExtractionProgress(job.filename, { stage: 'done' });
+      setIsRagReady(true);
+      setIsSystemReady(true);
+      
+      return document;
+    } catch (err) {
+      console.error(`Error resuming ingestion of ${job.filename}:`, err);
+      await updateIngestionJob(job.id, { status: 'failed', error: err.message }).catch(() => null);
+      await refreshUnfinishedJobs();
+      updateExtractionProgress(job.filename, { stage: 'failed' });
+      setError(err.message || 'Failed to resume upload');
+      handleError(err);
+      return null;
+    } finally {
+      setIsLoading(false);
+    }
+  }, [unfinishedJobs, documents, userId, apiKey, updateExtractionProgress, createJobReporter, refreshUnfinishedJobs]);
+  
+  // Stop tracking an unfinished upload; a partially indexed document keeps the chunks it already stored
+  const dismissIngestionJob = useCallback(async (jobId) => {
+    try {
+      await updateIngestionJob(jobId, { status: 'cancelled', sourceText: null });
+      setUnfinishedJobs(prev => prev.filter(item => item.id !== jobId));
+    } catch (err) {
+      setError(err.message || 'Failed to dismiss upload');
+    }
+  }, []);
+  
+  // Use an existing identical document (own or shared) instead of uploading the file again
+  const reuseDuplicateDocument = useCallback(async (fileName) => {
+    const duplicate = duplicateFiles.find(item => item.name === fileName);
+    if (!duplicate) return null;
+    
+    setIsLoading(true);
+    setError(null);
+    
+    try {
+      const existing = duplicate.document;
+      const document = {
+        ...existing,
+        filename: existing.metadata?.originalFilename || fileName,
+        pageCount: existing.page_count,
+        createdAt: existing.created_at
+      };
+      
+      // Load stored chunks and embeddings; nothing is re-embedded or stored again
+      if (!isDocumentInRagSystem(document.id)) {
+        await loadStoredDocumentForRag(document, userId, apiKey);
+      }
+      
+      const addIfMissing = prev => (prev.some(doc => doc.id === document.id) ? prev : [...prev, document]);
+      setDocuments(addIfMissing);
+      setProcessedDocuments(addIfMissing);
+      setDuplicateFiles(prev => prev.filter(item => item.name !== fileName));
+      updateExtractionProgress(fileName, { stage: 'done' });
+      setIsRagReady(true);
+      setIsSystemReady(true);
+      
+      return document;
+    } catch (err) {
+      console.error(`Error reusing existing document for ${fileName}:`, err);
+      setError(err.message || 'Failed to reuse existing document');
+      handleError(err);
+      return null;
     } finally {
       setIsLoading(false);
     }
-  }, [documents, userId, apiKey]);
+  }, [duplicateFiles, userId, apiKey, updateExtractionProgress]);
   
   // Execute a RAG query
   const executeQuery = useCallback(async (query) => {
@@ -378,10 +879,19 @@ export const useRagSystem = (apiKey) => {
     documents,
     isSystemReady,
     processedDocuments,
+    lockedFiles,
+    duplicateFiles,
+    unfinishedJobs,
+    extractionProgress,
     isRagReady,
     ragMetrics,
     initializeSystem,
     processPdfForRag,
+    cancelFileProcessing,
+    cancelAllProcessing,
+    reuseDuplicateDocument,
+    resumeIngestionJob,
+    dismissIngestionJob,
     executeQuery,
     removeDocument,
     isDocumentInSystem,
@@ -0,0 +1,67 @@
+import JSZip from 'jszip';
+import { SUPPORTED_DOCUMENT_TYPES, getFileExtension, isSupportedDocument } from './pdfService';
+
+/**
+ * Cek apakah entri arsip adalah file sistem yang tidak perlu diproses, misalnya metadata macOS atau file tersembunyi
+ * @param {string} path - Path entri di dalam arsip
+ * @returns {boolean} - True jika entri diabaikan
+ */
+const isIgnoredEntry = (path) =>
+  path.startsWith('__MACOSX/') || path.split('/').some(part => part.startsWith('.'));
+
+/**
+ * Cari MIME type dari ekstensi file, karena file di dalam ZIP tidak membawa MIME type
+ * @param {string} extension - Ekstensi file, misalnya ".pdf"
+ * @returns {string} - MIME type, atau string kosong jika tidak dikenal
+ */
+const getMimeType = (extension) =>
+  Object.keys(SUPPORTED_DOCUMENT_TYPES).find(type => SUPPORTED_DOCUMENT_TYPES[type].includes(extension)) || '';
+
+/**
+ * Buka arsip ZIP berisi dokumen, misalnya course pack berisi puluhan PDF dalam beberapa folder.
+ * Isi setiap file baru didekompresi saat gilirannya diproses agar arsip besar tidak dimuat sekaligus.
+ * Arsip yang hanya berisi file .tex adalah proyek LaTeX dan tetap diproses sebagai satu dokumen;
+ * arsip ZIP di dalam arsip dibuka lagi dengan fungsi ini saat gilirannya diproses
+ * @param {File} file - Arsip ZIP
+ * @returns {Promise<Array<{path: string, name: string, folder: string, load: Function}>|null>} - Dokumen di dalam arsip
+ *   dengan folder (diawali nama arsip) sebagai tag, atau null jika arsip adalah proyek LaTeX
+ */
+export const openDocumentArchive = async (file) => {
+  try {
+    const zip = await JSZip.loadAsync(file);
+    const archiveName = file.name.slice(0, file.name.length - getFileExtension(file.name).length);
+
+    const entries = zip
+      .file(/.*/)
+      .filter(entry => !isIgnoredEntry(entry.name) && isSupportedDocument({ name: entry.name, type: '' }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    const texCount = entries.filter(entry => getFileExtension(entry.name) === '.tex').length;
+    if (texCount > 0 && texCount === entries.length) {
+      return null;
+    }
+
+    return entries.map(entry => {
+      const slashIndex = entry.name.lastIndexOf('/');
+      const name = entry.name.slice(slashIndex + 1);
+      const extension = getFileExtension(name);
+
+      return {
+        path: entry.name,
+        name,
+        folder: slashIndex === -1 ? archiveName : `${archiveName}/${entry.name.slice(0, slashIndex)}`,
+        load: async () => {
+          try {
+            return new File([await entry.async('blob')], name, { type: getMimeType(extension) });
+          } catch (error) {
+            console.error(`Error reading ${entry.name} from ZIP archive:`, error);
+            throw new Error('Failed to read file from ZIP archive (corrupt or unsupported entry)');
+          }
+        }
+      };
+    });
+  } catch (error) {
+    console.error('Error opening ZIP archive:', error);
+    throw new Error('Failed to open ZIP archive');
+  }
+};
@@ -0,0 +1,112 @@
+import { getDocumentText, resolveDocumentExtension } from './pdfService';
+
+// Ekstraktor untuk jenis ini memakai DOMParser yang tidak tersedia di Web Worker,
+// jadi tetap dijalankan di main thread (ukurannya jauh lebih ringan daripada PDF)
+const MAIN_THREAD_EXTENSIONS = new Set(['.docx', '.epub', '.pptx', '.xlsx', '.html', '.htm']);
+
+let worker = null;
+let nextRequestId = 0;
+
+// Permintaan yang menunggu hasil dari worker, berdasarkan id
+const pendingRequests = new Map();
+
+/**
+ * Bangun kembali error yang dikirim dari worker, termasuk `code` untuk PDF terenkripsi
+ * @param {Object} data - Data error dari worker
+ * @returns {Error} - Error yang setara
+ */
+const deserializeError = ({ name, message, code, fileName }) => {
+  const error = new Error(message);
+  error.name = name;
+  if (code) error.code = code;
+  if (fileName) error.fileName = fileName;
+  return error;
+};
+
+const handleWorkerMessage = ({ data }) => {
+  const request = pendingRequests.get(data.id);
+  if (!request) return;
+
+  if (data.type === 'progress') {
+    request.onProgress?.(data.progress);
+    return;
+  }
+
+  pendingRequests.delete(data.id);
+  request.cleanup();
+
+  if (data.type === 'result') {
+    request.resolve(data.result);
+  } else {
+    request.reject(deserializeError(data.error));
+  }
+};
+
+const handleWorkerError = (event) => {
+  console.error('Document extraction worker crashed:', event.message || event);
+
+  // Gagalkan semua permintaan yang tersisa lalu buat worker baru pada permintaan berikutnya
+  pendingRequests.forEach((request) => {
+    request.cleanup();
+    request.reject(new Error('Failed to extract document text'));
+  });
+  pendingRequests.clear();
+
+  worker.terminate();
+  worker = null;
+};
+
+const getWorker = () => {
+  if (!worker) {
+    worker = new Worker(new URL('../workers/documentExtraction.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = handleWorkerMessage;
+    worker.onerror = handleWorkerError;
+  }
+  return worker;
+};
+
+/**
+ * Ekstrak teks dokumen di Web Worker dengan progres per halaman dan dukungan pembatalan.
+ * Hasil dan error sama dengan getDocumentText; pembatalan menghasilkan error bernama AbortError
+ * @param {File} file - File dokumen yang akan diproses
+ * @param {Object} options - Opsi ekstraksi
+ * @param {string} options.password - Kata sandi PDF terenkripsi (hanya dikirim ke worker, tidak disimpan)
+ * @param {Array<[number, number]>} options.pageRanges - Rentang halaman PDF yang diekstrak; kosong berarti semua halaman
+ * @param {Function} options.onProgress - Dipanggil dengan `{ page, pageCount }` setiap halaman PDF selesai
+ * @param {AbortSignal} options.signal - Signal untuk membatalkan ekstraksi
+ * @returns {Promise<{text: string, pageCount: number, ocr: Object|null, cleanup: Object|null, outline: Array<Object>, documentInfo: Object|null, pageRanges: Array<[number, number]>|null}>} - Teks dan metadata dokumen
+ */
+export const extractDocumentText = async (file, { password, pageRanges, onProgress, signal } = {}) => {
+  const extractionOptions = {
+    ...(password ? { password } : {}),
+    ...(pageRanges?.length > 0 ? { pageRanges } : {})
+  };
+
+  if (typeof Worker === 'undefined' || MAIN_THREAD_EXTENSIONS.has(resolveDocumentExtension(file))) {
+    return getDocumentText(file, { ...extractionOptions, onProgress, signal });
+  }
+
+  signal?.throwIfAborted();
+
+  return new Promise((resolve, reject) => {
+    const id = ++nextRequestId;
+
+    // Tolak langsung agar UI segera merespons; worker berhenti di halaman berikutnya
+    const handleAbort = () => {
+      pendingRequests.delete(id);
+      worker?.postMessage({ type: 'cancel', id });
+      reject(new DOMException(`Extraction of ${file.name} was cancelled`, 'AbortError'));
+    };
+
+    signal?.addEventListener('abort', handleAbort, { once: true });
+
+    pendingRequests.set(id, {
+      resolve,
+      reject,
+      onProgress,
+      cleanup: () => signal?.removeEventListener('abort', handleAbort)
+    });
+
+    getWorker().postMessage({ type: 'extract', id, file, options: extractionOptions });
+  });
+};
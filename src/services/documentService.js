@@ -2,6 +2,8 @@ import { supabase } from '../utils/supabaseClient';
 import { getCurrentUser } from './authService';
 import { compressDocumentText } from '../utils/documentCompression';
 import { clearRAGSystem, reloadRAGContext } from './geminiService';
+import { getVersionInfo, groupDocumentVersions } from '../utils/documentVersions';
+import { detectLanguage, getStopwords } from '../utils/languageDetection';
 
 /**
  * Helper function to get current user ID safely
@@ -45,8 +47,16 @@ const sanitizeString = (str) => {
     .replace(/\\u[0-9a-fA-F]{4}/g, '');
 };
 
+// Objects nested deeper than this inside metadata arrays are stored as JSON strings
+const MAX_METADATA_DEPTH = 3;
+
+// Arrays with one item per page, section, figure or sheet are stored in full; a long document can have
+// more than 1000 of them, and truncating would break citations and the OCR page list. Other arrays are capped
+const MAX_METADATA_ARRAY_LENGTH = 1000;
+const UNCAPPED_METADATA_ARRAYS = new Set(['outline', 'figures', 'sheets', 'pageRanges', 'pages']);
+
 // Add utility function to sanitize metadata objects more thoroughly
-const sanitizeMetadataObject = (obj) => {
+const sanitizeMetadataObject = (obj, depth = 0) => {
   if (!obj || typeof obj !== 'object') {
     return {};
   }
@@ -71,8 +81,7 @@ const sanitizeMetadataObject = (obj) => {
         sanitized[key] = value;
       } else if (Array.isArray(value)) {
         // Sanitize arrays with max length protection
-        sanitized[key] = value
-          .slice(0, 1000) // Safety limit for array length
+        sanitized[key] = (UNCAPPED_METADATA_ARRAYS.has(key) ? value : value.slice(0, MAX_METADATA_ARRAY_LENGTH))
           .map(item => {
             if (typeof item === 'string') {
               // Apply same enhanced string sanitization to array items
@@ -84,15 +93,20 @@ const sanitizeMetadataObject = (obj) => {
               return item;
             } else if (item === null) {
               return null;
+            } else if (Array.isArray(item) && item.every(element => typeof element === 'number')) {
+              // Number pairs such as page ranges [[1, 20], [45, 60]] stay arrays
+              return item.slice(0, 1000).map(element => (isNaN(element) || !isFinite(element) ? 0 : element));
             } else if (typeof item === 'object') {
-              // Recursively sanitize nested objects, but only one level deep to avoid loops
-              return JSON.stringify(sanitizeMetadataObject(item)).substring(0, 1000);
+              // Keep shallow objects (e.g. outline entries) as objects, stringify deeper ones to avoid loops
+              return depth < MAX_METADATA_DEPTH
+                ? sanitizeMetadataObject(item, depth + 1)
+                : JSON.stringify(sanitizeMetadataObject(item)).substring(0, 1000);
             }
             return null; // Default for unsupported types
           });
       } else if (typeof value === 'object') {
         // Recursively sanitize nested objects
-        sanitized[key] = sanitizeMetadataObject(value);
+        sanitized[key] = sanitizeMetadataObject(value, depth + 1);
       }
     } catch (error) {
       console.warn(`Error sanitizing metadata key "${key}":`, error);
@@ -106,7 +120,7 @@ const sanitizeMetadataObject = (obj) => {
 /**
  * Save a document object to storage
  * @param {Object} document - Document object with id, title, text content, and metadata
- * @returns {Promise<string>} - ID of the stored document
+ * @returns {Promise<string>} - Database ID of the stored document (differs from `document.id`, which is kept in metadata.documentId)
  */
 export const saveDocument = async (document) => {
   if (!document || !document.id || !document.title || !document.text) {
@@ -114,13 +128,14 @@ export const saveDocument = async (document) => {
   }
   
   // Extract relevant information
-  const { id, title, text, filename, sizeBytes, pageCount } = document;
+  const { id, title, text, filename, sizeBytes, pageCount, metadata = {} } = document;
   
   // Use existing storeDocument function with the extracted data
-  await storeDocument(
+  return storeDocument(
     title || filename, 
     text,
     { 
+      ...metadata,
       originalFilename: filename,
       pageCount: pageCount || 1,
       documentId: id,
@@ -128,8 +143,6 @@ export const saveDocument = async (document) => {
     },
     false // not public by default
   );
-  
-  return id;
 };
 
 /**
@@ -271,14 +284,25 @@ export const storeDocument = async (title, content, metadata = {}, isPublic = fa
   }
 };
 
+/**
+ * Chunk content in the form it is stored in document_chunks (control characters such as newlines become spaces).
+ * Use it on both sides when matching freshly split chunks against stored ones
+ * @param {string} content - Chunk content
+ * @returns {string} - Content as stored
+ */
+export const normalizeChunkContent = (content) => sanitizeString(content);
+
 /**
  * Store document chunks with embeddings for RAG
  * @param {string} documentId - ID of the parent document 
  * @param {Array<Object>} chunks - Array of document chunks with content and metadata
  * @param {Array<Array<number>>} embeddings - Array of embeddings corresponding to chunks
+ * @param {Object} options - Storage options
+ * @param {number} options.startIndex - chunk_index of the first chunk, when storing one batch of a larger document
+ * @param {number} options.totalChunks - Number of chunks in the whole document; stored chunks beyond it are removed
  * @returns {Promise<Array>} - IDs of the stored chunks
  */
-export const storeDocumentChunks = async (documentId, chunks, embeddings) => {
+export const storeDocumentChunks = async (documentId, chunks, embeddings, { startIndex = 0, totalChunks = null } = {}) => {
   const userId = await getCurrentUserId();
   if (!userId) throw new Error('User not logged in');
   
@@ -385,7 +409,7 @@ export const storeDocumentChunks = async (documentId, chunks, embeddings) => {
       return {
         document_id: documentId,
         user_id: userId,
-        chunk_index: index, // Use the array index as the chunk_index
+        chunk_index: startIndex + index, // Position of the chunk in the whole document
         content: chunk.content,
         metadata: metadataStr, // Use stringified metadata
         embedding: processedEmbeddings[index], // Use the processed embedding
@@ -476,14 +500,15 @@ export const storeDocumentChunks = async (documentId, chunks, embeddings) => {
     }
     
     // Clean up any extra chunks that are no longer needed
+    const chunkCount = totalChunks ?? startIndex + totalAttempted;
     try {
       await supabase
         .from('document_chunks')
         .delete()
         .eq('document_id', documentId)
-        .gte('chunk_index', totalAttempted);
+        .gte('chunk_index', chunkCount);
       
-      console.log(`Cleaned up chunks with index >= ${totalAttempted} for document ${documentId}`);
+      console.log(`Cleaned up chunks with index >= ${chunkCount} for document ${documentId}`);
     } catch (cleanupError) {
       console.warn('Exception during chunk cleanup:', cleanupError);
     }
@@ -518,6 +543,209 @@ export const getUserDocuments = async () => {
   return data || [];
 };
 
+/**
+ * Cari dokumen dengan isi file identik (hash SHA-256 yang sama) yang dimiliki, publik, atau dibagikan
+ * kepada pengguna. Hanya dokumen yang chunk-nya sudah tersimpan yang dikembalikan, agar dapat dipakai ulang
+ * tanpa membuat embedding lagi
+ * @param {string} contentHash - Hash isi file dari computeFileHash
+ * @returns {Promise<Object|null>} - Baris dokumen ditambah `isOwner`, atau null jika tidak ada
+ */
+export const findDocumentByContentHash = async (contentHash) => {
+  const userId = await getCurrentUserId();
+  if (!userId || !contentHash) return null;
+  
+  const { data, error } = await supabase
+    .from('documents')
+    .select('id, title, user_id, metadata, page_count, file_size, is_public, is_shared, shared_with, created_at')
+    .eq('metadata->>contentHash', contentHash)
+    .order('created_at', { ascending: false });
+    
+  if (error) {
+    console.error('Error finding document by content hash:', error);
+    throw new Error('Gagal memeriksa dokumen duplikat: ' + error.message);
+  }
+  
+  // Same access rules as getDocumentContent; the user's own copy is preferred
+  const candidates = (data || [])
+    .filter(doc =>
+      doc.user_id === userId ||
+      doc.is_public ||
+      (doc.is_shared && Array.isArray(doc.shared_with) && doc.shared_with.includes(userId))
+    )
+    .sort((a, b) => Number(b.user_id === userId) - Number(a.user_id === userId));
+  
+  for (const doc of candidates) {
+    const { count, error: countError } = await supabase
+      .from('document_chunks')
+      .select('id', { count: 'exact', head: true })
+      .eq('document_id', doc.id);
+      
+    if (!countError && count > 0) {
+      return { ...doc, isOwner: doc.user_id === userId };
+    }
+  }
+  
+  return null;
+};
+
+/**
+ * Ambil semua versi untuk beberapa grup dokumen sekaligus
+ * @param {Array<string>} groupIds - ID grup versi (ID versi pertama)
+ * @returns {Promise<Map<string, Array<Object>>>} - Versi per ID grup, diurutkan dari versi terlama
+ */
+export const getDocumentVersionGroups = async (groupIds = []) => {
+  const ids = Array.from(new Set(groupIds.filter(Boolean)));
+  if (ids.length === 0) return new Map();
+  
+  const idList = ids.join(',');
+  const { data, error } = await supabase
+    .from('documents')
+    .select('id, title, user_id, metadata, page_count, file_size, created_at')
+    .or(`id.in.(${idList}),metadata->>versionGroupId.in.(${idList})`);
+    
+  if (error) {
+    console.error('Error retrieving document versions:', error);
+    throw new Error('Gagal memuat versi dokumen: ' + error.message);
+  }
+  
+  return groupDocumentVersions(data || []);
+};
+
+/**
+ * Ambil semua versi dari dokumen yang sama
+ * @param {string} documentId - ID salah satu versi dokumen
+ * @returns {Promise<Array<Object>>} - Versi dokumen, diurutkan dari versi terlama
+ */
+export const getDocumentVersions = async (documentId) => {
+  const { data: document, error } = await supabase
+    .from('documents')
+    .select('id, metadata')
+    .eq('id', documentId)
+    .single();
+    
+  if (error || !document) {
+    console.error('Error retrieving document for versions:', error);
+    throw new Error('Dokumen tidak ditemukan');
+  }
+  
+  const { groupId } = getVersionInfo(document);
+  const groups = await getDocumentVersionGroups([groupId]);
+  
+  return groups.get(groupId) || [];
+};
+
+/**
+ * Simpan gambar (caption dan thumbnail) yang ditemukan saat ekstraksi PDF
+ * @param {string} documentId - ID dokumen di database
+ * @param {Array<{number: string, label: string, caption: string, page: number, thumbnail: string|null}>} figures - Gambar dari ekstraksi
+ * @returns {Promise<number>} - Jumlah gambar yang disimpan
+ */
+export const storeDocumentFigures = async (documentId, figures = []) => {
+  const userId = await getCurrentUserId();
+  if (!userId) throw new Error('User not logged in');
+  if (figures.length === 0) return 0;
+
+  const { error } = await supabase
+    .from('document_figures')
+    .insert(figures.map(figure => ({
+      document_id: documentId,
+      user_id: userId,
+      number: figure.number,
+      label: figure.label,
+      caption: figure.caption,
+      page: figure.page,
+      thumbnail: figure.thumbnail
+    })));
+
+  if (error) {
+    console.error('Error storing document figures:', error);
+    throw new Error('Failed to store document figures');
+  }
+
+  return figures.length;
+};
+
+/**
+ * Ambil gambar berdasarkan nomor gambarnya, misalnya untuk ditampilkan di samping sitasi
+ * @param {string} documentId - ID dokumen di database
+ * @param {Array<string>} numbers - Nomor gambar yang sudah dinormalisasi, misalnya ["3", "2.1"]
+ * @returns {Promise<Array<{id: string, number: string, label: string, caption: string, page: number, thumbnail: string|null}>>} - Gambar yang ditemukan, diurutkan per halaman
+ */
+export const getDocumentFigures = async (documentId, numbers = []) => {
+  if (!documentId || numbers.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('document_figures')
+    .select('id, number, label, caption, page, thumbnail')
+    .eq('document_id', documentId)
+    .in('number', numbers)
+    .order('page', { ascending: true });
+
+  if (error) {
+    console.error('Error retrieving document figures:', error);
+    throw new Error('Gagal memuat gambar dokumen: ' + error.message);
+  }
+
+  return data || [];
+};
+
+/**
+ * Simpan entri daftar pustaka yang ditemukan di akhir dokumen
+ * @param {string} documentId - ID dokumen di database
+ * @param {Array<{authors: Array<string>, title: string, venue: string, year: number|null, doi: string, url: string, type: string, raw: string}>} references - Entri dari findReferenceList
+ * @returns {Promise<number>} - Jumlah entri yang disimpan
+ */
+export const storeDocumentReferences = async (documentId, references = []) => {
+  const userId = await getCurrentUserId();
+  if (!userId) throw new Error('User not logged in');
+  if (references.length === 0) return 0;
+
+  const { error } = await supabase
+    .from('document_references')
+    .insert(references.map((reference, index) => ({
+      document_id: documentId,
+      user_id: userId,
+      position: index + 1,
+      type: reference.type,
+      authors: reference.authors,
+      title: reference.title,
+      venue: reference.venue,
+      year: reference.year,
+      doi: reference.doi || null,
+      url: reference.url || null,
+      raw: reference.raw
+    })));
+
+  if (error) {
+    console.error('Error storing document references:', error);
+    throw new Error('Failed to store document references');
+  }
+
+  return references.length;
+};
+
+/**
+ * Ambil daftar pustaka sebuah dokumen sesuai urutan di dokumen
+ * @param {string} documentId - ID dokumen di database
+ * @returns {Promise<Array<{id: string, position: number, type: string, authors: Array<string>, title: string, venue: string, year: number|null, doi: string|null, url: string|null, raw: string}>>} - Entri daftar pustaka
+ */
+export const getDocumentReferences = async (documentId) => {
+  if (!documentId) return [];
+
+  const { data, error } = await supabase
+    .from('document_references')
+    .select('id, position, type, authors, title, venue, year, doi, url, raw')
+    .eq('document_id', documentId)
+    .order('position', { ascending: true });
+
+  if (error) {
+    console.error('Error retrieving document references:', error);
+    throw new Error('Gagal memuat daftar pustaka: ' + error.message);
+  }
+
+  return data || [];
+};
+
 /**
  * Retrieve public documents and documents shared with the current user
  * @returns {Promise<Array>} - Array of document objects
@@ -966,14 +1194,16 @@ const performTextSearch = async (queryText, documentIds = [], limit = 5) => {
   if (!userId) return [];
   
   try {
-    // Extract meaningful keywords from query
+    // Extract meaningful keywords from query, dropping stopwords of the query's language
+    // (both Indonesian and English when the language cannot be determined)
+    const stopwords = getStopwords(detectLanguage(queryText, { minStopwords: 1 }).language);
     const keywords = queryText
       .toLowerCase()
       .replace(/[^\w\s]/g, ' ')
       .split(/\s+/)
       .filter(word => 
         word.length > 2 && 
-        !['and', 'the', 'for', 'with', 'yang', 'dari', 'atau', 'dan', 'adalah'].includes(word)
+        !stopwords.has(word)
       );
     
     if (keywords.length === 0) {
@@ -1376,6 +1606,48 @@ export const removeDocumentFromConversation = async (conversationId, documentId)
   return true;
 };
 
+/**
+ * Kunci percakapan ke versi dokumen tertentu, atau kembali mengikuti versi terbaru
+ * @param {string} conversationId - ID percakapan
+ * @param {string} versionGroupId - ID grup versi dokumen
+ * @param {string|null} documentId - ID versi yang dikunci, atau null untuk mengikuti versi terbaru
+ * @returns {Promise<Object>} - Peta `versionGroupId -> documentId` yang baru
+ */
+export const setConversationDocumentVersion = async (conversationId, versionGroupId, documentId) => {
+  const userId = await getCurrentUserId();
+  if (!userId) throw new Error('User not logged in');
+  
+  const { data: conversation, error: convError } = await supabase
+    .from('conversations')
+    .select('document_versions')
+    .eq('id', conversationId)
+    .eq('user_id', userId)
+    .single();
+    
+  if (convError || !conversation) {
+    throw new Error('Percakapan tidak ditemukan');
+  }
+  
+  const { [versionGroupId]: _previous, ...otherVersions } = conversation.document_versions || {};
+  const documentVersions = documentId ? { ...otherVersions, [versionGroupId]: documentId } : otherVersions;
+  
+  const { error } = await supabase
+    .from('conversations')
+    .update({
+      document_versions: documentVersions,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', conversationId)
+    .eq('user_id', userId);
+    
+  if (error) {
+    console.error('Error updating conversation document version:', error);
+    throw new Error('Gagal mengubah versi dokumen percakapan: ' + error.message);
+  }
+  
+  return documentVersions;
+};
+
 /**
  * Get documents associated with a conversation
  * @param {string} conversationId - ID of the conversation
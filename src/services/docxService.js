@@ -0,0 +1,43 @@
+import mammoth from 'mammoth';
+import { htmlToMarkdown } from '../utils/htmlToMarkdown';
+import { detectMathInText } from '../utils/documentCompression';
+
+/**
+ * Ekstrak teks dari file DOCX dengan mempertahankan heading, daftar, dan tabel
+ * @param {File} file - File DOCX yang akan diproses
+ * @returns {Promise<{text: string, pages: number, containsEquations: boolean, mathConfidence: number}>} - Hasil ekstraksi teks dengan metadata
+ */
+export const extractTextFromDocx = async (file) => {
+  try {
+    const arrayBuffer = await file.arrayBuffer();
+
+    // Gambar tidak dibutuhkan untuk RAG, jadi jangan encode ke base64
+    const { value: html, messages } = await mammoth.convertToHtml(
+      { arrayBuffer },
+      { convertImage: mammoth.images.imgElement(() => ({ src: '' })) }
+    );
+
+    if (messages && messages.length > 0) {
+      console.warn(`DOCX conversion warnings for ${file.name}:`, messages.map(m => m.message));
+    }
+
+    const markdown = htmlToMarkdown(html);
+
+    const { containsEquations, mathConfidence } = detectMathInText(markdown);
+
+    // DOCX tidak memiliki halaman tetap, jadi seluruh isi dianggap satu halaman
+    let fullText = `# ${file.name}\n`;
+    fullText += `Pages: 1\n\n`;
+    fullText += markdown + '\n';
+
+    return {
+      text: fullText,
+      pages: 1,
+      containsEquations,
+      mathConfidence
+    };
+  } catch (error) {
+    console.error('Error extracting text from DOCX:', error);
+    throw new Error('Failed to extract text from DOCX');
+  }
+};
@@ -0,0 +1,190 @@
+import JSZip from 'jszip';
+import { htmlToMarkdown } from '../utils/htmlToMarkdown';
+import { detectMathInText } from '../utils/documentCompression';
+
+/**
+ * Gabungkan path relatif di dalam arsip EPUB dengan direktori asalnya
+ * @param {string} baseDir - Direktori file yang mereferensikan, misalnya "OEBPS/"
+ * @param {string} href - Path relatif, boleh mengandung fragment (#id)
+ * @returns {string} - Path lengkap di dalam arsip tanpa fragment
+ */
+const resolveEpubPath = (baseDir, href) => {
+  const [path] = href.split('#');
+  const segments = [];
+
+  `${baseDir}${decodeURIComponent(path)}`.split('/').forEach(segment => {
+    if (segment === '..') {
+      segments.pop();
+    } else if (segment && segment !== '.') {
+      segments.push(segment);
+    }
+  });
+
+  return segments.join('/');
+};
+
+/**
+ * Ambil direktori dari sebuah path di dalam arsip
+ * @param {string} path - Path file
+ * @returns {string} - Direktori dengan garis miring di akhir, atau string kosong
+ */
+const getDirectory = (path) => path.slice(0, path.lastIndexOf('/') + 1);
+
+/**
+ * Baca file XML dari arsip EPUB
+ * @param {JSZip} zip - Arsip EPUB
+ * @param {string} path - Path file di dalam arsip
+ * @returns {Promise<Document|null>} - Dokumen XML atau null jika file tidak ada
+ */
+const readXml = async (zip, path) => {
+  const entry = zip.file(path);
+  if (!entry) return null;
+
+  const content = await entry.async('string');
+  return new DOMParser().parseFromString(content, 'application/xml');
+};
+
+/**
+ * Rapikan judul bab agar muat dalam satu baris penanda
+ * @param {string} title - Judul mentah
+ * @returns {string} - Judul yang sudah dirapikan
+ */
+const cleanTitle = (title) => (title || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Baca judul bab dari daftar isi EPUB 3 (nav.xhtml) atau EPUB 2 (toc.ncx)
+ * @param {JSZip} zip - Arsip EPUB
+ * @param {Document} opf - Dokumen package OPF
+ * @param {string} opfDir - Direktori file OPF
+ * @returns {Promise<Map<string, string>>} - Peta path file bab ke judulnya
+ */
+const readTableOfContents = async (zip, opf, opfDir) => {
+  const titles = new Map();
+  const items = Array.from(opf.getElementsByTagName('item'));
+
+  const navItem = items.find(item => (item.getAttribute('properties') || '').split(/\s+/).includes('nav'));
+  if (navItem) {
+    const navPath = resolveEpubPath(opfDir, navItem.getAttribute('href'));
+    const navFile = zip.file(navPath);
+
+    if (navFile) {
+      const navDoc = new DOMParser().parseFromString(await navFile.async('string'), 'text/html');
+      const navs = Array.from(navDoc.getElementsByTagName('nav'));
+      const tocNav = navs.find(nav => nav.getAttribute('epub:type') === 'toc') || navs[0];
+
+      Array.from(tocNav?.getElementsByTagName('a') || []).forEach(link => {
+        const href = link.getAttribute('href');
+        const path = href && resolveEpubPath(getDirectory(navPath), href);
+        const title = cleanTitle(link.textContent);
+        if (path && title && !titles.has(path)) {
+          titles.set(path, title);
+        }
+      });
+    }
+  }
+
+  if (titles.size > 0) return titles;
+
+  const spine = opf.getElementsByTagName('spine')[0];
+  const ncxItem = items.find(item => item.getAttribute('id') === spine?.getAttribute('toc')) ||
+    items.find(item => item.getAttribute('media-type') === 'application/x-dtbncx+xml');
+  if (ncxItem) {
+    const ncxPath = resolveEpubPath(opfDir, ncxItem.getAttribute('href'));
+    const ncx = await readXml(zip, ncxPath);
+
+    Array.from(ncx?.getElementsByTagName('navPoint') || []).forEach(navPoint => {
+      const src = navPoint.getElementsByTagName('content')[0]?.getAttribute('src');
+      const path = src && resolveEpubPath(getDirectory(ncxPath), src);
+      const title = cleanTitle(navPoint.getElementsByTagName('text')[0]?.textContent);
+      if (path && title && !titles.has(path)) {
+        titles.set(path, title);
+      }
+    });
+  }
+
+  return titles;
+};
+
+/**
+ * Ekstrak teks dari file EPUB, satu bagian per bab sesuai urutan spine.
+ * Setiap bab diawali penanda "## Chapter N: Judul" seperti penanda "## Page N" pada PDF
+ * @param {File} file - File EPUB yang akan diproses
+ * @returns {Promise<{text: string, pages: number, chapters: number, containsEquations: boolean, mathConfidence: number}>} - Hasil ekstraksi teks dengan metadata
+ */
+export const extractTextFromEpub = async (file) => {
+  try {
+    const zip = await JSZip.loadAsync(await file.arrayBuffer());
+
+    const container = await readXml(zip, 'META-INF/container.xml');
+    const opfPath = container?.getElementsByTagName('rootfile')[0]?.getAttribute('full-path');
+    if (!opfPath) {
+      throw new Error('EPUB container does not reference a package file');
+    }
+
+    const opf = await readXml(zip, opfPath);
+    if (!opf) {
+      throw new Error(`EPUB package file not found: ${opfPath}`);
+    }
+
+    const opfDir = getDirectory(opfPath);
+    const manifest = new Map(
+      Array.from(opf.getElementsByTagName('item')).map(item => [item.getAttribute('id'), item])
+    );
+    const tocTitles = await readTableOfContents(zip, opf, opfDir);
+
+    const chapters = [];
+
+    for (const itemref of Array.from(opf.getElementsByTagName('itemref'))) {
+      const item = manifest.get(itemref.getAttribute('idref'));
+      if (!item || !/html/.test(item.getAttribute('media-type') || '')) continue;
+
+      const path = resolveEpubPath(opfDir, item.getAttribute('href'));
+      const entry = zip.file(path);
+      if (!entry) continue;
+
+      const markdown = htmlToMarkdown(await entry.async('string'));
+      if (!markdown) continue;
+
+      const tocTitle = tocTitles.get(path);
+
+      // File yang tidak tercantum di daftar isi (misalnya lanjutan bab yang dipecah
+      // menjadi beberapa file) digabungkan ke bab sebelumnya
+      if (!tocTitle && tocTitles.size > 0 && chapters.length > 0) {
+        chapters[chapters.length - 1].content += `\n\n${markdown}`;
+        continue;
+      }
+
+      const firstHeading = markdown.match(/^#{1,6} (.+)$/m);
+      chapters.push({
+        title: tocTitle || cleanTitle(firstHeading?.[1]) || `Bagian ${chapters.length + 1}`,
+        content: markdown
+      });
+    }
+
+    if (chapters.length === 0) {
+      throw new Error('EPUB does not contain any readable chapters');
+    }
+
+    let fullText = `# ${file.name}\n`;
+    fullText += `Chapters: ${chapters.length}\n\n`;
+
+    chapters.forEach((chapter, index) => {
+      fullText += `## Chapter ${index + 1}: ${chapter.title}\n\n`;
+      fullText += chapter.content + '\n\n';
+    });
+
+    const { containsEquations, mathConfidence } = detectMathInText(fullText);
+
+    return {
+      text: fullText,
+      // EPUB tidak memiliki halaman tetap, jadi jumlah bab dipakai sebagai gantinya
+      pages: chapters.length,
+      chapters: chapters.length,
+      containsEquations,
+      mathConfidence
+    };
+  } catch (error) {
+    console.error('Error extracting text from EPUB:', error);
+    throw new Error('Failed to extract text from EPUB');
+  }
+};
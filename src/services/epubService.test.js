@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import JSZip from 'jszip';
+import { JSDOM } from 'jsdom';
+import { extractTextFromEpub } from './epubService';
+
+// Only the DOM globals come from jsdom; Node's own File supports arrayBuffer()
+const { window } = new JSDOM();
+globalThis.DOMParser = window.DOMParser;
+globalThis.Node = window.Node;
+
+const xhtml = (body) => `<?xml version="1.0"?><html xmlns="http://www.w3.org/1999/xhtml"><body>${body}</body></html>`;
+
+const createEpub = async () => {
+  const zip = new JSZip();
+  zip.file('mimetype', 'application/epub+zip');
+  zip.file('META-INF/container.xml', `<?xml version="1.0"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>
+</container>`);
+  zip.file('OEBPS/content.opf', `<?xml version="1.0"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0">
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="c1" href="text/bab1.xhtml" media-type="application/xhtml+xml"/>
+    <item id="c1b" href="text/bab1-lanjutan.xhtml" media-type="application/xhtml+xml"/>
+    <item id="c2" href="text/bab2.xhtml" media-type="application/xhtml+xml"/>
+  </manifest>
+  <spine><itemref idref="c1"/><itemref idref="c1b"/><itemref idref="c2"/></spine>
+</package>`);
+  zip.file('OEBPS/nav.xhtml', xhtml(`<nav epub:type="toc" xmlns:epub="http://www.idpf.org/2007/ops"><ol>
+    <li><a href="text/bab1.xhtml">Bab 1 Pendahuluan</a></li>
+    <li><a href="text/bab2.xhtml">Bab 2 Optika</a></li>
+  </ol></nav>`));
+  zip.file('OEBPS/text/bab1.xhtml', xhtml('<h1>Pendahuluan</h1><p>Cahaya adalah gelombang.</p>'));
+  zip.file('OEBPS/text/bab1-lanjutan.xhtml', xhtml('<p>Lanjutan bab pertama.</p>'));
+  zip.file('OEBPS/text/bab2.xhtml', xhtml('<h1>Optika</h1><p>Pembiasan cahaya.</p>'));
+  return new File([await zip.generateAsync({ type: 'uint8array' })], 'fisika.epub');
+};
+
+describe('extractTextFromEpub', () => {
+  it('uses table of contents titles and joins files missing from it to the previous chapter', async () => {
+    const { text, chapters } = await extractTextFromEpub(await createEpub());
+
+    expect(chapters).toBe(2);
+    expect(text).toContain('## Chapter 1: Bab 1 Pendahuluan');
+    expect(text).toContain('## Chapter 2: Bab 2 Optika');
+    expect(text.indexOf('Lanjutan bab pertama.')).toBeLessThan(text.indexOf('## Chapter 2'));
+  });
+});
@@ -0,0 +1,73 @@
+import { createCanvas, canvasFactory } from './ocrService';
+
+// Lebar thumbnail gambar dalam piksel; cukup untuk pratinjau di samping sitasi
+const THUMBNAIL_WIDTH = 320;
+
+// Batas skala render agar gambar kecil tidak dirender terlalu besar
+const MAX_RENDER_SCALE = 3;
+
+const THUMBNAIL_QUALITY = 0.7;
+
+/**
+ * Ubah canvas menjadi data URL JPEG. OffscreenCanvas di Web Worker tidak memiliki toDataURL
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas sumber
+ * @returns {Promise<string>} - Data URL gambar
+ */
+const canvasToDataUrl = async (canvas) => {
+  if (typeof canvas.toDataURL === 'function') {
+    return canvas.toDataURL('image/jpeg', THUMBNAIL_QUALITY);
+  }
+
+  const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: THUMBNAIL_QUALITY });
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+};
+
+/**
+ * Render area gambar pada halaman PDF menjadi thumbnail. Halaman cukup dirender sekali
+ * untuk semua gambar di halaman tersebut
+ * @param {Object} page - Halaman PDF dari pdf.js
+ * @param {Array<{left: number, right: number, top: number, bottom: number}>} regions - Area gambar dalam satuan PDF (sumbu Y ke atas)
+ * @returns {Promise<Array<string|null>>} - Data URL JPEG per area, atau null jika area berada di luar halaman
+ */
+export const renderFigureThumbnails = async (page, regions) => {
+  const widestRegion = Math.max(1, ...regions.map(region => region.right - region.left));
+  const viewport = page.getViewport({ scale: Math.min(MAX_RENDER_SCALE, THUMBNAIL_WIDTH / widestRegion) });
+  const pageCanvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+
+  try {
+    await page.render({ canvasContext: pageCanvas.getContext('2d'), viewport, canvasFactory }).promise;
+
+    const thumbnails = [];
+    for (const region of regions) {
+      // Koordinat PDF dikonversi lewat viewport agar rotasi dan offset halaman ikut diperhitungkan
+      const [x1, y1] = viewport.convertToViewportPoint(region.left, region.top);
+      const [x2, y2] = viewport.convertToViewportPoint(region.right, region.bottom);
+      const cropX = Math.max(0, Math.floor(Math.min(x1, x2)));
+      const cropY = Math.max(0, Math.floor(Math.min(y1, y2)));
+      const cropWidth = Math.min(pageCanvas.width - cropX, Math.ceil(Math.abs(x2 - x1)));
+      const cropHeight = Math.min(pageCanvas.height - cropY, Math.ceil(Math.abs(y2 - y1)));
+
+      if (cropWidth <= 0 || cropHeight <= 0) {
+        thumbnails.push(null);
+        continue;
+      }
+
+      const thumbnailCanvas = createCanvas(cropWidth, cropHeight);
+      thumbnailCanvas.getContext('2d').drawImage(pageCanvas, cropX, cropY, cropWidth, cropHeight, 0, 0, cropWidth, cropHeight);
+      thumbnails.push(await canvasToDataUrl(thumbnailCanvas));
+      thumbnailCanvas.width = 0;
+      thumbnailCanvas.height = 0;
+    }
+
+    return thumbnails;
+  } finally {
+    // Lepaskan memori canvas halaman setelah thumbnail dibuat
+    pageCanvas.width = 0;
+    pageCanvas.height = 0;
+  }
+};
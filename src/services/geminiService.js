@@ -1,10 +1,13 @@
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import { Document } from 'langchain/document';
-import { RecursiveCharacterTextSplitter } from 'langchain/text_splitter';
 import { GoogleGenerativeAIEmbeddings } from '@langchain/google-genai';
 import { MemoryVectorStore } from 'langchain/vectorstores/memory';
-import { storeDocument, storeDocumentChunks, performVectorSearch, createRagSession, updateRagSessionAccess, getActiveRagDocuments } from './documentService';
+import { storeDocument, storeDocumentChunks, normalizeChunkContent, performVectorSearch, createRagSession, updateRagSessionAccess, getActiveRagDocuments } from './documentService';
 import { supabase } from '../utils/supabaseClient';
+import { formatChunkLocation, isInSection } from '../utils/documentStructure';
+import { chunkDocumentText } from '../utils/textChunking';
+import { matchesDocumentFilter, formatDocumentAttribution, getDocumentYear, DOCUMENT_FILTER_FIELDS } from '../utils/documentMetadata';
+import { detectLanguage, detectDocumentLanguage, LANGUAGE_LABELS } from '../utils/languageDetection';
 
 
 // Sistem penyimpanan dokumen dan indeks untuk RAG - Hybrid (memory + database)
@@ -238,13 +241,21 @@ export const processDocumentsForRAG = async (documents, apiKey, config = {}) =>
       
       console.log(`Processing document: ${doc.name} (size: ${Math.round(doc.size / 1024)} KB, equations: ${containsEquations ? 'yes' : 'no'})`);
       
+      const documentLanguage = detectDocumentLanguage(doc.text);
+      
       // Store document in Supabase
       const documentMetadata = {
         fileName: doc.name,
         fileSize: doc.size,
         pageCount: doc.pages || 1,
         processingDate: new Date().toISOString(),
-        containsEquations: containsEquations
+        containsEquations: containsEquations,
+        ...(doc.ocr ? { ocr: doc.ocr } : {}),
+        ...(doc.cleanup ? { cleanup: doc.cleanup } : {}),
+        ...(doc.outline && doc.outline.length > 0 ? { outline: doc.outline } : {}),
+        ...(doc.sheets && doc.sheets.length > 0 ? { sheets: doc.sheets } : {}),
+        ...(doc.documentInfo ? { documentInfo: doc.documentInfo } : {}),
+        ...(documentLanguage ? { language: documentLanguage } : {})
       };
       
       // Store the full document first
@@ -378,7 +389,10 @@ export const queryWithRAG = async (query, apiKey, aiConfig = {}, conversationHis
       topK, 
       model, 
       responseStyle,
-      showThinkingProcess 
+      showThinkingProcess,
+      sectionFilter,
+      excludedDocumentIds = [],
+      documentFilter
     } = config;
 
     // Update session access time if we have a session ID
@@ -402,13 +416,16 @@ export const queryWithRAG = async (query, apiKey, aiConfig = {}, conversationHis
     // Detect mathematical query
     const isMathQuery = /persamaan|rumus|formula|equation|differential|gelombang|wave|eigen|laplace|laplacian|turunan|derivative|integral/i.test(query);
     
+    // Language of the question, used for query variations and the answer language
+    const queryLanguage = detectLanguage(query, { minStopwords: 1 }).language;
+    
     // Generate query variations to improve search results
-    let queryVariations = generateQueryVariations(query, isMathQuery);
+    let queryVariations = generateQueryVariations(query, isMathQuery, queryLanguage);
 
     // First try using in-memory vector store
     let relevantDocs = [];
     try {
-      relevantDocs = await getRelevantDocsFromMemory(queryVariations);
+      relevantDocs = await getRelevantDocsFromMemory(queryVariations, sectionFilter, excludedDocumentIds, documentFilter);
     } catch (memoryError) {
       console.warn('Error querying in-memory vector store:', memoryError);
       // If in-memory fails, fallback to database
@@ -418,7 +435,7 @@ export const queryWithRAG = async (query, apiKey, aiConfig = {}, conversationHis
     if (relevantDocs.length < 3) {
       try {
         console.log('Not enough results from memory store, trying database retrieval...');
-        const dbDocs = await getRelevantDocsFromDatabase(query, apiKey);
+        const dbDocs = await getRelevantDocsFromDatabase(query, apiKey, [], { section: sectionFilter, excludedDocumentIds, documentFilter });
         
         // Combine results from memory and database
         relevantDocs = [...relevantDocs, ...dbDocs];
@@ -431,6 +448,29 @@ export const queryWithRAG = async (query, apiKey, aiConfig = {}, conversationHis
       }
     }
     
+    // Versions of a document that the conversation does not use (pinned to another version or not the latest)
+    if (excludedDocumentIds.length > 0) {
+      relevantDocs = relevantDocs.filter(doc => !isExcludedDocument(doc.metadata, excludedDocumentIds));
+    }
+    
+    // Restrict results to the selected section when a section filter is active
+    if (sectionFilter) {
+      relevantDocs = relevantDocs.filter(doc => isInSection(doc.metadata, sectionFilter));
+      
+      if (relevantDocs.length === 0) {
+        throw new Error(`Tidak dapat menemukan informasi yang relevan di bagian "${sectionFilter}". Silakan hapus filter bagian atau coba pertanyaan lain.`);
+      }
+    }
+    
+    // Restrict results to documents whose PDF metadata matches the author, keyword, or year filter
+    if (documentFilter) {
+      relevantDocs = relevantDocs.filter(doc => matchesDocumentFilter(doc.metadata?.documentInfo, documentFilter));
+      
+      if (relevantDocs.length === 0) {
+        throw new Error(`Tidak dapat menemukan informasi yang relevan di dokumen dengan ${DOCUMENT_FILTER_FIELDS[documentFilter.field].toLowerCase()} "${documentFilter.value}". Silakan hapus filter dokumen atau coba pertanyaan lain.`);
+      }
+    }
+    
     if (relevantDocs.length === 0) {
       throw new Error('Tidak dapat menemukan informasi yang relevan dalam dokumen yang diunggah. Silakan coba pertanyaan lain atau unggah dokumen yang sesuai.');
     }
@@ -469,8 +509,20 @@ export const queryWithRAG = async (query, apiKey, aiConfig = {}, conversationHis
       promptText += addMathInstructions();
     }
     
+    // Let users know when an answer relies on OCR text from scanned pages
+    if (/recognized with OCR/.test(context)) {
+      promptText += "\n\nSebagian konteks berasal dari halaman hasil pindaian yang dibaca dengan OCR dan mungkin mengandung kesalahan. Jika jawaban Anda memakai teks tersebut, sebutkan bahwa informasinya berasal dari teks OCR.";
+    }
+    
+    // Mixed-language libraries: answer in the language of the question even when sources are in another language
+    const otherContextLanguages = [...new Set(relevantDocs.map(doc => doc.metadata?.language))]
+      .filter(language => LANGUAGE_LABELS[language] && language !== 'mixed' && language !== queryLanguage);
+    if ((queryLanguage === 'id' || queryLanguage === 'en') && otherContextLanguages.length > 0) {
+      promptText += `\n\nPertanyaan ditulis dalam ${LANGUAGE_LABELS[queryLanguage]}, sedangkan sebagian konteks ditulis dalam ${otherContextLanguages.map(language => LANGUAGE_LABELS[language]).join(' dan ')}. Jawab dalam bahasa pertanyaan dan terjemahkan kutipan dari konteks yang berbahasa lain.`;
+    }
+    
     // Add reference format instructions
-    promptText += "\n\nSelalu akhiri respons Anda dengan bagian REFERENSI yang menyebutkan dokumen asal dan halaman (jika ada). Format referensi harus seperti ini:\n\nREFERENSI:\n[1] Nama File A (halaman X)\n[2] Nama File B (halaman Y)";
+    promptText += "\n\nSelalu akhiri respons Anda dengan bagian REFERENSI yang menyebutkan dokumen asal dan halaman atau bab (jika ada). Format referensi harus seperti ini:\n\nREFERENSI:\n[1] Nama File A (halaman X)\n[2] Nama File B (Chapter Y: Judul Bab)";
 
     console.log("Sending prompt with thinking process:", showThinkingProcess);
     console.log("Prompt summary:", promptText.substring(0, 200) + "... [truncated]");
@@ -521,9 +573,41 @@ export const queryWithRAG = async (query, apiKey, aiConfig = {}, conversationHis
 };
 
 /**
- * Generate variations of the query to improve search results
+ * Languages of the chunks currently loaded in the in-memory vector store
+ * @returns {Set<string>} - Language codes such as "id" and "en"
  */
-function generateQueryVariations(query, isMathQuery) {
+function getLoadedDocumentLanguages() {
+  const languages = new Set();
+  (vectorStore?.memoryVectors || []).forEach(vector => {
+    const language = vector.metadata?.language;
+    if (language === 'mixed') {
+      languages.add('id').add('en');
+    } else if (language) {
+      languages.add(language);
+    }
+  });
+  return languages;
+}
+
+/**
+ * Generate variations of the query to improve search results. Variations are added in the
+ * language of the question and in the languages of the loaded documents, so an Indonesian
+ * question also finds English sources and vice versa
+ * @param {string} query - User query
+ * @param {boolean} isMathQuery - Whether the query asks about equations
+ * @param {string|null} queryLanguage - Language of the query from detectLanguage
+ */
+function generateQueryVariations(query, isMathQuery, queryLanguage = null) {
+  const languages = getLoadedDocumentLanguages();
+  if (queryLanguage === 'mixed') {
+    languages.add('id').add('en');
+  } else if (queryLanguage) {
+    languages.add(queryLanguage);
+  }
+  // Without any known language, keep both as before
+  const useIndonesian = languages.size === 0 || languages.has('id');
+  const useEnglish = languages.size === 0 || languages.has('en');
+  
   let queryVariations = [
     query,
     `"${query}"`,
@@ -531,42 +615,45 @@ function generateQueryVariations(query, isMathQuery) {
   ];
   
   if (isMathQuery) {
-    queryVariations = [
-      ...queryVariations,
-      `bentuk ${query}`,
-      `${query} matematika`,
-      `formula ${query}`,
-      `persamaan ${query.replace('persamaan', '')}`.trim(),
-      `equation ${query}`,
-      `wave equation`,
-      `persamaan gelombang`,
-      `poisson equation`,
-      `persamaan poisson`,
-      `mathematical ${query}`,
-      `matematis ${query}`,
-      `definisi ${query}`,
-      `bentuk matematis ${query}`
-    ];
-    
-    if (query.toLowerCase().includes('gelombang') || query.toLowerCase().includes('wave')) {
+    if (useIndonesian) {
       queryVariations.push(
-        'wave equation definition',
-        'persamaan gelombang definisi',
-        'bentuk matematis persamaan gelombang',
-        'partial differential equation wave',
-        'persamaan diferensial parsial gelombang'
+        `bentuk ${query}`,
+        `${query} matematika`,
+        `persamaan ${query.replace('persamaan', '')}`.trim(),
+        `persamaan gelombang`,
+        `persamaan poisson`,
+        `matematis ${query}`,
+        `definisi ${query}`,
+        `bentuk matematis ${query}`
       );
     }
-    
-    if (query.toLowerCase().includes('poisson')) {
+    if (useEnglish) {
       queryVariations.push(
-        'poisson equation definition',
-        'persamaan poisson definisi',
-        'bentuk matematis persamaan poisson',
-        'laplace equation',
-        'persamaan laplace'
+        `formula ${query}`,
+        `equation ${query}`,
+        `wave equation`,
+        `poisson equation`,
+        `mathematical ${query}`
       );
     }
+    
+    if (query.toLowerCase().includes('gelombang') || query.toLowerCase().includes('wave')) {
+      if (useEnglish) {
+        queryVariations.push('wave equation definition', 'partial differential equation wave');
+      }
+      if (useIndonesian) {
+        queryVariations.push('persamaan gelombang definisi', 'bentuk matematis persamaan gelombang', 'persamaan diferensial parsial gelombang');
+      }
+    }
+    
+    if (query.toLowerCase().includes('poisson')) {
+      if (useEnglish) {
+        queryVariations.push('poisson equation definition', 'laplace equation');
+      }
+      if (useIndonesian) {
+        queryVariations.push('persamaan poisson definisi', 'bentuk matematis persamaan poisson', 'persamaan laplace');
+      }
+    }
   }
   
   // Try to add document names to queries
@@ -578,27 +665,46 @@ function generateQueryVariations(query, isMathQuery) {
       }
     });
     
-    queryVariations.push(`${query} dalam ${docNames.join(' ')}`);
+    queryVariations.push(`${query} ${queryLanguage === 'en' ? 'in' : 'dalam'} ${docNames.join(' ')}`);
   }
   
   console.log("Query variations:", queryVariations);
   return queryVariations;
 }
 
+/**
+ * Check whether a chunk belongs to one of the excluded documents. In-memory chunks carry
+ * `documentId`, chunks from the database carry `document_id`
+ * @param {Object} metadata - Chunk metadata
+ * @param {Array<string>} excludedDocumentIds - IDs of documents to leave out
+ * @returns {boolean} - True if the chunk should be left out
+ */
+function isExcludedDocument(metadata, excludedDocumentIds) {
+  return excludedDocumentIds.includes(metadata?.documentId || metadata?.document_id);
+}
+
 /**
  * Get relevant documents from the in-memory vector store
  * @param {Array<string>} queryVariations - Array of query variations to try
+ * @param {string|null} sectionFilter - Optional section path (e.g. "Ch 2") to restrict results to
+ * @param {Array<string>} excludedDocumentIds - Document IDs (e.g. inactive versions) to leave out
+ * @param {{field: string, value: string}|null} documentFilter - Optional author, keyword, or year filter on the PDF metadata
  * @returns {Promise<Array>} - Array of relevant documents
  */
-async function getRelevantDocsFromMemory(queryVariations) {
+async function getRelevantDocsFromMemory(queryVariations, sectionFilter = null, excludedDocumentIds = [], documentFilter = null) {
   if (!vectorStore) return [];
   
   let allRelevantDocs = [];
+  const filter = sectionFilter || excludedDocumentIds.length > 0 || documentFilter
+    ? (doc) => (!sectionFilter || isInSection(doc.metadata, sectionFilter)) &&
+      !isExcludedDocument(doc.metadata, excludedDocumentIds) &&
+      matchesDocumentFilter(doc.metadata?.documentInfo, documentFilter)
+    : null;
   
   // Set up retriever
   const retriever = vectorStore.asRetriever({ 
     k: 7,
-    filter: null,
+    filter,
     searchType: "similarity"
   });
   
@@ -630,7 +736,7 @@ async function getRelevantDocsFromMemory(queryVariations) {
       console.log("Trying MMR search...");
       const mmrResults = await vectorStore.maximalMarginalRelevance(
         queryVariations[0],
-        { k: 5, fetchK: 20 }
+        { k: 5, fetchK: 20, filter }
       );
       
       if (mmrResults && mmrResults.length > 0) {
@@ -649,7 +755,7 @@ async function getRelevantDocsFromMemory(queryVariations) {
  * @param {string} query - User query
  * @param {string} apiKey - Gemini API key (optional if embeddings already initialized)
  * @param {Array<string>} documentIds - Optional document IDs to search within
- * @param {Object} options - Search options
+ * @param {Object} options - Search options (limit, section, excludedDocumentIds, documentFilter)
  * @returns {Promise<Array>} - Array of relevant documents
  */
 async function getRelevantDocsFromDatabase(query, apiKey = null, documentIds = [], options = {}) {
@@ -696,7 +802,10 @@ async function getRelevantDocsFromDatabase(query, apiKey = null, documentIds = [
     }
     
     // Perform vector search in database
-    const results = await performVectorSearch(queryEmbedding, documentIds, options.limit || 10);
+    // Fetch more candidates when filtering, since most of them may be filtered out
+    const excludedDocumentIds = options.excludedDocumentIds || [];
+    const searchLimit = options.limit || (options.section || excludedDocumentIds.length > 0 || options.documentFilter ? 40 : 10);
+    const results = await performVectorSearch(queryEmbedding, documentIds, searchLimit);
     
     if (!results || results.length === 0) {
       console.log('No relevant documents found in database');
@@ -706,6 +815,7 @@ async function getRelevantDocsFromDatabase(query, apiKey = null, documentIds = [
     // Get document titles to include with results
     const uniqueDocIds = [...new Set(results.map(item => item.document_id))];
     let documentTitles = {};
+    let documentInfos = {};
     
     try {
       const { data: documents } = await supabase
@@ -716,6 +826,9 @@ async function getRelevantDocsFromDatabase(query, apiKey = null, documentIds = [
       if (documents && documents.length > 0) {
         documents.forEach(doc => {
           documentTitles[doc.id] = doc.title || doc.metadata?.filename || 'Unnamed Document';
+          if (doc.metadata?.documentInfo) {
+            documentInfos[doc.id] = doc.metadata.documentInfo;
+          }
         });
       }
     } catch (titleError) {
@@ -730,9 +843,14 @@ async function getRelevantDocsFromDatabase(query, apiKey = null, documentIds = [
         document_id: result.document_id,
         source: documentTitles[result.document_id] || 'Unknown Document',
         document_title: documentTitles[result.document_id] || 'Unknown Document',
+        ...(documentInfos[result.document_id] ? { documentInfo: documentInfos[result.document_id] } : {}),
         score: result.similarity
       }
-    }));
+    })).filter(doc =>
+      (!options.section || isInSection(doc.metadata, options.section)) &&
+      !isExcludedDocument(doc.metadata, excludedDocumentIds) &&
+      matchesDocumentFilter(doc.metadata?.documentInfo, options.documentFilter)
+    );
   } catch (error) {
     console.error("Error retrieving documents from database:", error);
     return [];
@@ -920,12 +1038,50 @@ export const getConversationId = () => {
   return conversationId;
 };
 
+/**
+ * Read the stored embeddings of a document's chunks, keyed by chunk text, so a new version of
+ * the document only has to embed the chunks that changed
+ * @param {string} documentId - ID of the previous version
+ * @returns {Promise<Map<string, Array<number>>>} - Embedding per chunk content
+ */
+const getStoredEmbeddingsByContent = async (documentId) => {
+  const { data: chunks, error } = await supabase
+    .from('document_chunks')
+    .select('content, embedding')
+    .eq('document_id', documentId);
+
+  if (error) {
+    console.error('Error loading embeddings of previous version:', error);
+    return new Map();
+  }
+
+  // pgvector columns come back from PostgREST as strings like "[0.1,0.2,...]".
+  // Stored content has been sanitized, so new chunks are looked up with normalizeChunkContent as well
+  return new Map(
+    (chunks || [])
+      .filter(chunk => chunk.embedding)
+      .map(chunk => [
+        normalizeChunkContent(chunk.content),
+        typeof chunk.embedding === 'string' ? JSON.parse(chunk.embedding) : chunk.embedding
+      ])
+  );
+};
+
+// Chunks are embedded and stored in batches of this size so an interrupted upload can resume per batch
+const INGESTION_BATCH_SIZE = 50;
+
 /**
  * Process a document for the RAG system
  * @param {Object} document - Document object with text content
+ * @param {string|null} userId - ID of the current user
+ * @param {string|null} apiKey - Gemini API key
+ * @param {Object} options - Processing options
+ * @param {string} options.previousVersionId - Previous version of the document; embeddings of unchanged chunks are reused
+ * @param {number} options.storedBatches - Batches already stored by an interrupted run; they are reused instead of embedded and stored again
+ * @param {Function} options.onProgress - Awaited with `{ stage, totalChunks, totalBatches }`, `{ embeddedBatches }`, `{ storedBatches }`, or `{ error }` as ingestion advances
  * @returns {Promise<boolean>} - True if successful
  */
-export const processDocumentForRag = async (document, userId = null, apiKey = null) => {
+export const processDocumentForRag = async (document, userId = null, apiKey = null, { previousVersionId = null, storedBatches = 0, onProgress = null } = {}) => {
   // First try the explicitly passed API key
   let effectiveApiKey = apiKey;
   
@@ -966,6 +1122,7 @@ export const processDocumentForRag = async (document, userId = null, apiKey = nu
             document.title || document.filename || 'Untitled Document',
             document.text || '',
             {
+              ...document.metadata,
               originalFilename: document.filename,
               pageCount: document.pages || 1,
               documentId: document.id,
@@ -990,6 +1147,7 @@ export const processDocumentForRag = async (document, userId = null, apiKey = nu
           document.title || document.filename || 'Untitled Document',
           document.text || '',
           {
+            ...document.metadata,
             originalFilename: document.filename,
             pageCount: document.pages || 1,
             documentId: document.id,
@@ -1001,13 +1159,20 @@ export const processDocumentForRag = async (document, userId = null, apiKey = nu
       }
     }
 
-    // Split the text into chunks
-    const textSplitter = new RecursiveCharacterTextSplitter({
+    // Split the text into chunks. Tables and equations are kept whole, the reference list is left out
+    // (its entries are stored separately as structured references), and documents uploaded with the
+    // structure strategy are chunked per section. Each chunk carries its location, language, figures,
+    // and equation count so citations can point to it
+    const documentChunks = await chunkDocumentText(document.text, {
       chunkSize: 1000,
       chunkOverlap: 200,
+      chunkingStrategy: document.metadata?.chunkingStrategy,
+      outline: document.metadata?.outline,
+      sheets: document.metadata?.sheets,
+      figures: document.metadata?.figures
     });
-    
-    const textChunks = await textSplitter.splitText(document.text);
+    const textChunks = documentChunks.map(chunk => chunk.content);
+    const chunkLocations = documentChunks.map(chunk => chunk.location);
     
     // Initialize vector store if it doesn't exist
     if (!vectorStore) {
@@ -1015,18 +1180,94 @@ export const processDocumentForRag = async (document, userId = null, apiKey = nu
       vectorStore = new MemoryVectorStore(embeddings);
     }
     
-    // Add document to vector store
-    await vectorStore.addDocuments(
-      textChunks.map(chunk => ({
-        pageContent: chunk,
-        metadata: {
-          documentId: document.id,
-          title: document.title,
-          filename: document.filename,
-          createdAt: document.createdAt
+    const chunkDocuments = textChunks.map((chunk, index) => ({
+      pageContent: chunk,
+      metadata: {
+        documentId: document.id,
+        title: document.title,
+        filename: document.filename,
+        createdAt: document.createdAt,
+        ...(document.metadata?.documentInfo ? { documentInfo: document.metadata.documentInfo } : {}),
+        ...chunkLocations[index]
+      }
+    }));
+    
+    const totalBatches = Math.ceil(textChunks.length / INGESTION_BATCH_SIZE);
+    await onProgress?.({ stage: 'chunked', totalChunks: textChunks.length, totalBatches });
+    
+    // A new version reuses the embeddings of chunks whose text did not change, and a resumed
+    // upload reuses the embeddings of the batches it stored before it was interrupted
+    const storedEmbeddings = new Map([
+      ...(previousVersionId ? await getStoredEmbeddingsByContent(previousVersionId) : []),
+      ...(storedBatches > 0 ? await getStoredEmbeddingsByContent(document.id) : [])
+    ]);
+    
+    // Embed and store one batch at a time, recording each step so the upload can resume per batch.
+    // If storing fails, the remaining batches are still embedded for the in-memory vector store
+    let chunkEmbeddings = null;
+    let storageError = null;
+    if (userId || storedEmbeddings.size > 0) {
+      const embeddings = new GoogleGenerativeAIEmbeddings({ apiKey: effectiveApiKey });
+      chunkEmbeddings = [];
+      let embeddedCount = 0;
+      
+      for (let batch = 0; batch < totalBatches; batch++) {
+        const start = batch * INGESTION_BATCH_SIZE;
+        const batchChunks = textChunks.slice(start, start + INGESTION_BATCH_SIZE);
+        const batchEmbeddings = await Promise.all(batchChunks.map((chunk) => {
+          const storedEmbedding = storedEmbeddings.get(normalizeChunkContent(chunk));
+          if (storedEmbedding) return storedEmbedding;
+          embeddedCount++;
+          return embeddings.embedQuery(chunk).catch(() => null);
+        }));
+        chunkEmbeddings.push(...batchEmbeddings);
+        await onProgress?.({ stage: 'embedding', embeddedBatches: batch + 1 });
+        
+        // Batches stored before an interruption are already in the database
+        if (!userId || storageError || batch < storedBatches) continue;
+        
+        try {
+          const chunkIds = await storeDocumentChunks(
+            document.id,
+            batchChunks.map((content, offset) => ({ content, metadata: { chunk_index: start + offset, ...chunkLocations[start + offset] } })),
+            batchEmbeddings,
+            { startIndex: start, totalChunks: textChunks.length }
+          );
+          if (chunkIds.length < batchChunks.length) {
+            throw new Error(`Only ${chunkIds.length} of ${batchChunks.length} chunks stored in batch ${batch + 1}`);
+          }
+          await onProgress?.({ stage: 'embedding', storedBatches: batch + 1 });
+        } catch (chunkError) {
+          console.error('Error storing document chunks:', chunkError);
+          // Continue even if chunk storage fails - we still have the in-memory vector store
+          storageError = chunkError;
         }
-      }))
-    );
+      }
+      
+      // An unchanged new version embeds nothing; every chunk is reused
+      const reusedCount = textChunks.length - embeddedCount;
+      if (reusedCount > 0) {
+        console.log(`Reused ${reusedCount} of ${textChunks.length} stored chunk embeddings, embedded ${embeddedCount}`);
+      }
+    }
+    
+    // Add document to vector store
+    if (chunkEmbeddings) {
+      const embeddedIndexes = textChunks.map((_, index) => index).filter(index => chunkEmbeddings[index]);
+      if (embeddedIndexes.length > 0) {
+        await vectorStore.addVectors(
+          embeddedIndexes.map(index => chunkEmbeddings[index]),
+          embeddedIndexes.map(index => chunkDocuments[index])
+        );
+      }
+      
+      const unembedded = chunkDocuments.filter((_, index) => !chunkEmbeddings[index]);
+      if (unembedded.length > 0) {
+        await vectorStore.addDocuments(unembedded);
+      }
+    } else {
+      await vectorStore.addDocuments(chunkDocuments);
+    }
     
     // Track that this document has been added
     documentIds.add(document.id);
@@ -1038,34 +1279,10 @@ export const processDocumentForRag = async (document, userId = null, apiKey = nu
       await updateRagSession(sessionId, userId);
     }
     
-    // If user is authenticated, store the document chunks in Supabase for persistence
-    if (userId) {
-      const embeddings = new GoogleGenerativeAIEmbeddings({ apiKey: effectiveApiKey });
-      const chunkEmbeddings = await Promise.all(
-        textChunks.map(chunk => embeddings.embedQuery(chunk).catch(() => null))
-      );
-      
-      try {
-        const chunkInserts = textChunks.map((chunk, index) => ({
-          document_id: document.id,
-          chunk_index: index,
-          content: chunk,
-          user_id: userId,
-          embedding: chunkEmbeddings[index]
-        }));
-        
-        // Use the storeDocumentChunks function to handle upsert properly
-        await storeDocumentChunks(document.id, 
-          chunkInserts.map(c => ({ content: c.content, metadata: { chunk_index: c.chunk_index } })), 
-          chunkEmbeddings
-        );
-        
-        console.log(`Successfully stored ${chunkInserts.length} chunks for document ${document.id}`);
-      } catch (chunkError) {
-        console.error('Error storing document chunks:', chunkError);
-        // Continue even if chunk storage fails - we still have the in-memory vector store
-      }
+    if (userId && !storageError) {
+      console.log(`Successfully stored ${textChunks.length} chunks for document ${document.id}`);
     }
+    await onProgress?.(storageError ? { error: storageError.message } : { stage: 'stored' });
     
     return true;
   } catch (error) {
@@ -1075,6 +1292,82 @@ export const processDocumentForRag = async (document, userId = null, apiKey = nu
   }
 };
 
+/**
+ * Load an already stored document into the in-memory vector store using the chunks and
+ * embeddings saved in Supabase, without re-embedding or storing the chunks again.
+ * Used when an identical document is reused instead of being uploaded a second time
+ * @param {Object} document - Stored document with id, title, and optional filename/createdAt
+ * @param {string|null} userId - ID of the current user
+ * @param {string|null} apiKey - Gemini API key (needed to embed queries)
+ * @returns {Promise<boolean>} - True when the document is ready for queries
+ */
+export const loadStoredDocumentForRag = async (document, userId = null, apiKey = null) => {
+  const effectiveApiKey = apiKey || geminiApiKey;
+  if (!effectiveApiKey) {
+    console.error('No Gemini API key found for loading stored document');
+    throw new Error('Gemini API key not found. Please initialize Gemini first.');
+  }
+
+  try {
+    const { data: chunks, error } = await supabase
+      .from('document_chunks')
+      .select('chunk_index, content, metadata, embedding')
+      .eq('document_id', document.id)
+      .order('chunk_index', { ascending: true });
+
+    if (error) throw error;
+    if (!chunks || chunks.length === 0) {
+      throw new Error(`No stored chunks found for document ${document.id}`);
+    }
+
+    if (!vectorStore) {
+      const embeddings = new GoogleGenerativeAIEmbeddings({ apiKey: effectiveApiKey });
+      vectorStore = new MemoryVectorStore(embeddings);
+    }
+
+    const toDocument = (chunk) => new Document({
+      pageContent: chunk.content,
+      metadata: {
+        documentId: document.id,
+        title: document.title,
+        filename: document.filename,
+        createdAt: document.createdAt,
+        ...(document.metadata?.documentInfo ? { documentInfo: document.metadata.documentInfo } : {}),
+        ...(chunk.metadata ? (typeof chunk.metadata === 'string' ? JSON.parse(chunk.metadata) : chunk.metadata) : {})
+      }
+    });
+
+    // pgvector columns come back from PostgREST as strings like "[0.1,0.2,...]"
+    const withEmbedding = chunks.filter(chunk => chunk.embedding);
+    if (withEmbedding.length > 0) {
+      await vectorStore.addVectors(
+        withEmbedding.map(chunk => (typeof chunk.embedding === 'string' ? JSON.parse(chunk.embedding) : chunk.embedding)),
+        withEmbedding.map(toDocument)
+      );
+    }
+
+    // Chunks whose embedding failed during the original upload are embedded in memory only
+    const withoutEmbedding = chunks.filter(chunk => !chunk.embedding);
+    if (withoutEmbedding.length > 0) {
+      await vectorStore.addDocuments(withoutEmbedding.map(toDocument));
+    }
+
+    documentIds.add(document.id);
+
+    if (!sessionId) {
+      sessionId = await createRagSessionInDB(userId);
+    } else {
+      await updateRagSession(sessionId, userId);
+    }
+
+    console.log(`Loaded ${chunks.length} stored chunks for document ${document.id} (${withoutEmbedding.length} re-embedded)`);
+    return true;
+  } catch (error) {
+    console.error('Error loading stored document for RAG:', error);
+    throw new Error('Failed to load stored document for RAG');
+  }
+};
+
 /**
  * Execute a RAG query against the processed documents
  * @param {string} query - User query
@@ -1268,38 +1561,44 @@ export const isDocumentInRagSystem = (documentId) => {
 const createOptimizedChunks = async (documents, config) => {
   const { chunkSize = 1500, chunkOverlap = 300 } = config;
   
-  // Create text splitter with special handling for math content
-  const textSplitter = new RecursiveCharacterTextSplitter({
-    chunkSize,
-    chunkOverlap,
-    // Ensure equations aren't split in the middle by defining separators
-    separators: [
-      "\n## Page", // First try to split by page boundaries
-      "\n\n",      // Then by paragraph
-      "\n",        // Then by line
-      ". ",        // Then by sentence
-      " ",         // Then by word
-      ""           // Finally by character
-    ],
-    keepSeparator: true,
-  });
-  
-  // Split documents into chunks
+  // Split documents into chunks, one document at a time so each chunk can be
+  // mapped back to its location in the source text. Tables and equations are never split
   console.log('Splitting documents into chunks...');
-  const splitDocs = await textSplitter.splitDocuments(documents);
+  const splitDocs = [];
+  for (const document of documents) {
+    // The outline, figure list, sheet names, and chunking strategy are document-level metadata; chunks only carry their own location and figures
+    const { outline, figures, sheets, chunkingStrategy, ...documentMetadata } = document.metadata || {};
+    const documentChunks = await chunkDocumentText(document.pageContent, {
+      chunkSize,
+      chunkOverlap,
+      chunkingStrategy,
+      outline,
+      sheets,
+      figures
+    });
+    
+    documentChunks.forEach(({ content, location }) => {
+      splitDocs.push(new Document({
+        pageContent: content,
+        // The chunk's own language replaces the document-level language summary
+        metadata: {
+          ...documentMetadata,
+          language: undefined,
+          ...location
+        }
+      }));
+    });
+  }
   console.log(`Split ${documents.length} documents into ${splitDocs.length} chunks`);
   
   // Add metadata about chunk position and optimize math content
   return splitDocs.map((doc, index) => {
     // Check if this chunk likely contains math content
     const containsEquations = doc.metadata?.containsEquations || 
-                             (/(\$|\\\(|\\\[|\\begin\{equation\}|\\frac|∫|∂|∇|∆|∑)/.test(doc.pageContent));
+                             (/(\$|\\\(|\\\[|\\begin\{(?:equation|align)\*?\}|\\frac|∫|∂|∇|∆|∑)/.test(doc.pageContent));
     
     // For chunks with equations, decrease chunk size slightly to ensure safe embedding
     if (containsEquations) {
-      // If we have very long equations, they may need special handling
-      const equationCount = (doc.pageContent.match(/(\$|\\\(|\\\[)/g) || []).length;
-      
       // Add metadata about math content
       return {
         ...doc,
@@ -1307,7 +1606,8 @@ const createOptimizedChunks = async (documents, config) => {
           ...doc.metadata,
           chunkIndex: index,
           containsEquations,
-          equationCount,
+          // Counted per display or inline expression by chunkDocumentText
+          equationCount: doc.metadata.equationCount || 0,
           chunkType: "math_content"
         }
       };
@@ -1946,16 +2246,26 @@ const formatContextFromDocs = (docs, citations) => {
   
   const formattedChunks = docs.map((doc, idx) => {
     // Create a citation
-    const source = doc.metadata?.source || doc.metadata?.document_title || 'Unknown Source';
+    const source = doc.metadata?.source || doc.metadata?.document_title || doc.metadata?.title || 'Unknown Source';
     const page = doc.metadata?.page || doc.metadata?.pageNumber;
-    const citationText = page ? `${source} (halaman ${page})` : source;
+    const location = formatChunkLocation(doc.metadata);
+    // Author and year from the PDF metadata, e.g. "Jane Doe, 2021"
+    const attribution = formatDocumentAttribution(doc.metadata?.documentInfo);
+    const sourceText = attribution ? `${source} — ${attribution}` : source;
+    const citationText = location ? `${sourceText} (${location})` : sourceText;
     
     // Add to citations array
     if (Array.isArray(citations)) {
       citations.push({
         source: source,
+        author: doc.metadata?.documentInfo?.author || null,
+        year: getDocumentYear(doc.metadata?.documentInfo) || null,
         page: page,
+        location: location,
         text: doc.pageContent?.substring(0, 200) || doc.content?.substring(0, 200) || "",
+        // Dipakai untuk memuat thumbnail gambar yang dirujuk chunk ini
+        documentId: doc.metadata?.documentId || doc.metadata?.document_id || null,
+        figures: doc.metadata?.figures || [],
       });
     }
     
@@ -2119,7 +2429,8 @@ const ensureReferences = (response, citations) => {
     const uniqueSources = {};
     
     citations.forEach((citation, idx) => {
-      const sourceKey = citation.source + (citation.page ? ` (halaman ${citation.page})` : '');
+      const attribution = [citation.author, citation.year].filter(Boolean).join(', ');
+      const sourceKey = citation.source + (attribution ? ` — ${attribution}` : '') + (citation.location ? ` (${citation.location})` : '');
       if (!uniqueSources[sourceKey]) {
         uniqueSources[sourceKey] = `[${idx + 1}] ${sourceKey}`;
       }
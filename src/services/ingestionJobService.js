@@ -0,0 +1,140 @@
+import { supabase } from '../utils/supabaseClient';
+import { getCurrentUser } from './authService';
+
+/**
+ * Tahap job ingest, berurutan: file diterima, teks diekstrak dan dokumen disimpan, teks dipotong
+ * menjadi chunk, embedding dibuat dan disimpan per batch, lalu semua batch tersimpan
+ */
+export const INGESTION_STAGES = ['queued', 'extracted', 'chunked', 'embedding', 'stored'];
+
+// Job yang masih 'running' tetapi tidak diperbarui selama ini dianggap terputus (tab dimuat ulang atau ditutup).
+// Selama ekstraksi job diperbarui lewat heartbeat, dan setiap batch embedding memperbarui job
+export const INTERRUPTED_AFTER_MS = 2 * 60 * 1000;
+
+// Kolom yang boleh diubah lewat updateIngestionJob, dari nama properti ke nama kolom
+const JOB_COLUMNS = {
+  documentId: 'document_id',
+  status: 'status',
+  stage: 'stage',
+  totalChunks: 'total_chunks',
+  totalBatches: 'total_batches',
+  embeddedBatches: 'embedded_batches',
+  storedBatches: 'stored_batches',
+  sourceText: 'source_text',
+  error: 'error'
+};
+
+// Kolom yang dimuat untuk daftar job; teks sumber yang besar hanya diambil saat job dilanjutkan
+const JOB_LIST_COLUMNS = 'id, user_id, document_id, filename, content_hash, status, stage, total_chunks, total_batches, embedded_batches, stored_batches, error, created_at, updated_at';
+
+/**
+ * Helper function to get current user ID safely
+ * @returns {Promise<string|null>} - User ID if logged in, null otherwise
+ */
+const getCurrentUserId = async () => {
+  const user = await getCurrentUser();
+  if (!user) {
+    console.warn('User not logged in when trying to access ingestion job service.');
+    return null;
+  }
+  return user.id;
+};
+
+/**
+ * Buat job ingest untuk satu file sebelum file diproses
+ * @param {Object} job - Data awal job
+ * @param {string} job.filename - Nama file yang diunggah
+ * @param {string|null} job.contentHash - Hash SHA-256 isi file
+ * @returns {Promise<Object>} - Job yang dibuat
+ */
+export const createIngestionJob = async ({ filename, contentHash = null }) => {
+  const userId = await getCurrentUserId();
+  if (!userId) throw new Error('User not logged in');
+
+  const { data, error } = await supabase
+    .from('ingestion_jobs')
+    .insert({
+      user_id: userId,
+      filename,
+      content_hash: contentHash
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error creating ingestion job:', error);
+    throw new Error('Failed to create ingestion job');
+  }
+
+  return data;
+};
+
+/**
+ * Catat kemajuan job; updated_at selalu diperbarui sehingga pemanggilan tanpa perubahan berfungsi sebagai heartbeat
+ * @param {string} jobId - ID job
+ * @param {Object} changes - Perubahan, misalnya `{ stage: 'embedding', embeddedBatches: 3 }`
+ * @returns {Promise<void>}
+ */
+export const updateIngestionJob = async (jobId, changes = {}) => {
+  const row = Object.fromEntries(
+    Object.entries(changes)
+      .filter(([key]) => JOB_COLUMNS[key])
+      .map(([key, value]) => [JOB_COLUMNS[key], value])
+  );
+
+  const { error } = await supabase
+    .from('ingestion_jobs')
+    .update({ ...row, updated_at: new Date().toISOString() })
+    .eq('id', jobId);
+
+  if (error) {
+    console.error('Error updating ingestion job:', error);
+    throw new Error('Failed to update ingestion job');
+  }
+};
+
+/**
+ * Ambil job milik pengguna yang belum selesai: terputus di tengah jalan, atau gagal setelah dokumennya
+ * tersimpan sehingga dokumen hanya terindeks sebagian
+ * @returns {Promise<Array<Object>>} - Job yang belum selesai, terbaru lebih dulu
+ */
+export const getUnfinishedIngestionJobs = async () => {
+  const userId = await getCurrentUserId();
+  if (!userId) return [];
+
+  const interruptedBefore = new Date(Date.now() - INTERRUPTED_AFTER_MS).toISOString();
+  const { data, error } = await supabase
+    .from('ingestion_jobs')
+    .select(JOB_LIST_COLUMNS)
+    .eq('user_id', userId)
+    .or(`and(status.eq.running,updated_at.lt.${interruptedBefore}),and(status.eq.failed,document_id.not.is.null)`)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    console.error('Error retrieving unfinished ingestion jobs:', error);
+    throw new Error('Gagal mengambil unggahan yang belum selesai: ' + error.message);
+  }
+
+  return data || [];
+};
+
+/**
+ * Ambil teks hasil ekstraksi yang disimpan bersama job. Teks dokumen di tabel documents sudah
+ * dibersihkan (baris baru menjadi spasi), sehingga memotongnya ulang menghasilkan chunk yang berbeda
+ * @param {string} jobId - ID job
+ * @returns {Promise<string|null>} - Teks persis seperti saat pertama kali dipotong, atau null jika tidak tersimpan
+ */
+export const getIngestionJobSourceText = async (jobId) => {
+  const { data, error } = await supabase
+    .from('ingestion_jobs')
+    .select('source_text')
+    .eq('id', jobId)
+    .single();
+
+  if (error) {
+    console.error('Error retrieving ingestion job source text:', error);
+    throw new Error('Failed to retrieve ingestion job source text');
+  }
+
+  return data?.source_text ?? null;
+};
@@ -0,0 +1,270 @@
+import JSZip from 'jszip';
+import { detectMathInText } from '../utils/documentCompression';
+import { SECTION_PATH_SEPARATOR } from '../utils/documentStructure';
+
+// Perintah pembagian dokumen LaTeX dari tingkat tertinggi ke terendah
+const SECTIONING_LEVELS = ['part', 'chapter', 'section', 'subsection', 'subsubsection'];
+
+const SECTIONING_REGEX = /\\(part|chapter|section|subsection|subsubsection)\*?\s*(?:\[[^\]]*\])?\s*\{/g;
+
+// \input{file}, \include{file}, atau \input file
+const INCLUDE_REGEX = /\\(?:input|include)\s*(?:\{([^}]+)\}|\s([^\s\\{}]+))/g;
+
+// Batas kedalaman \input bertingkat untuk mencegah rekursi tak berujung
+const MAX_INCLUDE_DEPTH = 10;
+
+/**
+ * Hapus komentar LaTeX (% sampai akhir baris) tanpa menyentuh \% yang di-escape
+ * @param {string} source - Sumber LaTeX
+ * @returns {string} - Sumber tanpa komentar
+ */
+const stripComments = (source) =>
+  source
+    .split('\n')
+    .map(line => line.replace(/(^|[^\\])((?:\\\\)*)%.*$/, '$1$2'))
+    .join('\n');
+
+/**
+ * Baca isi argumen berkurung kurawal, termasuk kurung kurawal bersarang
+ * @param {string} source - Sumber LaTeX
+ * @param {number} start - Posisi tepat setelah "{" pembuka
+ * @returns {{value: string, end: number}|null} - Isi argumen dan posisi setelah "}" penutup
+ */
+const readBracedArgument = (source, start) => {
+  let depth = 1;
+
+  for (let index = start; index < source.length; index++) {
+    const char = source[index];
+    if (char === '\\') {
+      index++;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      return { value: source.slice(start, index), end: index + 1 };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Ubah judul bagian LaTeX menjadi teks biasa untuk path bagian, misalnya
+ * "Wave \emph{Equation}~Basics" menjadi "Wave Equation Basics"
+ * @param {string} title - Judul mentah
+ * @returns {string} - Judul yang sudah dirapikan
+ */
+const cleanSectionTitle = (title) =>
+  title
+    .replace(/\\(?:label|footnote|cite|ref)\{[^}]*\}/g, '')
+    .replace(/\\[a-zA-Z]+\*?/g, '')
+    .replace(/[{}]/g, '')
+    .replace(/~/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Ganti perintah \part sampai \subsubsection dengan penanda "## Section N: Path" dan bangun outline-nya.
+ * N adalah nomor urut entri outline, sehingga chunk tetap dapat dipetakan ke bagiannya
+ * @param {string} body - Isi dokumen LaTeX
+ * @returns {{text: string, outline: Array<{title: string, path: string, depth: number}>}} - Teks dengan penanda dan outline
+ */
+const convertSections = (body) => {
+  const headings = [];
+
+  for (const match of body.matchAll(SECTIONING_REGEX)) {
+    const argument = readBracedArgument(body, match.index + match[0].length);
+    if (!argument) continue;
+
+    const title = cleanSectionTitle(argument.value);
+    if (!title) continue;
+
+    headings.push({ level: SECTIONING_LEVELS.indexOf(match[1]), title, start: match.index, end: argument.end });
+  }
+
+  if (headings.length === 0) {
+    return { text: body, outline: [] };
+  }
+
+  // Tingkat teratas yang dipakai dokumen menjadi kedalaman 0
+  const topLevel = Math.min(...headings.map(heading => heading.level));
+  const stack = [];
+  const outline = [];
+  let text = '';
+  let lastIndex = 0;
+
+  headings.forEach((heading) => {
+    const depth = heading.level - topLevel;
+    stack.length = depth;
+    stack[depth] = heading.title;
+
+    const path = stack.filter(Boolean).join(SECTION_PATH_SEPARATOR);
+    outline.push({ title: heading.title, path, depth: stack.filter(Boolean).length - 1 });
+
+    text += body.slice(lastIndex, heading.start).replace(/\s+$/, '');
+    text += `\n\n## Section ${outline.length}: ${path}\n\n`;
+    lastIndex = heading.end;
+  });
+
+  text += body.slice(lastIndex);
+
+  return { text, outline };
+};
+
+/**
+ * Ambil isi antara \begin{document} dan \end{document}, tanpa preamble
+ * @param {string} source - Sumber LaTeX lengkap
+ * @returns {string} - Isi dokumen, atau seluruh sumber jika tidak ada lingkungan document
+ */
+const getDocumentBody = (source) => {
+  const begin = source.indexOf('\\begin{document}');
+  if (begin === -1) return source;
+
+  const end = source.indexOf('\\end{document}', begin);
+  return source.slice(begin + '\\begin{document}'.length, end === -1 ? undefined : end);
+};
+
+/**
+ * Susun hasil ekstraksi LaTeX dengan header yang sama seperti dokumen lain
+ * @param {File} file - File sumber
+ * @param {string} source - Sumber LaTeX tanpa komentar, dengan \input sudah digabungkan
+ * @returns {{text: string, pages: number, outline: Array<Object>, containsEquations: boolean, mathConfidence: number}} - Hasil ekstraksi teks dengan metadata
+ */
+const buildLatexResult = (file, source) => {
+  const { text: body, outline } = convertSections(getDocumentBody(source).trim());
+  const { containsEquations, mathConfidence } = detectMathInText(body);
+
+  let fullText = `# ${file.name}\n`;
+  fullText += `Pages: 1\n\n`;
+  fullText += body.replace(/\n{3,}/g, '\n\n').trim() + '\n';
+
+  return {
+    text: fullText,
+    // Sumber LaTeX tidak memiliki halaman, jadi seluruh isi dianggap satu halaman
+    pages: 1,
+    outline,
+    containsEquations,
+    mathConfidence
+  };
+};
+
+/**
+ * Normalisasi path di dalam arsip, misalnya "chapters/../intro.tex" menjadi "intro.tex"
+ * @param {string} path - Path relatif terhadap akar arsip
+ * @returns {string} - Path yang sudah dinormalisasi
+ */
+const normalizePath = (path) => {
+  const segments = [];
+
+  path.split('/').forEach(segment => {
+    if (segment === '..') {
+      segments.pop();
+    } else if (segment && segment !== '.') {
+      segments.push(segment);
+    }
+  });
+
+  return segments.join('/');
+};
+
+/**
+ * Gabungkan file yang dirujuk \input dan \include secara rekursif. Seperti LaTeX, path
+ * dicari relatif terhadap direktori file utama dan ekstensi .tex ditambahkan jika tidak ada
+ * @param {string} source - Sumber LaTeX tanpa komentar
+ * @param {Map<string, string>} files - Isi file .tex di dalam arsip berdasarkan path
+ * @param {string} baseDir - Direktori file utama
+ * @param {Array<string>} stack - File yang sedang diproses, untuk mendeteksi include melingkar
+ * @returns {string} - Sumber dengan semua include yang ditemukan sudah digabungkan
+ */
+const expandIncludes = (source, files, baseDir, stack = []) =>
+  source.replace(INCLUDE_REGEX, (command, bracedPath, barePath) => {
+    const name = (bracedPath || barePath).trim();
+    const withExtension = /\.[a-z]+$/i.test(name) ? name : `${name}.tex`;
+    const path = [`${baseDir}${withExtension}`, withExtension].map(normalizePath).find(candidate => files.has(candidate));
+
+    if (!path) {
+      console.warn(`LaTeX include not found in project: ${name}`);
+      return command;
+    }
+    if (stack.includes(path) || stack.length >= MAX_INCLUDE_DEPTH) {
+      console.warn(`Skipping recursive LaTeX include: ${path}`);
+      return '';
+    }
+
+    return `\n${expandIncludes(files.get(path), files, baseDir, [...stack, path])}\n`;
+  });
+
+/**
+ * Pilih file utama proyek LaTeX: file dengan \documentclass dan \begin{document},
+ * utamakan main.tex lalu file yang paling dekat dengan akar arsip
+ * @param {Map<string, string>} files - Isi file .tex berdasarkan path
+ * @returns {string|null} - Path file utama
+ */
+const findMainFile = (files) => {
+  const paths = Array.from(files.keys());
+  const rank = (path) => {
+    const source = files.get(path);
+    return [
+      source.includes('\\begin{document}') ? 0 : 1,
+      source.includes('\\documentclass') ? 0 : 1,
+      /(^|\/)main\.tex$/i.test(path) ? 0 : 1,
+      path.split('/').length
+    ];
+  };
+
+  return paths.sort((a, b) => {
+    const rankA = rank(a);
+    const rankB = rank(b);
+    const difference = rankA.findIndex((value, index) => value !== rankB[index]);
+    return difference === -1 ? a.localeCompare(b) : rankA[difference] - rankB[difference];
+  })[0] || null;
+};
+
+/**
+ * Ekstrak sumber LaTeX dari satu file .tex. Preamble dan komentar dibuang, perintah \section
+ * dan sejenisnya menjadi penanda bagian dengan outline, dan semua lingkungan matematika tetap apa adanya.
+ * \input tidak dapat digabungkan dari satu file; unggah proyek dalam ZIP untuk itu
+ * @param {File} file - File .tex yang akan diproses
+ * @returns {Promise<{text: string, pages: number, outline: Array<Object>, containsEquations: boolean, mathConfidence: number}>} - Hasil ekstraksi teks dengan metadata
+ */
+export const extractTextFromLatex = async (file) => {
+  try {
+    const source = (await file.text()).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    return buildLatexResult(file, stripComments(source));
+  } catch (error) {
+    console.error('Error extracting text from LaTeX:', error);
+    throw new Error('Failed to extract text from LaTeX');
+  }
+};
+
+/**
+ * Ekstrak proyek LaTeX dalam arsip ZIP. File utama dipilih otomatis dan file yang
+ * dirujuk lewat \input atau \include digabungkan sebelum diproses seperti extractTextFromLatex
+ * @param {File} file - Arsip ZIP berisi proyek LaTeX
+ * @returns {Promise<{text: string, pages: number, outline: Array<Object>, containsEquations: boolean, mathConfidence: number}>} - Hasil ekstraksi teks dengan metadata
+ */
+export const extractTextFromLatexProject = async (file) => {
+  try {
+    const zip = await JSZip.loadAsync(await file.arrayBuffer());
+    const files = new Map();
+
+    for (const entry of zip.file(/\.tex$/i)) {
+      if (entry.name.startsWith('__MACOSX/')) continue;
+
+      const source = (await entry.async('string')).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+      files.set(normalizePath(entry.name), stripComments(source));
+    }
+
+    const mainPath = findMainFile(files);
+    if (!mainPath) {
+      throw new Error('ZIP archive does not contain any .tex files');
+    }
+
+    const baseDir = mainPath.slice(0, mainPath.lastIndexOf('/') + 1);
+    const source = expandIncludes(files.get(mainPath), files, baseDir, [mainPath]);
+
+    return buildLatexResult(file, source);
+  } catch (error) {
+    console.error('Error extracting LaTeX project from ZIP:', error);
+    throw new Error('Failed to extract LaTeX project from ZIP');
+  }
+};
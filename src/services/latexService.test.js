@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import JSZip from 'jszip';
+import { extractTextFromLatex, extractTextFromLatexProject } from './latexService';
+
+const MAIN = String.raw`\documentclass{article}
+\usepackage{amsmath}
+\begin{document}
+\section{Introduction}
+Waves are everywhere. % a comment that is dropped
+\subsection{Wave Equation}
+The wave equation reads
+\begin{equation}
+u_{tt} = c^2 u_{xx}
+\end{equation}
+\input{methods}
+\end{document}`;
+
+const METHODS = String.raw`\section{Methods}
+We use finite differences.`;
+
+describe('extractTextFromLatex', () => {
+  it('drops the preamble and comments and keeps math environments', async () => {
+    const { text, outline } = await extractTextFromLatex(new File([MAIN], 'paper.tex'));
+
+    expect(text).not.toContain('\\usepackage');
+    expect(text).not.toContain('a comment that is dropped');
+    expect(text).toContain('\\begin{equation}\nu_{tt} = c^2 u_{xx}\n\\end{equation}');
+    expect(outline.map(section => section.title)).toEqual(expect.arrayContaining(['Introduction', 'Wave Equation']));
+    expect(text).toMatch(/## Section \d+/);
+  });
+});
+
+describe('extractTextFromLatexProject', () => {
+  it('expands \\input files from the archive', async () => {
+    const zip = new JSZip();
+    zip.file('project/main.tex', MAIN);
+    zip.file('project/methods.tex', METHODS);
+    const archive = new File([await zip.generateAsync({ type: 'uint8array' })], 'project.zip');
+
+    const { text, outline } = await extractTextFromLatexProject(archive);
+
+    expect(text).toContain('We use finite differences.');
+    expect(outline.map(section => section.title)).toContain('Methods');
+  });
+
+  it('fails for archives without .tex files', async () => {
+    const zip = new JSZip();
+    zip.file('readme.txt', 'nothing here');
+    const archive = new File([await zip.generateAsync({ type: 'uint8array' })], 'empty.zip');
+
+    await expect(extractTextFromLatexProject(archive)).rejects.toThrow('Failed to extract LaTeX project from ZIP');
+  });
+});
@@ -0,0 +1,113 @@
+import { createWorker } from 'tesseract.js';
+import { simd } from 'wasm-feature-detect';
+import tesseractWorkerUrl from 'tesseract.js/dist/worker.min.js?url';
+import tesseractCoreUrl from 'tesseract.js-core/tesseract-core-lstm.wasm.js?url';
+import tesseractCoreSimdUrl from 'tesseract.js-core/tesseract-core-simd-lstm.wasm.js?url';
+
+// Bahasa yang dikenali OCR: Indonesia dan Inggris
+const OCR_LANGUAGES = ['ind', 'eng'];
+
+// Data bahasa disajikan aplikasi sendiri dari folder ini (lihat plugin tessdata di vite.config.js)
+const OCR_LANGUAGE_DATA_PATH = `${import.meta.env.BASE_URL}tessdata`;
+
+// Skala render halaman; resolusi lebih tinggi membuat hasil OCR lebih akurat
+const OCR_RENDER_SCALE = 2;
+
+// Halaman dengan teks lebih sedikit dari ini dianggap tidak memiliki lapisan teks
+const MIN_TEXT_LAYER_LENGTH = 20;
+
+/**
+ * Buat canvas untuk merender halaman. Di dalam Web Worker tidak ada DOM,
+ * jadi gunakan OffscreenCanvas yang juga diterima oleh Tesseract
+ * @param {number} width - Lebar canvas
+ * @param {number} height - Tinggi canvas
+ * @returns {HTMLCanvasElement|OffscreenCanvas} - Canvas kosong
+ */
+export const createCanvas = (width, height) => {
+  if (typeof document === 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+// Factory canvas sementara untuk pdf.js; bawaan pdf.js memakai document yang tidak ada di Web Worker
+export const canvasFactory = {
+  create: (width, height) => {
+    const canvas = createCanvas(width, height);
+    return { canvas, context: canvas.getContext('2d') };
+  },
+  reset: (canvasAndContext, width, height) => {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  },
+  destroy: (canvasAndContext) => {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+};
+
+/**
+ * Cek apakah halaman PDF memiliki lapisan teks yang dapat dibaca
+ * @param {Object} textContent - Hasil page.getTextContent() dari pdf.js
+ * @returns {boolean} - True jika halaman memiliki cukup teks
+ */
+export const hasTextLayer = (textContent) => {
+  const textLength = (textContent?.items || [])
+    .reduce((total, item) => total + (item.str ? item.str.trim().length : 0), 0);
+
+  return textLength >= MIN_TEXT_LAYER_LENGTH;
+};
+
+/**
+ * Ubah path aset menjadi URL absolut. Tesseract memuat worker-nya lewat blob URL,
+ * sehingga path relatif tidak dapat di-resolve di dalamnya
+ * @param {string} path - Path aset dari Vite
+ * @returns {string} - URL absolut
+ */
+const toAbsoluteUrl = (path) => new URL(path, globalThis.location.href).href;
+
+/**
+ * Buat engine OCR di browser. Worker, core WebAssembly, dan data bahasa Tesseract dibundel
+ * bersama aplikasi (tanpa CDN), sehingga OCR tetap berjalan offline.
+ * Engine cukup dibuat sekali per dokumen dan harus dihentikan dengan terminate() setelah selesai
+ * @returns {Promise<Object>} - Worker Tesseract yang siap dipakai
+ */
+export const createOcrEngine = async () => {
+  return createWorker(OCR_LANGUAGES, undefined, {
+    workerPath: toAbsoluteUrl(tesseractWorkerUrl),
+    corePath: toAbsoluteUrl(await simd() ? tesseractCoreSimdUrl : tesseractCoreUrl),
+    langPath: toAbsoluteUrl(OCR_LANGUAGE_DATA_PATH)
+  });
+};
+
+/**
+ * Render halaman PDF ke canvas lalu kenali teksnya dengan OCR
+ * @param {Object} page - Halaman PDF dari pdf.js
+ * @param {Object} ocrEngine - Engine dari createOcrEngine
+ * @returns {Promise<{text: string, confidence: number}>} - Teks hasil OCR dan tingkat keyakinannya (0-100)
+ */
+export const recognizePdfPage = async (page, ocrEngine) => {
+  const viewport = page.getViewport({ scale: OCR_RENDER_SCALE });
+  const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+
+  try {
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport, canvasFactory }).promise;
+
+    const { data } = await ocrEngine.recognize(canvas);
+
+    return {
+      text: (data.text || '').trim(),
+      confidence: Math.round(data.confidence || 0)
+    };
+  } finally {
+    // Lepaskan memori canvas karena halaman beresolusi tinggi cukup besar
+    canvas.width = 0;
+    canvas.height = 0;
+  }
+};
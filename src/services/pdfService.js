@@ -1,78 +1,300 @@
 import * as pdfjs from 'pdfjs-dist';
+import pdfWorkerUrl from 'pdfjs-dist/build/pdf.worker.min.js?url';
+import { detectMathContent, detectMathInText, getCompressionMetrics } from '../utils/documentCompression';
+import { extractTextFromDocx } from './docxService';
+import { extractTextFromEpub } from './epubService';
+import { extractTextFromPptx } from './pptxService';
+import { extractTextFromLatex, extractTextFromLatexProject } from './latexService';
+import { hasTextLayer, createOcrEngine, recognizePdfPage } from './ocrService';
+import { renderFigureThumbnails } from './figureService';
+import { splitItemsIntoColumns, groupTextItemsIntoLines, getLineText, detectTableBlocks } from '../utils/pdfLayout';
+import { cleanExtractedPages } from '../utils/textCleanup';
+import { SECTION_PATH_SEPARATOR } from '../utils/documentStructure';
+import { clampPageRanges, countPagesInRanges, isPageInRanges } from '../utils/pageRanges';
+import { detectFigureCaptions, isFigureCaption } from '../utils/figureCaptions';
+import { extractTextFromMarkdown, extractTextFromHtml, extractTextFromPlainText } from './textDocumentService';
+import { extractTextFromCsv, extractTextFromXlsx } from './spreadsheetService';
 
-// Mengatur worker untuk PDF.js dengan cara yang benar
-pdfjs.GlobalWorkerOptions.workerSrc = `//cdnjs.cloudflare.com/ajax/libs/pdf.js/${pdfjs.version}/pdf.worker.min.js`;
+/**
+ * Siapkan worker PDF.js yang dibundel bersama aplikasi (tanpa CDN, sehingga tetap berjalan offline).
+ * Worker diberikan lewat workerPort karena pdf.js membaca window.location saat membuat worker sendiri,
+ * dan itu tidak tersedia ketika ekstraksi berjalan di dalam Web Worker
+ */
+const ensurePdfWorker = () => {
+  if (!pdfjs.GlobalWorkerOptions.workerPort) {
+    pdfjs.GlobalWorkerOptions.workerPort = new Worker(pdfWorkerUrl);
+  }
+};
+
+// Kode error untuk PDF terenkripsi, dipakai UI untuk meminta kata sandi
+export const PDF_PASSWORD_REQUIRED = 'PDF_PASSWORD_REQUIRED';
+export const PDF_PASSWORD_INCORRECT = 'PDF_PASSWORD_INCORRECT';
+
+/**
+ * Buat error untuk PDF yang membutuhkan kata sandi dari PasswordException pdf.js
+ * @param {Object} passwordException - Error dari pdf.js dengan code NEED_PASSWORD atau INCORRECT_PASSWORD
+ * @param {string} fileName - Nama file PDF
+ * @returns {Error} - Error dengan properti `code` dan `fileName`
+ */
+const createPasswordError = (passwordException, fileName) => {
+  const isIncorrect = passwordException.code === pdfjs.PasswordResponses.INCORRECT_PASSWORD;
+  const error = new Error(isIncorrect
+    ? `Incorrect password for PDF: ${fileName}`
+    : `PDF is password protected: ${fileName}`);
+  error.code = isIncorrect ? PDF_PASSWORD_INCORRECT : PDF_PASSWORD_REQUIRED;
+  error.fileName = fileName;
+  return error;
+};
+
+/**
+ * Cek apakah error berasal dari PDF terenkripsi yang membutuhkan kata sandi (baru atau yang benar)
+ * @param {Error} error - Error yang akan diperiksa
+ * @returns {boolean} - True jika pengguna perlu memasukkan kata sandi
+ */
+export const isPdfPasswordError = (error) =>
+  error?.code === PDF_PASSWORD_REQUIRED || error?.code === PDF_PASSWORD_INCORRECT;
+
+/**
+ * Tentukan nomor halaman (mulai dari 1) yang dituju oleh sebuah bookmark
+ * @param {Object} pdf - Dokumen PDF dari pdf.js
+ * @param {string|Array} dest - Tujuan bookmark (nama tujuan atau array tujuan)
+ * @returns {Promise<number|null>} - Nomor halaman atau null jika tidak dapat ditentukan
+ */
+const resolveOutlinePage = async (pdf, dest) => {
+  try {
+    const explicitDest = typeof dest === 'string' ? await pdf.getDestination(dest) : dest;
+    if (!Array.isArray(explicitDest) || explicitDest.length === 0) return null;
+
+    const [target] = explicitDest;
+    if (typeof target === 'number') return target + 1;
+
+    return (await pdf.getPageIndex(target)) + 1;
+  } catch (error) {
+    console.warn('Could not resolve outline destination:', error);
+    return null;
+  }
+};
 
 /**
- * Ekstrak teks dari file PDF dengan penanganan khusus untuk konten matematis
+ * Baca outline/bookmark PDF dan petakan setiap bookmark ke rentang halamannya.
+ * Sebuah bagian berakhir tepat sebelum bagian berikutnya dengan tingkat yang sama atau lebih tinggi dimulai
+ * @param {Object} pdf - Dokumen PDF dari pdf.js
+ * @returns {Promise<Array<{title: string, path: string, depth: number, page: number, pageEnd: number}>>} - Daftar bagian sesuai urutan outline
+ */
+const readPdfOutline = async (pdf) => {
+  const outline = await pdf.getOutline().catch(() => null);
+  if (!outline || outline.length === 0) return [];
+
+  const entries = [];
+
+  const visit = async (items, parentPath) => {
+    for (const item of items) {
+      const title = (item.title || '').replace(/\s+/g, ' ').trim();
+      if (!title) continue;
+
+      const path = [...parentPath, title];
+      const page = await resolveOutlinePage(pdf, item.dest);
+      if (page) {
+        entries.push({ title, path: path.join(SECTION_PATH_SEPARATOR), depth: path.length - 1, page });
+      }
+      if (item.items && item.items.length > 0) {
+        await visit(item.items, path);
+      }
+    }
+  };
+
+  await visit(outline, []);
+
+  return entries.map((entry, index) => {
+    const next = entries.slice(index + 1).find(other => other.depth <= entry.depth);
+    return {
+      ...entry,
+      pageEnd: next ? Math.max(entry.page, next.page - 1) : pdf.numPages
+    };
+  });
+};
+
+/**
+ * Baca metadata bibliografis PDF dari XMP dan info dictionary. Nilai XMP diutamakan karena
+ * selalu Unicode; info dictionary dipakai untuk field yang tidak ada di XMP
+ * @param {Object} pdf - Dokumen PDF dari pdf.js
+ * @returns {Promise<{title?: string, author?: string, subject?: string, keywords?: Array<string>, creationDate?: string}|null>} - Metadata yang ditemukan, atau null jika kosong
+ */
+const readPdfDocumentInfo = async (pdf) => {
+  const { info = {}, metadata = null } = await pdf.getMetadata().catch(() => ({}));
+  const xmp = (name) => metadata?.get(name) ?? null;
+
+  // dc:creator dan dc:subject berupa daftar di XMP, field lain berupa string
+  const toText = (value) => (Array.isArray(value) ? value.join(', ') : typeof value === 'string' ? value : '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  const toList = (value) => (Array.isArray(value) ? value : toText(value).split(/[,;]/))
+    .map(item => toText(item))
+    .filter(Boolean);
+  const toIsoDate = (value) => {
+    const date = typeof value === 'string' && value.startsWith('D:')
+      ? pdfjs.PDFDateString.toDateObject(value)
+      : value ? new Date(value) : null;
+    return date && !Number.isNaN(date.getTime()) ? date.toISOString() : '';
+  };
+
+  const keywords = toList(xmp('dc:subject'));
+  const documentInfo = {
+    title: toText(xmp('dc:title')) || toText(info.Title),
+    author: toText(xmp('dc:creator')) || toText(info.Author),
+    subject: toText(xmp('dc:description')) || toText(info.Subject),
+    keywords: keywords.length > 0 ? keywords : toList(xmp('pdf:keywords') || info.Keywords),
+    creationDate: toIsoDate(xmp('xmp:createdate')) || toIsoDate(info.CreationDate)
+  };
+
+  // Simpan hanya field yang terisi agar metadata dokumen tetap ringkas
+  const filled = Object.entries(documentInfo).filter(([, value]) => value.length > 0);
+  return filled.length > 0 ? Object.fromEntries(filled) : null;
+};
+
+/**
+ * Ekstrak teks dari file PDF dengan penanganan khusus untuk konten matematis.
+ * Halaman dua kolom dibaca per kolom, tabel direkonstruksi menjadi tabel Markdown, dan halaman hasil pindaian
+ * yang tidak memiliki lapisan teks dibaca dengan OCR. Setelah ekstraksi, header/footer berulang
+ * dihapus dan kata yang terpotong tanda hubung disambung kembali.
+ * PDF terenkripsi melempar error dengan `code` PDF_PASSWORD_REQUIRED atau PDF_PASSWORD_INCORRECT
  * @param {File} file - File PDF yang akan diproses
- * @returns {Promise<{text: string, pages: number, containsEquations: boolean}>} - Hasil ekstraksi teks dengan metadata
+ * @param {Object} options - Opsi tambahan
+ * @param {string} options.password - Kata sandi PDF terenkripsi; hanya diteruskan ke pdf.js dan tidak pernah disimpan
+ * @param {Array<[number, number]>} options.pageRanges - Hanya ekstrak halaman dalam rentang ini, misalnya [[1, 20], [45, 60]]
+ * @param {Function} options.onProgress - Dipanggil dengan `{ page, pageCount }` setiap kali satu halaman selesai
+ * @param {AbortSignal} options.signal - Membatalkan ekstraksi di antara halaman (melempar AbortError)
+ * @returns {Promise<{text: string, pages: number, containsEquations: boolean, mathConfidence: number, ocr: Object|null, cleanup: Object, outline: Array<Object>, documentInfo: Object|null, pageRanges: Array<[number, number]>|null, figures: Array<{number: string, label: string, caption: string, page: number, thumbnail: string|null}>}>} - Hasil ekstraksi teks dengan metadata
  */
-export const extractTextFromPdf = async (file) => {
+export const extractTextFromPdf = async (file, { password, pageRanges: requestedRanges, onProgress, signal } = {}) => {
+  let ocrEngine = null;
+  let pdf = null;
+  
   try {
+    ensurePdfWorker();
     const arrayBuffer = await file.arrayBuffer();
-    const pdf = await pdfjs.getDocument({ data: arrayBuffer }).promise;
+    pdf = await pdfjs.getDocument({
+      data: arrayBuffer,
+      // Halaman hanya dirender untuk OCR, jadi font tidak perlu dimuat lewat FontFace
+      // (API tersebut membutuhkan DOM yang tidak ada di Web Worker)
+      disableFontFace: true,
+      ...(password ? { password } : {})
+    }).promise;
     
-    let fullText = '';
     let pageCount = pdf.numPages;
     let containsEquations = false;
+    
+    // Only the selected pages are extracted; page markers keep their original page numbers
+    const pageRanges = requestedRanges?.length > 0 ? clampPageRanges(requestedRanges, pageCount) : null;
+    if (pageRanges && pageRanges.length === 0) {
+      throw new Error(`Selected pages are outside the document (${pageCount} pages)`);
+    }
+    const pagesToExtract = pageRanges ? countPagesInRanges(pageRanges) : pageCount;
+    
+    // Bookmarks give every page a section path such as "Ch 2 > 2.3 Wave Equation";
+    // sections outside the selected pages are dropped
+    const outline = (await readPdfOutline(pdf)).filter(section =>
+      !pageRanges || pageRanges.some(([start, end]) => section.page <= end && section.pageEnd >= start)
+    );
+    const documentInfo = await readPdfDocumentInfo(pdf);
     let mathConfidence = 0;
+    const ocrPages = [];
+    const ocrConfidenceByPage = {};
     
-    // Add document metadata header to help with RAG context
-    fullText += `# ${file.name}\n`;
-    fullText += `Pages: ${pageCount}\n\n`;
+    // Text of every page, with notes placed before and after the page body
+    const pages = [];
+    
+    // Figures found through their captions, with thumbnails rendered from the page
+    const figures = [];
     
     // Ekstrak teks dari setiap halaman PDF
     for (let i = 1; i <= pageCount; i++) {
+      signal?.throwIfAborted();
+      if (!isPageInRanges(i, pageRanges)) continue;
+      
       const page = await pdf.getPage(i);
       const textContent = await page.getTextContent();
+      const pageEntry = { number: i, before: '', text: '', after: '' };
+      pages.push(pageEntry);
       
-      // Start each page with a clear marker for better context
-      fullText += `## Page ${i}\n\n`;
-      
-      // Join text items while preserving some layout information
-      let lastY;
-      let textItems = [];
-      let lineBuffer = [];
-      
-      textContent.items.forEach((item) => {
-        // Check if we're starting a new line
-        if (lastY !== undefined && Math.abs(lastY - item.transform[5]) > 5) {
-          // Process the current line before adding a new line break
-          if (lineBuffer.length > 0) {
-            const line = lineBuffer.join(' ');
+      // Scanned pages have no text layer, so fall back to OCR
+      if (!hasTextLayer(textContent)) {
+        try {
+          if (!ocrEngine) {
+            ocrEngine = await createOcrEngine();
+          }
+          
+          const { text: ocrText, confidence } = await recognizePdfPage(page, ocrEngine);
+          
+          if (ocrText) {
+            ocrPages.push(i);
+            ocrConfidenceByPage[i] = confidence;
             
-            // Special handling for math content - look for equation markers
-            if (detectMathContent(line)) {
-              textItems.push(`\n${line}\n`);
-              mathConfidence += 1;
+            const ocrMath = detectMathInText(ocrText);
+            if (ocrMath.containsEquations) {
               containsEquations = true;
-            } else {
-              textItems.push(line);
+              mathConfidence += ocrMath.mathConfidence;
             }
-            lineBuffer = [];
+            
+            pageEntry.before = `Note: The text on this page was recognized with OCR (confidence ${confidence}%).\n\n`;
+            pageEntry.text = ocrText;
+            onProgress?.({ page: pages.length, pageCount: pagesToExtract });
+            continue;
           }
-          textItems.push('\n');
+        } catch (ocrError) {
+          console.warn(`OCR failed for page ${i} of ${file.name}:`, ocrError);
         }
+      }
+      
+      // Read multi-column pages column by column, then group text items into
+      // lines and rebuild tables from item positions
+      const { width: pageWidth } = page.getViewport({ scale: 1 });
+      const columnLines = splitItemsIntoColumns(textContent.items, pageWidth)
+        .map(columnItems => groupTextItemsIntoLines(columnItems));
+      const lines = columnLines.flat();
+      const textItems = [];
+      
+      // Figure captions, with a thumbnail of the empty area above (or below) each caption
+      const [, , pageRight, pageTop] = page.view;
+      const pageFigures = columnLines.flatMap(column => detectFigureCaptions(column, { width: pageRight, height: pageTop }));
+      if (pageFigures.length > 0) {
+        const withRegion = pageFigures.filter(figure => figure.region);
+        const thumbnails = withRegion.length > 0
+          ? await renderFigureThumbnails(page, withRegion.map(figure => figure.region)).catch((thumbnailError) => {
+              console.warn(`Could not render figure thumbnails on page ${i} of ${file.name}:`, thumbnailError);
+              return [];
+            })
+          : [];
         
-        lineBuffer.push(item.str);
-        lastY = item.transform[5];
-      });
+        pageFigures.forEach(({ number, label, caption, region }) => {
+          const thumbnail = region ? thumbnails[withRegion.findIndex(figure => figure.region === region)] : null;
+          figures.push({ number, label, caption, page: i, thumbnail: thumbnail || null });
+        });
+      }
       
-      // Process any remaining text in the buffer
-      if (lineBuffer.length > 0) {
-        const line = lineBuffer.join(' ');
-        if (detectMathContent(line)) {
+      detectTableBlocks(lines).forEach((block) => {
+        // Tables are emitted as Markdown tables surrounded by blank lines
+        if (block.type === 'table') {
+          textItems.push(`\n${block.markdown}\n`);
+          return;
+        }
+        
+        const line = getLineText(block.line);
+        
+        // Captions get their own paragraph so they stay together with the figure number
+        if (isFigureCaption(line)) {
+          textItems.push(`\n${line}\n`);
+        } else if (detectMathContent(line)) {
           textItems.push(`\n${line}\n`);
           mathConfidence += 1;
           containsEquations = true;
         } else {
           textItems.push(line);
         }
-      }
+      });
       
-      const pageText = textItems.join(' ');
-      fullText += pageText + '\n\n';
+      const pageText = textItems.join('\n');
+      pageEntry.text = pageText;
       
       // Look for potential mathematical notation patterns
       const hasMathPatterns = /(\$|\\\(|\\\[|\\begin\{equation\}|\\frac|\\sum|\\int|\\lim|\\nabla|\\partial)/.test(pageText);
@@ -81,7 +303,7 @@ export const extractTextFromPdf = async (file) => {
       if (hasMathPatterns) {
         containsEquations = true;
         mathConfidence += 2;
-        fullText += "Note: This page appears to contain mathematical equations.\n\n";
+        pageEntry.after += "Note: This page appears to contain mathematical equations.\n\n";
       }
       
       // Check for common physics/math terms that indicate equations
@@ -89,111 +311,207 @@ export const extractTextFromPdf = async (file) => {
       if (mathPhysicsTerms.test(pageText)) {
         containsEquations = true;
         mathConfidence += 1;
-        fullText += `This page contains mathematical/physics terminology that may reference equations.\n\n`;
+        pageEntry.after += `This page contains mathematical/physics terminology that may reference equations.\n\n`;
       }
+      
+      onProgress?.({ page: pages.length, pageCount: pagesToExtract });
     }
     
+    // Remove running headers/footers and repair hyphenated line breaks
+    const { pageTexts: cleanedTexts, removedLines, repairedHyphenations } = cleanExtractedPages(pages.map(entry => entry.text));
+    
+    // Add document metadata header and a clear marker at the start of each page for better context
+    const assembleText = (pageTexts) => `# ${file.name}\nPages: ${pageCount}\n\n` + pages
+      .map((entry, index) => `## Page ${entry.number}\n\n${entry.before}${pageTexts[index]}\n\n${entry.after}`)
+      .join('');
+    
+    const rawText = assembleText(pages.map(entry => entry.text));
+    const fullText = assembleText(cleanedTexts);
+    
+    const metrics = getCompressionMetrics(rawText, fullText);
+    const cleanup = {
+      removedLines,
+      repairedHyphenations,
+      originalSize: metrics.originalSize,
+      cleanedSize: metrics.compressedSize,
+      percentSaved: Math.round(metrics.percentSaved * 10) / 10
+    };
+    
+    console.log(`Cleanup for ${file.name}: removed ${removedLines} header/footer lines, repaired ${repairedHyphenations} hyphenations (${metrics.originalSize} -> ${metrics.compressedSize} chars, ${cleanup.percentSaved}% smaller)`);
+    
+    // Summarize OCR usage so users know which answers came from OCR text
+    const ocr = ocrPages.length > 0 ? {
+      pages: ocrPages,
+      confidenceByPage: ocrConfidenceByPage,
+      averageConfidence: Math.round(
+        ocrPages.reduce((total, page) => total + ocrConfidenceByPage[page], 0) / ocrPages.length
+      )
+    } : null;
+    
     return {
       text: fullText,
       pages: pageCount,
       containsEquations: containsEquations,
-      mathConfidence: mathConfidence
+      mathConfidence: mathConfidence,
+      ocr,
+      cleanup,
+      outline,
+      documentInfo,
+      pageRanges,
+      figures
     };
   } catch (error) {
+    if (error?.name === 'AbortError') {
+      throw error;
+    }
+    if (error?.name === 'PasswordException') {
+      console.warn(`PDF requires a password: ${file.name}`);
+      throw createPasswordError(error, file.name);
+    }
     console.error('Error extracting text from PDF:', error);
     throw new Error('Failed to extract text from PDF');
+  } finally {
+    if (ocrEngine) {
+      await ocrEngine.terminate();
+    }
+    if (pdf) {
+      await pdf.destroy();
+    }
   }
 };
 
 /**
- * Helper function to detect math content in a line of text
- * @param {string} line - The line to check for math content
- * @returns {boolean} - True if the line likely contains math content
+ * Jenis dokumen yang didukung, dalam format `accept` milik react-dropzone
+ * (MIME type -> daftar ekstensi)
  */
-const detectMathContent = (line) => {
-  // Check for LaTeX-like math markers
-  if (/(\$|\\\(|\\\[|\\begin\{)/.test(line)) return true;
+export const SUPPORTED_DOCUMENT_TYPES = {
+  'application/pdf': ['.pdf'],
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+  'application/epub+zip': ['.epub'],
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': ['.pptx'],
+  'application/x-tex': ['.tex'],
+  // Arsip berisi dokumen (dibuka per file oleh archiveService) atau proyek LaTeX dengan file \input/\include
+  'application/zip': ['.zip'],
+  'text/markdown': ['.md', '.markdown'],
+  'text/html': ['.html', '.htm'],
+  'text/plain': ['.txt'],
+  'text/csv': ['.csv'],
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+};
 
-  // Check for mathematical symbols
-  if (/[∫∬∭∮∯∰∇∆∂∏∑√∛∜≈≠≤≥±×÷]/.test(line)) return true;
+// Batas ukuran satu dokumen. Arsip ZIP punya batas sendiri; batas dokumen berlaku untuk setiap file di dalamnya
+export const MAX_DOCUMENT_SIZE = 20 * 1024 * 1024;
+export const MAX_ARCHIVE_SIZE = 100 * 1024 * 1024;
 
-  // Check for equation-like structure (multiple symbols with numbers)
-  if (/[a-zA-Z][_^][0-9].*[=<>].*[a-zA-Z0-9+\-*/]/.test(line)) return true;
-  
-  // Check for fraction-like structure
-  if (/\b[a-zA-Z0-9]+\/[a-zA-Z0-9]+\b/.test(line) && 
-      /[+\-=]/.test(line)) return true;
-  
-  return false;
+/**
+ * Ekstraktor teks untuk setiap ekstensi file yang didukung
+ */
+const EXTRACTORS_BY_EXTENSION = {
+  '.pdf': extractTextFromPdf,
+  '.docx': extractTextFromDocx,
+  '.epub': extractTextFromEpub,
+  '.pptx': extractTextFromPptx,
+  '.tex': extractTextFromLatex,
+  '.zip': extractTextFromLatexProject,
+  '.md': extractTextFromMarkdown,
+  '.markdown': extractTextFromMarkdown,
+  '.html': extractTextFromHtml,
+  '.htm': extractTextFromHtml,
+  '.txt': extractTextFromPlainText,
+  '.csv': extractTextFromCsv,
+  '.xlsx': extractTextFromXlsx,
+};
+
+/**
+ * Ambil ekstensi file dalam huruf kecil, misalnya ".pdf"
+ * @param {string} fileName - Nama file
+ * @returns {string} - Ekstensi file atau string kosong jika tidak ada
+ */
+export const getFileExtension = (fileName = '') => {
+  const dotIndex = fileName.lastIndexOf('.');
+  return dotIndex === -1 ? '' : fileName.slice(dotIndex).toLowerCase();
+};
+
+/**
+ * Cek apakah file termasuk jenis dokumen yang dapat diproses.
+ * Ekstensi ikut diperiksa karena beberapa browser tidak mengisi MIME type untuk DOCX, EPUB, PPTX, LaTeX, dan Markdown
+ * @param {File} file - File yang akan diperiksa
+ * @returns {boolean} - True jika file dapat diproses
+ */
+export const isSupportedDocument = (file) => {
+  if (!file) return false;
+  return Boolean(SUPPORTED_DOCUMENT_TYPES[file.type]) ||
+    Boolean(EXTRACTORS_BY_EXTENSION[getFileExtension(file.name)]);
+};
+
+/**
+ * Tentukan ekstensi yang menentukan ekstraktor sebuah file.
+ * Jika ekstensi tidak dikenali, gunakan ekstensi utama dari MIME type file
+ * @param {File} file - File dokumen
+ * @returns {string|null} - Ekstensi yang didukung, misalnya ".pdf", atau null
+ */
+export const resolveDocumentExtension = (file) => {
+  const extension = getFileExtension(file.name);
+  if (EXTRACTORS_BY_EXTENSION[extension]) {
+    return extension;
+  }
+  return SUPPORTED_DOCUMENT_TYPES[file.type]?.[0] || null;
 };
 
 /**
- * Get text from PDF file - wrapper function used by RAG system
- * @param {File} file - The PDF file to process
- * @returns {Promise<{text: string, pageCount: number}>} - Text contents and metadata
+ * Ukuran maksimum file yang diterima: arsip ZIP memakai batas arsip, dokumen lain batas per dokumen
+ * @param {File} file - File yang akan diunggah
+ * @returns {number} - Ukuran maksimum dalam byte
  */
-export const getPdfText = async (file) => {
+export const getMaxFileSize = (file) =>
+  resolveDocumentExtension(file) === '.zip' ? MAX_ARCHIVE_SIZE : MAX_DOCUMENT_SIZE;
+
+/**
+ * Ekstrak teks dari file dokumen apa pun yang didukung berdasarkan ekstensinya
+ * @param {File} file - File dokumen yang akan diproses
+ * @param {Object} options - Opsi untuk ekstraktor: `password` untuk PDF terenkripsi, `onProgress`, dan `signal`
+ * @returns {Promise<{text: string, pages: number, containsEquations: boolean, mathConfidence: number}>} - Hasil ekstraksi teks dengan metadata
+ */
+export const extractTextFromFile = async (file, options = {}) => {
+  const extractor = EXTRACTORS_BY_EXTENSION[resolveDocumentExtension(file)];
+
+  if (!extractor) {
+    throw new Error(`Unsupported document type: ${file.name}`);
+  }
+
+  options.signal?.throwIfAborted();
+
+  return extractor(file, options);
+};
+
+/**
+ * Get text from a supported document file - wrapper function used by RAG system
+ * @param {File} file - The PDF, DOCX, EPUB, PPTX, LaTeX (.tex or zipped project), Markdown, HTML, text, CSV, or XLSX file to process
+ * @param {Object} options - Extraction options: `password` for encrypted PDFs, `pageRanges` to extract only part of a PDF, `onProgress`, and an AbortSignal `signal`
+ * @returns {Promise<{text: string, pageCount: number, ocr: Object|null, cleanup: Object|null, outline: Array<Object>, documentInfo: Object|null, pageRanges: Array<[number, number]>|null, figures: Array<Object>, sheets: Array<string>}>} - Text contents and metadata
+ */
+export const getDocumentText = async (file, options = {}) => {
   try {
-    const { text, pages: pageCount, containsEquations, mathConfidence } = await extractTextFromPdf(file);
+    const { text, pages: pageCount, containsEquations, mathConfidence, ocr, cleanup, outline, documentInfo, pageRanges, figures, sheets } = await extractTextFromFile(file, options);
     return { 
       text, 
       pageCount, 
       containsEquations,
-      mathConfidence: mathConfidence || 0
+      mathConfidence: mathConfidence || 0,
+      ocr: ocr || null,
+      cleanup: cleanup || null,
+      outline: outline || [],
+      documentInfo: documentInfo || null,
+      pageRanges: pageRanges || null,
+      figures: figures || [],
+      sheets: sheets || []
     };
   } catch (error) {
-    console.error('Error in getPdfText:', error);
-    throw new Error('Failed to extract text from PDF');
-  }
-};
-
-/**
- * Memproses beberapa file PDF secara bersamaan dengan batasan jumlah dan optimasi untuk dokumen matematis
- * @param {File[]} files - Array file PDF
- * @param {number} maxFiles - Maksimum jumlah file yang akan diproses
- * @returns {Promise<Array<{name: string, text: string, pages: number, containsEquations: boolean}>>} - Array objek yang berisi nama file dan metadata
- */
-export const processPdfFiles = async (files, maxFiles = 15) => {
-  try {
-    // Apply file limit
-    const filesToProcess = files.slice(0, maxFiles);
-    
-    if (files.length > maxFiles) {
-      console.warn(`Only processing first ${maxFiles} of ${files.length} files`);
+    // Keep password and cancellation errors intact so the upload form can react to them
+    if (isPdfPasswordError(error) || error?.name === 'AbortError') {
+      throw error;
     }
-    
-    // Process files sequentially to avoid memory issues
-    const results = [];
-    
-    for (const file of filesToProcess) {
-      console.log(`Processing PDF: ${file.name} (${Math.round(file.size / 1024)} KB)`);
-      
-      try {
-        const { text, pages, containsEquations, mathConfidence } = await extractTextFromPdf(file);
-        
-        results.push({
-          name: file.name,
-          text,
-          size: file.size,
-          pages,
-          containsEquations,
-          mathConfidence: mathConfidence || 0,
-          processingDate: new Date().toISOString()
-        });
-        
-        // Add a small delay between processing files to prevent CPU overload
-        await new Promise(resolve => setTimeout(resolve, 100));
-        
-      } catch (fileError) {
-        console.error(`Error processing file ${file.name}:`, fileError);
-        // Continue processing other files even if one fails
-      }
-    }
-    
-    console.log(`Successfully processed ${results.length} PDF files`);
-    return results;
-  } catch (error) {
-    console.error('Error processing PDF files:', error);
-    throw new Error('Failed to process PDF files');
+    console.error('Error in getDocumentText:', error);
+    throw new Error(`Failed to extract text from ${file.name}`);
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,278 @@
+import JSZip from 'jszip';
+import { detectMathInText } from '../utils/documentCompression';
+
+const RELATIONSHIP_TYPES = {
+  slide: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/slide',
+  notesSlide: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/notesSlide'
+};
+
+const TITLE_PLACEHOLDERS = new Set(['title', 'ctrTitle']);
+
+// Placeholder otomatis yang tidak berisi materi (nomor slide, tanggal, footer, gambar slide di catatan)
+const IGNORED_PLACEHOLDERS = new Set(['sldNum', 'dt', 'ftr', 'hdr', 'sldImg']);
+
+/**
+ * Ambil elemen anak langsung berdasarkan nama lokal, tanpa bergantung pada prefix namespace
+ * @param {Element} element - Elemen induk
+ * @param {string} localName - Nama lokal, misalnya "txBody"
+ * @returns {Array<Element>} - Elemen anak yang cocok
+ */
+const getChildren = (element, localName) =>
+  Array.from(element?.children || []).filter(child => child.localName === localName);
+
+const getChild = (element, localName) => getChildren(element, localName)[0] || null;
+
+/**
+ * Baca file XML dari arsip PPTX
+ * @param {JSZip} zip - Arsip PPTX
+ * @param {string} path - Path file di dalam arsip
+ * @returns {Promise<Document|null>} - Dokumen XML atau null jika file tidak ada
+ */
+const readXml = async (zip, path) => {
+  const entry = zip.file(path);
+  if (!entry) return null;
+
+  return new DOMParser().parseFromString(await entry.async('string'), 'application/xml');
+};
+
+/**
+ * Baca relasi sebuah part, misalnya relasi presentation.xml ke file slide
+ * @param {JSZip} zip - Arsip PPTX
+ * @param {string} partPath - Path part, misalnya "ppt/presentation.xml"
+ * @returns {Promise<Map<string, {type: string, target: string}>>} - Relasi berdasarkan r:id dengan target berupa path lengkap
+ */
+const readRelationships = async (zip, partPath) => {
+  const directory = partPath.slice(0, partPath.lastIndexOf('/') + 1);
+  const relsPath = `${directory}_rels/${partPath.slice(directory.length)}.rels`;
+  const rels = await readXml(zip, relsPath);
+  const relationships = new Map();
+
+  Array.from(rels?.getElementsByTagNameNS('*', 'Relationship') || []).forEach(relationship => {
+    const segments = [];
+    `${directory}${relationship.getAttribute('Target')}`.split('/').forEach(segment => {
+      if (segment === '..') {
+        segments.pop();
+      } else if (segment && segment !== '.') {
+        segments.push(segment);
+      }
+    });
+
+    relationships.set(relationship.getAttribute('Id'), {
+      type: relationship.getAttribute('Type'),
+      target: segments.join('/')
+    });
+  });
+
+  return relationships;
+};
+
+/**
+ * Ambil jenis placeholder sebuah shape, misalnya "title" atau "body"
+ * @param {Element} shape - Elemen p:sp
+ * @returns {string|null} - Jenis placeholder, atau null jika shape bukan placeholder
+ */
+const getPlaceholderType = (shape) => {
+  const placeholder = getChild(getChild(getChild(shape, 'nvSpPr'), 'nvPr'), 'ph');
+  if (!placeholder) return null;
+
+  // Placeholder tanpa atribut type adalah placeholder isi (body/object)
+  return placeholder.getAttribute('type') || 'body';
+};
+
+/**
+ * Ubah satu paragraf DrawingML (a:p) menjadi teks, termasuk line break dan field
+ * @param {Element} paragraph - Elemen a:p
+ * @returns {string} - Teks paragraf
+ */
+const getParagraphText = (paragraph) =>
+  Array.from(paragraph.children)
+    .map(child => {
+      if (child.localName === 'r' || child.localName === 'fld') {
+        return getChild(child, 't')?.textContent || '';
+      }
+      return child.localName === 'br' ? '\n' : '';
+    })
+    .join('')
+    .replace(/[ \t]+/g, ' ')
+    .trim();
+
+/**
+ * Ubah isi text body (p:txBody) menjadi Markdown. Paragraf dengan tingkat indentasi
+ * dijadikan daftar bertingkat seperti bullet di slide
+ * @param {Element} textBody - Elemen p:txBody atau a:txBody
+ * @param {boolean} asList - True untuk placeholder isi yang biasanya berupa bullet
+ * @returns {string} - Teks Markdown
+ */
+const textBodyToMarkdown = (textBody, asList) =>
+  getChildren(textBody, 'p')
+    .map(paragraph => {
+      const text = getParagraphText(paragraph);
+      if (!text) return '';
+
+      const properties = getChild(paragraph, 'pPr');
+      const level = Number(properties?.getAttribute('lvl')) || 0;
+      const hasBullet = !getChild(properties, 'buNone') && (asList || level > 0 || getChild(properties, 'buChar') || getChild(properties, 'buAutoNum'));
+
+      return hasBullet ? `${'  '.repeat(level)}- ${text.replace(/\n/g, ' ')}` : text;
+    })
+    .filter(Boolean)
+    .join('\n');
+
+/**
+ * Ubah tabel DrawingML (a:tbl) menjadi tabel Markdown
+ * @param {Element} table - Elemen a:tbl
+ * @returns {string} - Tabel Markdown, atau string kosong jika tabel kosong
+ */
+const tableToMarkdown = (table) => {
+  const rows = getChildren(table, 'tr').map(row =>
+    getChildren(row, 'tc').map(cell =>
+      getChildren(getChild(cell, 'txBody'), 'p')
+        .map(getParagraphText)
+        .filter(Boolean)
+        .join(' ')
+        .replace(/\|/g, '\\|')
+    )
+  );
+  if (rows.length === 0) return '';
+
+  const columnCount = Math.max(...rows.map(row => row.length));
+  const formatRow = (row) => `| ${Array.from({ length: columnCount }, (_, index) => row[index] || '').join(' | ')} |`;
+
+  return [
+    formatRow(rows[0]),
+    `| ${Array(columnCount).fill('---').join(' | ')} |`,
+    ...rows.slice(1).map(formatRow)
+  ].join('\n');
+};
+
+/**
+ * Kumpulkan judul dan isi dari shape tree sebuah slide sesuai urutan shape, termasuk shape di dalam grup
+ * @param {Element} shapeTree - Elemen p:spTree atau p:grpSp
+ * @param {{title: string, blocks: Array<string>}} content - Hasil yang sedang dikumpulkan
+ * @returns {{title: string, blocks: Array<string>}} - Judul dan blok Markdown slide
+ */
+const collectShapeContent = (shapeTree, content = { title: '', blocks: [] }) => {
+  Array.from(shapeTree?.children || []).forEach(element => {
+    if (element.localName === 'grpSp') {
+      collectShapeContent(element, content);
+    } else if (element.localName === 'sp') {
+      const placeholderType = getPlaceholderType(element);
+      if (IGNORED_PLACEHOLDERS.has(placeholderType)) return;
+
+      const textBody = getChild(element, 'txBody');
+      if (!textBody) return;
+
+      if (TITLE_PLACEHOLDERS.has(placeholderType) && !content.title) {
+        content.title = getChildren(textBody, 'p').map(getParagraphText).filter(Boolean).join(' ');
+        return;
+      }
+
+      const markdown = textBodyToMarkdown(textBody, placeholderType === 'body' || placeholderType === 'obj');
+      if (markdown) content.blocks.push(markdown);
+    } else if (element.localName === 'graphicFrame') {
+      const table = element.getElementsByTagNameNS('*', 'tbl')[0];
+      const markdown = table ? tableToMarkdown(table) : '';
+      if (markdown) content.blocks.push(markdown);
+    }
+  });
+
+  return content;
+};
+
+/**
+ * Baca catatan pembicara sebuah slide
+ * @param {JSZip} zip - Arsip PPTX
+ * @param {string|null} notesPath - Path file notesSlide, atau null jika slide tidak memiliki catatan
+ * @returns {Promise<string>} - Teks catatan pembicara
+ */
+const readSpeakerNotes = async (zip, notesPath) => {
+  if (!notesPath) return '';
+
+  const notes = await readXml(zip, notesPath);
+  const shapeTree = notes?.getElementsByTagNameNS('*', 'spTree')[0];
+  if (!shapeTree) return '';
+
+  // Catatan pembicara ada di placeholder body; placeholder lain berisi gambar atau nomor slide
+  return Array.from(shapeTree.getElementsByTagNameNS('*', 'sp'))
+    .filter(shape => getPlaceholderType(shape) === 'body')
+    .map(shape => textBodyToMarkdown(getChild(shape, 'txBody'), false))
+    .filter(Boolean)
+    .join('\n');
+};
+
+/**
+ * Ekstrak teks dari file PPTX, satu bagian per slide sesuai urutan presentasi.
+ * Setiap slide diawali penanda "## Slide N: Judul" seperti penanda "## Page N" pada PDF,
+ * diikuti isi slide dan catatan pembicara
+ * @param {File} file - File PPTX yang akan diproses
+ * @returns {Promise<{text: string, pages: number, slides: number, containsEquations: boolean, mathConfidence: number}>} - Hasil ekstraksi teks dengan metadata
+ */
+export const extractTextFromPptx = async (file) => {
+  try {
+    const zip = await JSZip.loadAsync(await file.arrayBuffer());
+
+    const presentationPath = 'ppt/presentation.xml';
+    const presentation = await readXml(zip, presentationPath);
+    if (!presentation) {
+      throw new Error('PPTX does not contain a presentation part');
+    }
+
+    const presentationRels = await readRelationships(zip, presentationPath);
+    const slidePaths = Array.from(presentation.getElementsByTagNameNS('*', 'sldId'))
+      .map(slideId => presentationRels.get(slideId.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id')))
+      .filter(relationship => relationship?.type === RELATIONSHIP_TYPES.slide)
+      .map(relationship => relationship.target);
+
+    if (slidePaths.length === 0) {
+      throw new Error('PPTX does not contain any slides');
+    }
+
+    const slides = [];
+
+    for (const slidePath of slidePaths) {
+      const slide = await readXml(zip, slidePath);
+      const { title, blocks } = collectShapeContent(slide?.getElementsByTagNameNS('*', 'spTree')[0]);
+
+      const slideRels = await readRelationships(zip, slidePath);
+      const notesPath = Array.from(slideRels.values()).find(relationship => relationship.type === RELATIONSHIP_TYPES.notesSlide)?.target || null;
+
+      slides.push({
+        title: title.replace(/\s+/g, ' ').trim(),
+        content: blocks.join('\n\n'),
+        notes: await readSpeakerNotes(zip, notesPath)
+      });
+    }
+
+    if (slides.every(slide => !slide.title && !slide.content && !slide.notes)) {
+      throw new Error('PPTX does not contain any readable text');
+    }
+
+    let fullText = `# ${file.name}\n`;
+    fullText += `Slides: ${slides.length}\n\n`;
+
+    // Nomor slide mengikuti urutan presentasi, termasuk slide kosong, agar sitasi cocok dengan PowerPoint
+    slides.forEach((slide, index) => {
+      fullText += slide.title ? `## Slide ${index + 1}: ${slide.title}\n\n` : `## Slide ${index + 1}\n\n`;
+      if (slide.content) {
+        fullText += slide.content + '\n\n';
+      }
+      if (slide.notes) {
+        fullText += `### Speaker Notes\n\n${slide.notes}\n\n`;
+      }
+    });
+
+    const { containsEquations, mathConfidence } = detectMathInText(fullText);
+
+    return {
+      text: fullText,
+      // Jumlah slide dipakai sebagai jumlah halaman
+      pages: slides.length,
+      slides: slides.length,
+      containsEquations,
+      mathConfidence
+    };
+  } catch (error) {
+    console.error('Error extracting text from PPTX:', error);
+    throw new Error('Failed to extract text from PPTX');
+  }
+};
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import JSZip from 'jszip';
+import { JSDOM } from 'jsdom';
+import { extractTextFromPptx } from './pptxService';
+
+// Only DOMParser comes from jsdom; Node's own File supports arrayBuffer()
+globalThis.DOMParser = new JSDOM().window.DOMParser;
+
+const NAMESPACES = 'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+const RELS_NAMESPACE = 'xmlns="http://schemas.openxmlformats.org/package/2006/relationships"';
+const REL_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+const shape = (placeholder, paragraphs) => `<p:sp>
+  <p:nvSpPr><p:cNvPr id="1" name="s"/><p:cNvSpPr/><p:nvPr>${placeholder ? `<p:ph type="${placeholder}"/>` : '<p:ph idx="1"/>'}</p:nvPr></p:nvSpPr>
+  <p:txBody>${paragraphs.map(text => `<a:p><a:r><a:t>${text}</a:t></a:r></a:p>`).join('')}</p:txBody>
+</p:sp>`;
+
+const slideXml = (shapes) => `<?xml version="1.0"?><p:sld ${NAMESPACES}><p:cSld><p:spTree>${shapes.join('')}</p:spTree></p:cSld></p:sld>`;
+
+const createPptx = async () => {
+  const zip = new JSZip();
+  // Slide order comes from presentation.xml, not from the file names
+  zip.file('ppt/presentation.xml', `<?xml version="1.0"?><p:presentation ${NAMESPACES}><p:sldIdLst>
+    <p:sldId id="256" r:id="rId2"/><p:sldId id="257" r:id="rId1"/>
+  </p:sldIdLst></p:presentation>`);
+  zip.file('ppt/_rels/presentation.xml.rels', `<?xml version="1.0"?><Relationships ${RELS_NAMESPACE}>
+    <Relationship Id="rId1" Type="${REL_TYPE}/slide" Target="slides/slide1.xml"/>
+    <Relationship Id="rId2" Type="${REL_TYPE}/slide" Target="slides/slide2.xml"/>
+  </Relationships>`);
+  zip.file('ppt/slides/slide2.xml', slideXml([shape('ctrTitle', ['Gelombang Mekanik']), shape(null, ['Definisi gelombang', 'Jenis gelombang'])]));
+  zip.file('ppt/slides/_rels/slide2.xml.rels', `<?xml version="1.0"?><Relationships ${RELS_NAMESPACE}>
+    <Relationship Id="rId1" Type="${REL_TYPE}/notesSlide" Target="../notesSlides/notesSlide1.xml"/>
+  </Relationships>`);
+  zip.file('ppt/notesSlides/notesSlide1.xml', slideXml([shape('body', ['Jelaskan contoh gelombang air.'])]));
+  zip.file('ppt/slides/slide1.xml', slideXml([shape('title', ['Ringkasan'])]));
+  return new File([await zip.generateAsync({ type: 'uint8array' })], 'kuliah.pptx');
+};
+
+describe('extractTextFromPptx', () => {
+  it('writes one section per slide in presentation order with speaker notes', async () => {
+    const { text, slides } = await extractTextFromPptx(await createPptx());
+
+    expect(slides).toBe(2);
+    expect(text.indexOf('## Slide 1: Gelombang Mekanik')).toBeLessThan(text.indexOf('## Slide 2: Ringkasan'));
+    expect(text).toContain('Definisi gelombang');
+    expect(text).toContain('### Speaker Notes\n\nJelaskan contoh gelombang air.');
+  });
+
+  it('fails for files that are not presentations', async () => {
+    const zip = new JSZip();
+    zip.file('word/document.xml', '<document/>');
+
+    await expect(extractTextFromPptx(new File([await zip.generateAsync({ type: 'uint8array' })], 'bukan.pptx')))
+      .rejects.toThrow('Failed to extract text from PPTX');
+  });
+});
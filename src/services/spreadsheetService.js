@@ -0,0 +1,422 @@
+import JSZip from 'jszip';
+
+const RELATIONSHIP_NAMESPACE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+// Jumlah baris data maksimum dalam satu kelompok; setiap kelompok menjadi satu chunk dengan header diulang
+const MAX_ROWS_PER_GROUP = 40;
+
+// Panjang maksimum tabel satu kelompok, di bawah batas pemecahan tabel di textChunking
+// agar rentang baris pada penanda tetap sama dengan isi chunk
+const MAX_GROUP_LENGTH = 4000;
+
+// Format angka bawaan Excel yang menampilkan tanggal atau waktu
+const BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Ambil elemen anak langsung berdasarkan nama lokal, tanpa bergantung pada prefix namespace
+ * @param {Element} element - Elemen induk
+ * @param {string} localName - Nama lokal, misalnya "row"
+ * @returns {Array<Element>} - Elemen anak yang cocok
+ */
+const getChildren = (element, localName) =>
+  Array.from(element?.children || []).filter(child => child.localName === localName);
+
+const getChild = (element, localName) => getChildren(element, localName)[0] || null;
+
+/**
+ * Baca file XML dari arsip XLSX
+ * @param {JSZip} zip - Arsip XLSX
+ * @param {string} path - Path file di dalam arsip
+ * @returns {Promise<Document|null>} - Dokumen XML atau null jika file tidak ada
+ */
+const readXml = async (zip, path) => {
+  const entry = zip.file(path);
+  if (!entry) return null;
+
+  return new DOMParser().parseFromString(await entry.async('string'), 'application/xml');
+};
+
+/**
+ * Baca relasi workbook ke file sheet
+ * @param {JSZip} zip - Arsip XLSX
+ * @param {string} partPath - Path part, misalnya "xl/workbook.xml"
+ * @returns {Promise<Map<string, string>>} - Path lengkap target berdasarkan r:id
+ */
+const readRelationships = async (zip, partPath) => {
+  const directory = partPath.slice(0, partPath.lastIndexOf('/') + 1);
+  const relsPath = `${directory}_rels/${partPath.slice(directory.length)}.rels`;
+  const rels = await readXml(zip, relsPath);
+  const relationships = new Map();
+
+  Array.from(rels?.getElementsByTagNameNS('*', 'Relationship') || []).forEach(relationship => {
+    const target = relationship.getAttribute('Target');
+    // Target absolut ("/xl/worksheets/sheet1.xml") relatif terhadap akar arsip
+    const segments = [];
+    (target.startsWith('/') ? target.slice(1) : `${directory}${target}`).split('/').forEach(segment => {
+      if (segment === '..') {
+        segments.pop();
+      } else if (segment && segment !== '.') {
+        segments.push(segment);
+      }
+    });
+
+    relationships.set(relationship.getAttribute('Id'), segments.join('/'));
+  });
+
+  return relationships;
+};
+
+/**
+ * Gabungkan teks sel rich text atau shared string, tanpa teks fonetik (rPh)
+ * @param {Element} element - Elemen si atau is
+ * @returns {string} - Teks sel
+ */
+const readRichText = (element) => {
+  const text = getChild(element, 't');
+  if (text) return text.textContent;
+
+  return getChildren(element, 'r').map(run => getChild(run, 't')?.textContent || '').join('');
+};
+
+/**
+ * Cari indeks style sel yang berformat tanggal dari styles.xml
+ * @param {Document|null} styles - Dokumen styles.xml
+ * @returns {Set<number>} - Indeks cellXfs yang menampilkan tanggal
+ */
+const readDateStyles = (styles) => {
+  const dateStyles = new Set();
+  if (!styles) return dateStyles;
+
+  const customFormats = new Map(
+    Array.from(styles.getElementsByTagNameNS('*', 'numFmt'), format =>
+      [Number(format.getAttribute('numFmtId')), format.getAttribute('formatCode') || ''])
+  );
+
+  const cellFormats = getChild(styles.documentElement, 'cellXfs');
+  getChildren(cellFormats, 'xf').forEach((format, index) => {
+    const formatId = Number(format.getAttribute('numFmtId'));
+    // Abaikan teks berkutip, warna/kondisi dalam kurung siku, dan karakter yang di-escape
+    const code = (customFormats.get(formatId) || '').replace(/"[^"]*"|\[[^\]]*\]|\\./g, '');
+    if (BUILTIN_DATE_FORMATS.has(formatId) || /[dmyhs]/i.test(code)) {
+      dateStyles.add(index);
+    }
+  });
+
+  return dateStyles;
+};
+
+/**
+ * Ubah nomor seri tanggal Excel menjadi tanggal ISO, ditambah jam jika ada
+ * @param {number} serial - Nomor seri tanggal
+ * @param {boolean} date1904 - True jika workbook memakai sistem tanggal 1904 (Excel Mac lama)
+ * @returns {string} - Tanggal, misalnya "2024-03-15" atau "2024-03-15 08:30"
+ */
+const formatDateSerial = (serial, date1904) => {
+  const epoch = date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30);
+  const iso = new Date(epoch + Math.round(serial * MS_PER_DAY / 1000) * 1000).toISOString();
+
+  return serial % 1 === 0 ? iso.slice(0, 10) : `${iso.slice(0, 10)} ${iso.slice(11, 16)}`;
+};
+
+/**
+ * Ubah referensi kolom menjadi indeks 0-based, misalnya "C7" menjadi 2
+ * @param {string} reference - Referensi sel
+ * @returns {number} - Indeks kolom
+ */
+const getColumnIndex = (reference) =>
+  reference.replace(/\d+$/, '').toUpperCase().split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+
+/**
+ * Ubah indeks kolom 0-based menjadi huruf kolom, misalnya 27 menjadi "AB"
+ * @param {number} index - Indeks kolom
+ * @returns {string} - Huruf kolom
+ */
+const getColumnLetter = (index) => {
+  let letter = '';
+  for (let value = index + 1; value > 0; value = Math.floor((value - 1) / 26)) {
+    letter = String.fromCharCode(65 + (value - 1) % 26) + letter;
+  }
+  return letter;
+};
+
+/**
+ * Baca nilai tampilan sebuah sel
+ * @param {Element} cell - Elemen c
+ * @param {Object} context - Shared string, style tanggal, dan sistem tanggal workbook
+ * @returns {string} - Nilai sel
+ */
+const readCellValue = (cell, { sharedStrings, dateStyles, date1904 }) => {
+  const type = cell.getAttribute('t') || 'n';
+  const value = getChild(cell, 'v')?.textContent ?? '';
+
+  switch (type) {
+    case 's':
+      return sharedStrings[Number(value)] ?? '';
+    case 'inlineStr':
+      return readRichText(getChild(cell, 'is'));
+    case 'b':
+      return value === '1' ? 'TRUE' : 'FALSE';
+    case 'str':
+    case 'e':
+      return value;
+    default: {
+      if (value === '') return '';
+      const number = Number(value);
+      if (Number.isNaN(number)) return value;
+      if (dateStyles.has(Number(cell.getAttribute('s') || 0))) {
+        return formatDateSerial(number, date1904);
+      }
+      // Hilangkan galat floating point seperti 0.30000000000000004
+      return String(Number(number.toPrecision(15)));
+    }
+  }
+};
+
+/**
+ * Baca baris-baris worksheet beserta nomor barisnya di Excel
+ * @param {Document} worksheet - Dokumen XML worksheet
+ * @param {Object} context - Konteks pembacaan nilai sel
+ * @returns {Array<{number: number, cells: Array<string>}>} - Baris yang memiliki isi
+ */
+const readWorksheetRows = (worksheet, context) => {
+  const sheetData = worksheet?.getElementsByTagNameNS('*', 'sheetData')[0];
+  const rows = [];
+
+  getChildren(sheetData, 'row').forEach((row, rowIndex) => {
+    const number = Number(row.getAttribute('r')) || (rows[rows.length - 1]?.number ?? rowIndex) + 1;
+    const cells = [];
+
+    getChildren(row, 'c').forEach((cell, cellIndex) => {
+      const reference = cell.getAttribute('r');
+      cells[reference ? getColumnIndex(reference) : cellIndex] = readCellValue(cell, context);
+    });
+
+    if (cells.some(cell => cell && cell.trim())) {
+      rows.push({ number, cells: Array.from(cells, cell => cell ?? '') });
+    }
+  });
+
+  return rows;
+};
+
+/**
+ * Pecah isi file CSV menjadi baris dan sel sesuai RFC 4180 (sel berkutip boleh berisi pemisah dan baris baru)
+ * @param {string} content - Isi file CSV
+ * @param {string} delimiter - Pemisah sel
+ * @returns {Array<Array<string>>} - Baris CSV
+ */
+const parseCsv = (content, delimiter) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let index = 0; index < content.length; index++) {
+    const char = content[index];
+
+    if (quoted) {
+      if (char === '"' && content[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && !cell.trim()) {
+      quoted = true;
+      cell = '';
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n') {
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+/**
+ * Tebak pemisah CSV dari baris pertama; file dari Excel berlokal Indonesia memakai titik koma
+ * @param {string} content - Isi file CSV
+ * @returns {string} - Pemisah yang paling sering muncul di luar kutipan
+ */
+const detectDelimiter = (content) => {
+  const firstLine = content.slice(0, content.indexOf('\n') === -1 ? content.length : content.indexOf('\n'))
+    .replace(/"[^"]*"/g, '');
+
+  return [',', ';', '\t', '|']
+    .map(delimiter => [delimiter, firstLine.split(delimiter).length])
+    .reduce((best, candidate) => candidate[1] > best[1] ? candidate : best)[0];
+};
+
+/**
+ * Tulis sel sebagai teks sel tabel Markdown satu baris
+ * @param {string} value - Nilai sel
+ * @returns {string} - Nilai yang aman untuk tabel Markdown
+ */
+const escapeTableCell = (value) => value.replace(/\s+/g, ' ').trim().replace(/\|/g, '\\|');
+
+/**
+ * Susun satu sheet menjadi kelompok baris, masing-masing berupa tabel Markdown dengan header yang sama
+ * dan penanda rentang barisnya, misalnya "## Rows 42-81"
+ * @param {Array<{number: number, cells: Array<string>}>} rows - Baris sheet yang memiliki isi
+ * @returns {string} - Teks sheet
+ */
+const formatSheetRows = (rows) => {
+  const [headerRow, ...dataRows] = rows;
+  // Kolom kosong di ujung kanan tidak ikut ditulis
+  const columnCount = rows.reduce((count, row) =>
+    Math.max(count, row.cells.findLastIndex(cell => cell.trim()) + 1), 0);
+  const toTableRow = (cells) =>
+    `| ${Array.from({ length: columnCount }, (_, index) => escapeTableCell(cells[index] || '')).join(' | ')} |`;
+
+  // Header kosong diganti huruf kolom agar isi kolom tetap bisa dirujuk
+  const header = toTableRow(Array.from({ length: columnCount }, (_, index) =>
+    headerRow.cells[index]?.trim() || getColumnLetter(index)));
+  const prefix = `${header}\n|${' --- |'.repeat(columnCount)}`;
+
+  if (dataRows.length === 0) {
+    return `## Rows ${headerRow.number}-${headerRow.number}\n\n${prefix}\n\n`;
+  }
+
+  let text = '';
+  let group = [];
+  let groupLength = prefix.length;
+
+  const flushGroup = () => {
+    text += `## Rows ${group[0].number}-${group[group.length - 1].number}\n\n`;
+    text += `${prefix}\n${group.map(row => row.line).join('\n')}\n\n`;
+    group = [];
+    groupLength = prefix.length;
+  };
+
+  dataRows.forEach(row => {
+    const line = toTableRow(row.cells);
+    if (group.length > 0 && (group.length >= MAX_ROWS_PER_GROUP || groupLength + line.length + 1 > MAX_GROUP_LENGTH)) {
+      flushGroup();
+    }
+    group.push({ number: row.number, line });
+    groupLength += line.length + 1;
+  });
+  flushGroup();
+
+  return text;
+};
+
+/**
+ * Susun hasil ekstraksi spreadsheet. Setiap sheet diawali penanda "## Sheet N: Nama" lalu
+ * kelompok barisnya, sehingga chunk dapat disitasi sebagai "Sheet1 baris 40-80"
+ * @param {File} file - File sumber
+ * @param {Array<{name: string, rows: Array<Object>}>} sheets - Sheet beserta barisnya
+ * @returns {{text: string, pages: number, sheets: Array<string>, containsEquations: boolean, mathConfidence: number}} - Hasil ekstraksi teks dengan metadata
+ */
+const buildSpreadsheetResult = (file, sheets) => {
+  let fullText = `# ${file.name}\n`;
+  fullText += `Sheets: ${sheets.length}\n\n`;
+
+  // Nomor sheet mengikuti urutan workbook, termasuk sheet kosong, agar cocok dengan daftar nama sheet
+  sheets.forEach((sheet, index) => {
+    fullText += `## Sheet ${index + 1}: ${sheet.name}\n\n`;
+    if (sheet.rows.length > 0) {
+      fullText += formatSheetRows(sheet.rows);
+    }
+  });
+
+  return {
+    text: fullText,
+    // Jumlah sheet dipakai sebagai jumlah halaman
+    pages: sheets.length,
+    sheets: sheets.map(sheet => sheet.name),
+    // Data tabular tidak berisi persamaan LaTeX
+    containsEquations: false,
+    mathConfidence: 0
+  };
+};
+
+/**
+ * Ekstrak teks dari file CSV sebagai satu sheet bernama sesuai nama file.
+ * Baris pertama yang berisi dipakai sebagai header dan diulang di setiap kelompok baris
+ * @param {File} file - File CSV yang akan diproses
+ * @returns {Promise<{text: string, pages: number, sheets: Array<string>, containsEquations: boolean, mathConfidence: number}>} - Hasil ekstraksi teks dengan metadata
+ */
+export const extractTextFromCsv = async (file) => {
+  try {
+    const content = (await file.text()).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const rows = parseCsv(content, detectDelimiter(content))
+      .map((cells, index) => ({ number: index + 1, cells }))
+      .filter(row => row.cells.some(cell => cell.trim()));
+
+    if (rows.length === 0) {
+      throw new Error('CSV does not contain any rows');
+    }
+
+    const dotIndex = file.name.lastIndexOf('.');
+    return buildSpreadsheetResult(file, [{ name: dotIndex > 0 ? file.name.slice(0, dotIndex) : file.name, rows }]);
+  } catch (error) {
+    console.error('Error extracting text from CSV:', error);
+    throw new Error('Failed to extract text from CSV');
+  }
+};
+
+/**
+ * Ekstrak teks dari workbook XLSX per sheet. Nilai yang ditampilkan diambil dari hasil
+ * perhitungan terakhir yang tersimpan (bukan rumusnya), dan sel bertipe tanggal ditulis sebagai tanggal
+ * @param {File} file - File XLSX yang akan diproses
+ * @returns {Promise<{text: string, pages: number, sheets: Array<string>, containsEquations: boolean, mathConfidence: number}>} - Hasil ekstraksi teks dengan metadata
+ */
+export const extractTextFromXlsx = async (file) => {
+  try {
+    const zip = await JSZip.loadAsync(await file.arrayBuffer());
+
+    const workbookPath = 'xl/workbook.xml';
+    const workbook = await readXml(zip, workbookPath);
+    if (!workbook) {
+      throw new Error('XLSX does not contain a workbook part');
+    }
+
+    const workbookRels = await readRelationships(zip, workbookPath);
+    const sharedStringsXml = await readXml(zip, 'xl/sharedStrings.xml');
+    const context = {
+      sharedStrings: getChildren(sharedStringsXml?.documentElement, 'si').map(readRichText),
+      dateStyles: readDateStyles(await readXml(zip, 'xl/styles.xml')),
+      date1904: ['1', 'true'].includes(workbook.getElementsByTagNameNS('*', 'workbookPr')[0]?.getAttribute('date1904'))
+    };
+
+    // Sheet tersembunyi biasanya berisi data bantu untuk rumus, bukan materi yang dibaca
+    const sheetEntries = Array.from(workbook.getElementsByTagNameNS('*', 'sheet'))
+      .filter(sheet => !['hidden', 'veryHidden'].includes(sheet.getAttribute('state')))
+      .map(sheet => ({
+        name: sheet.getAttribute('name'),
+        path: workbookRels.get(sheet.getAttributeNS(RELATIONSHIP_NAMESPACE, 'id'))
+      }))
+      .filter(sheet => sheet.path);
+
+    const sheets = [];
+    for (const { name, path } of sheetEntries) {
+      sheets.push({ name, rows: readWorksheetRows(await readXml(zip, path), context) });
+    }
+
+    if (sheets.every(sheet => sheet.rows.length === 0)) {
+      throw new Error('XLSX does not contain any readable cells');
+    }
+
+    return buildSpreadsheetResult(file, sheets);
+  } catch (error) {
+    console.error('Error extracting text from XLSX:', error);
+    throw new Error('Failed to extract text from XLSX');
+  }
+};
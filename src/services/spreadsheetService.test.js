@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import JSZip from 'jszip';
+import { JSDOM } from 'jsdom';
+import { extractTextFromCsv, extractTextFromXlsx } from './spreadsheetService';
+
+// Only DOMParser comes from jsdom; Node's own File supports text() and arrayBuffer()
+globalThis.DOMParser = new JSDOM().window.DOMParser;
+
+const createXlsx = async () => {
+  const zip = new JSZip();
+  zip.file('xl/workbook.xml', `<?xml version="1.0"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+  <sheets>
+    <sheet name="Penjualan" sheetId="1" r:id="rId1"/>
+    <sheet name="Rahasia" sheetId="2" state="hidden" r:id="rId2"/>
+  </sheets>
+</workbook>`);
+  zip.file('xl/_rels/workbook.xml.rels', `<?xml version="1.0"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+  <Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet2.xml"/>
+  <Relationship Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/sharedStrings" Target="sharedStrings.xml"/>
+</Relationships>`);
+  zip.file('xl/sharedStrings.xml', `<?xml version="1.0"?>
+<sst xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+  <si><t>Produk</t></si><si><t>Jumlah</t></si><si><t>Buku</t></si>
+</sst>`);
+  zip.file('xl/worksheets/sheet1.xml', `<?xml version="1.0"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+  <sheetData>
+    <row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c></row>
+    <row r="2"><c r="A2" t="s"><v>2</v></c><c r="B2"><v>0.30000000000000004</v></c></row>
+  </sheetData>
+</worksheet>`);
+  zip.file('xl/worksheets/sheet2.xml', `<?xml version="1.0"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>
+  <row r="1"><c r="A1" t="inlineStr"><is><t>Tersembunyi</t></is></c></row>
+</sheetData></worksheet>`);
+  return new File([await zip.generateAsync({ type: 'uint8array' })], 'laporan.xlsx');
+};
+
+describe('extractTextFromCsv', () => {
+  it('detects the delimiter and handles quoted fields', async () => {
+    const csv = 'Nama;Catatan\n"Budi";"Baris ""satu""; dengan titik koma"\nAni;Biasa\n';
+    const { text, sheets } = await extractTextFromCsv(new File([csv], 'data.csv'));
+
+    expect(sheets).toEqual(['data']);
+    expect(text).toContain('## Sheet 1: data');
+    expect(text).toContain('## Rows 2-3');
+    expect(text).toContain('| Nama | Catatan |');
+    expect(text).toContain('Baris "satu"; dengan titik koma');
+  });
+
+  it('repeats the header in every row group', async () => {
+    const rows = Array.from({ length: 100 }, (_, index) => `${index},nilai ${index}`);
+    const { text } = await extractTextFromCsv(new File([`No,Nilai\n${rows.join('\n')}`], 'besar.csv'));
+
+    const groups = text.match(/## Rows \d+-\d+/g);
+    expect(groups.length).toBeGreaterThan(1);
+    expect(text.split('| No | Nilai |').length - 1).toBe(groups.length);
+  });
+});
+
+describe('extractTextFromXlsx', () => {
+  it('reads shared strings, skips hidden sheets and fixes float noise', async () => {
+    const { text, sheets, pages } = await extractTextFromXlsx(await createXlsx());
+
+    expect(sheets).toEqual(['Penjualan']);
+    expect(pages).toBe(1);
+    expect(text).toContain('| Produk | Jumlah |');
+    expect(text).toContain('| Buku | 0.3 |');
+    expect(text).not.toContain('Tersembunyi');
+  });
+});
@@ -0,0 +1,82 @@
+import { htmlToMarkdown } from '../utils/htmlToMarkdown';
+import { detectMathInText } from '../utils/documentCompression';
+
+/**
+ * Susun hasil ekstraksi dengan header yang sama seperti dokumen lain.
+ * Dokumen teks tidak memiliki halaman tetap, jadi seluruh isi dianggap satu halaman
+ * @param {File} file - File sumber
+ * @param {string} body - Isi dokumen yang sudah dikonversi
+ * @returns {{text: string, pages: number, containsEquations: boolean, mathConfidence: number}} - Hasil ekstraksi teks dengan metadata
+ */
+const buildTextResult = (file, body) => {
+  const { containsEquations, mathConfidence } = detectMathInText(body);
+
+  let fullText = `# ${file.name}\n`;
+  fullText += `Pages: 1\n\n`;
+  fullText += body + '\n';
+
+  return {
+    text: fullText,
+    pages: 1,
+    containsEquations,
+    mathConfidence
+  };
+};
+
+/**
+ * Baca isi file teks dengan akhir baris yang seragam
+ * @param {File} file - File teks
+ * @returns {Promise<string>} - Isi file
+ */
+const readText = async (file) => {
+  const content = await file.text();
+  return content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+};
+
+/**
+ * Ekstrak teks dari file Markdown apa adanya.
+ * Heading tetap menjadi heading Markdown dan LaTeX mentah tidak diubah sama sekali
+ * agar deteksi matematika dan chunking yang sadar persamaan tetap bekerja
+ * @param {File} file - File Markdown yang akan diproses
+ * @returns {Promise<{text: string, pages: number, containsEquations: boolean, mathConfidence: number}>} - Hasil ekstraksi teks dengan metadata
+ */
+export const extractTextFromMarkdown = async (file) => {
+  try {
+    const markdown = (await readText(file)).trim();
+    return buildTextResult(file, markdown);
+  } catch (error) {
+    console.error('Error extracting text from Markdown:', error);
+    throw new Error('Failed to extract text from Markdown');
+  }
+};
+
+/**
+ * Ekstrak teks dari file HTML dengan mengubahnya menjadi Markdown
+ * sehingga hierarki heading, daftar, dan tabel tetap terjaga
+ * @param {File} file - File HTML yang akan diproses
+ * @returns {Promise<{text: string, pages: number, containsEquations: boolean, mathConfidence: number}>} - Hasil ekstraksi teks dengan metadata
+ */
+export const extractTextFromHtml = async (file) => {
+  try {
+    const markdown = htmlToMarkdown(await readText(file));
+    return buildTextResult(file, markdown);
+  } catch (error) {
+    console.error('Error extracting text from HTML:', error);
+    throw new Error('Failed to extract text from HTML');
+  }
+};
+
+/**
+ * Ekstrak teks dari file teks biasa
+ * @param {File} file - File TXT yang akan diproses
+ * @returns {Promise<{text: string, pages: number, containsEquations: boolean, mathConfidence: number}>} - Hasil ekstraksi teks dengan metadata
+ */
+export const extractTextFromPlainText = async (file) => {
+  try {
+    const text = (await readText(file)).trim();
+    return buildTextResult(file, text);
+  } catch (error) {
+    console.error('Error extracting text from plain text file:', error);
+    throw new Error('Failed to extract text from plain text file');
+  }
+};
@@ -0,0 +1,347 @@
+/**
+ * Deteksi daftar pustaka di akhir dokumen akademik, pecah menjadi entri terstruktur
+ * (penulis, judul, venue, tahun), dan ekspor ke BibTeX atau RIS
+ */
+
+// Judul bagian daftar pustaka, boleh bernomor ("7. References", "VII. REFERENCES") atau berupa heading Markdown
+const REFERENCE_HEADING_REGEX = /^[ \t]*(?:#{1,6}[ \t]*)?(?:(?:\d{1,2}|[IVX]{1,5})\.?[ \t]+)?(?:References?|Reference List|Bibliography|Bibliografi|Daftar Pustaka|Daftar Referensi|Referensi|Pustaka Acuan|Literature Cited|Works Cited)[ \t]*:?[ \t]*$/gim;
+
+// Bagian yang biasanya menyusul daftar pustaka
+const SECTION_END_REGEX = /^[ \t]*(?:#{1,6}[ \t]*)?(?:[A-Z]\.?[ \t]+)?(?:Appendix|Appendices|Lampiran|Biodata|Riwayat Hidup|Biography|Biographies|Author Biographies|About the Authors?)\b[^\n]{0,60}$/im;
+
+// Baris yang bukan isi daftar pustaka: penanda halaman dan catatan otomatis dari ekstraksi PDF
+const PAGE_MARKER_REGEX = /^## (?:Page|Chapter|Slide|Section) \d+/;
+const NOISE_LINE_REGEX = /^(?:Note: (?:This page|The text on this page)|This page contains mathematical)/;
+
+// Heading Markdown lain menandai berakhirnya daftar pustaka
+const HEADING_LINE_REGEX = /^#{1,6}\s/;
+
+// Awal entri bernomor: "[12] ...", "12. ...", atau "(12) ..."
+const BRACKET_NUMBER_REGEX = /^\[(\d{1,3})\]\s*/;
+const DOT_NUMBER_REGEX = /^(\d{1,3})\.\s+(?=\S)/;
+const PAREN_NUMBER_REGEX = /^\((\d{1,3})\)\s*/;
+
+// Awal entri gaya penulis-tahun: "Smith, J.", "Sugiyono.", "World Health Organization. (2020)"
+const AUTHOR_START_REGEX = /^[A-ZÀ-ɏ][\wÀ-ɏ'’-]+(?:,\s*(?:[A-ZÀ-ɏ][.\s-]|[A-ZÀ-ɏ][a-zÀ-ɏ]+)|\.\s*(?:\(?\d{4}|$)|\s+[A-ZÀ-ɏ][\w'’-]*(?:,|\s+[A-ZÀ-ɏ]))/;
+
+const YEAR_REGEX = /\b(1[5-9]\d{2}|20\d{2})[a-z]?\b/g;
+const DOI_REGEX = /\b(10\.\d{4,9}\/[^\s"<>]+[^\s"<>.,;)])/i;
+const URL_REGEX = /\b(?:https?:\/\/|www\.)[^\s<>"]+[^\s<>".,;)]/i;
+
+// Venue yang menandakan makalah konferensi
+const PROCEEDINGS_REGEX = /\b(?:proc(?:eedings|\.)?|conference|conf\.|symposium|workshop|seminar|konferensi|prosiding)\b/i;
+const JOURNAL_REGEX = /\b(?:journal|jurnal|transactions|letters|review|magazine|volume)\b|\b(?:trans|vol)\.|\d+\s*\(\d+\)/i;
+
+// Judul dalam kutip ganda (IEEE) atau kutip tunggal (Harvard); kutip tunggal harus diapit spasi atau tanda baca
+// agar apostrof seperti pada "O'Brien" tidak dianggap kutip
+const DOUBLE_QUOTED_TITLE_REGEX = /^(.*?)[“"]([^”"]{5,}?)[,.]?[”"](.*)$/;
+const SINGLE_QUOTED_TITLE_REGEX = /^(.*?(?:^|\s))[‘']([^’']{5,}?)[,.]?[’'](?=[\s,.;:]|$)(.*)$/;
+
+// Penulis gaya Vancouver: nama belakang diikuti inisial tanpa titik, misalnya "Vaswani A, Shazeer NM."
+const VANCOUVER_AUTHORS_REGEX = /^((?:[A-ZÀ-ɏ][\wÀ-ɏ'’-]+(?: [A-ZÀ-ɏ][\wÀ-ɏ'’-]+)? [A-Z]{1,3}(?:,\s*|\.\s+))+)(.*)$/;
+
+// Daftar pustaka dianggap valid jika cukup banyak entrinya dan sebagian besar memiliki tahun,
+// agar judul "References" di daftar isi tidak membuat sisa dokumen dianggap daftar pustaka
+const MIN_REFERENCE_ENTRIES = 3;
+const MIN_ENTRIES_WITH_YEAR = 0.6;
+
+const MIN_ENTRY_LENGTH = 20;
+const MAX_ENTRY_LENGTH = 1000;
+
+/**
+ * Pisahkan baris-baris daftar pustaka menjadi teks entri mentah.
+ * Pembacaan berhenti di heading lain, atau di penanda halaman yang diikuti teks yang bukan entri,
+ * agar konten tanpa judul setelah daftar pustaka (misalnya materi tambahan) tidak ikut terbaca
+ * @param {string} section - Teks di bawah judul daftar pustaka
+ * @returns {Array<{text: string, end: number}>} - Teks setiap entri (sudah disatukan menjadi satu baris)
+ *   dan posisi akhir entri di dalam section
+ */
+const splitReferenceEntries = (section) => {
+  let offset = 0;
+  const allLines = section.split('\n').map((line) => {
+    const entry = { text: line.trim(), end: offset + line.trimEnd().length };
+    offset += line.length + 1;
+    return entry;
+  });
+  const countStarts = (regex) => allLines.filter(line => regex.test(line.text)).length;
+
+  // Gaya bernomor dipakai jika setidaknya dua baris diawali nomor dengan format yang sama
+  const numberRegex = [BRACKET_NUMBER_REGEX, PAREN_NUMBER_REGEX, DOT_NUMBER_REGEX].find(regex => countStarts(regex) >= 2);
+
+  const entries = [];
+  let current = [];
+  const flush = () => {
+    if (current.length > 0) {
+      entries.push({
+        text: current.map(line => line.text).join(' ').replace(/\s+/g, ' ').trim(),
+        end: current[current.length - 1].end
+      });
+    }
+    current = [];
+  };
+  const lastText = () => current[current.length - 1]?.text || '.';
+  const startsEntry = (text) => (numberRegex
+    ? numberRegex.test(text)
+    : AUTHOR_START_REGEX.test(text) && /[.)]$|\d$/.test(lastText()));
+
+  let afterPageBreak = false;
+
+  for (const line of allLines) {
+    if (PAGE_MARKER_REGEX.test(line.text)) {
+      afterPageBreak = true;
+      continue;
+    }
+    if (!line.text || NOISE_LINE_REGEX.test(line.text)) {
+      // Baris kosong memisahkan entri pada gaya penulis-tahun; pada gaya bernomor entri baru ditandai nomornya
+      if (!line.text && !numberRegex) flush();
+      continue;
+    }
+    if (HEADING_LINE_REGEX.test(line.text)) break;
+
+    const isEntryStart = startsEntry(line.text);
+
+    // Setelah pergantian halaman, baris pertama harus memulai entri baru atau melanjutkan entri yang belum selesai
+    if (afterPageBreak && !isEntryStart && (current.length === 0 || /[.)]$|\d$/.test(lastText()))) break;
+    afterPageBreak = false;
+
+    if (isEntryStart) flush();
+    current.push(numberRegex && isEntryStart ? { ...line, text: line.text.replace(numberRegex, '') } : line);
+  }
+  flush();
+
+  return entries.filter(entry => entry.text.length >= MIN_ENTRY_LENGTH && entry.text.length <= MAX_ENTRY_LENGTH);
+};
+
+/**
+ * Pecah daftar penulis menjadi nama-nama penulis.
+ * Mendukung "Smith, J. A., Doe, B., & Lee, C." (nama belakang dulu) maupun "A. Smith, B. Doe, and C. Lee"
+ * @param {string} text - Teks penulis
+ * @returns {Array<string>} - Nama penulis sesuai urutan
+ */
+const splitAuthors = (text) => {
+  const cleaned = text
+    .replace(/,?\s*\b(?:et al\.?|dkk\.?)/gi, '')
+    .replace(/\((?:1[5-9]\d{2}|20\d{2})[a-z]?\)/g, '')
+    .replace(/\s*(?:\(eds?\.\)|\(ed\.\))/gi, '')
+    .replace(/[,;\s]+$/, '')
+    // Titik penutup dibuang kecuali milik inisial terakhir ("Lee, C.")
+    .replace(/(?<!\b[A-ZÀ-ɏ])\.$/, '')
+    .trim();
+  if (!cleaned) return [];
+
+  // Nama belakang diikuti inisial: "Smith, J. A."
+  const surnameFirst = cleaned.match(/[^,;&]+?,\s*(?:[A-ZÀ-ɏ](?:\.|\b)[\s-]*)+/g);
+  if (surnameFirst && surnameFirst.join('').length >= cleaned.replace(/,?\s*(?:&|\band\b|\bdan\b)\s*/g, '').length * 0.8) {
+    return surnameFirst
+      .map(name => name.replace(/^\s*(?:,|&|and\b|dan\b)\s*/, '').trim().replace(/,$/, '').replace(/(\b[A-ZÀ-ɏ])$/, '$1.'))
+      .filter(Boolean);
+  }
+
+  return cleaned
+    .split(/\s*(?:;|&|,\s*and\b|\band\b|,\s*dan\b|\bdan\b|,)\s*/)
+    .map(name => name.trim())
+    .filter(name => name && name.length > 1);
+};
+
+/**
+ * Potong teks setelah judul menjadi venue: bagian sebelum volume, halaman, atau tahun
+ * @param {string} text - Teks setelah judul
+ * @returns {string} - Nama jurnal, prosiding, atau penerbit
+ */
+const extractVenue = (text) => text
+  .replace(/^[\s,.:;]*(?:in:?\s+|dalam:?\s+)?/i, '')
+  .split(/,\s*(?:vol\.|volume|no\.|pp\.|hal\.|hlm\.|pages?)|\s*\((?:pp|hal|hlm)\.|\s+\d+\s*\(\d+\)|,\s*\d|\.\s+(?:\d|doi|https?:|Retrieved|Diakses)|\((?:1[5-9]|20)\d{2}\)|[.;]\s*$/i)[0]
+  .replace(/[\s,.;:]+$/, '')
+  .trim();
+
+/**
+ * Pecah teks menjadi kalimat tanpa memotong setelah inisial nama ("J. A. Smith")
+ * @param {string} text - Teks entri
+ * @returns {Array<string>} - Potongan kalimat
+ */
+const splitSentences = (text) => text
+  .split(/(?<=[^\s.][^\s.A-Z]|[?!])[.?!]\s+(?=\S)|(?<=[a-zÀ-ɏ]{2}\.)\s+(?=[A-ZÀ-ɏ0-9"“])/)
+  .map(part => part.trim())
+  .filter(Boolean);
+
+/**
+ * Urai satu entri daftar pustaka menjadi penulis, judul, venue, dan tahun
+ * @param {string} raw - Teks entri tanpa nomor urut
+ * @returns {{authors: Array<string>, title: string, venue: string, year: number|null, doi: string, url: string, type: string, raw: string}} - Entri terstruktur
+ */
+export const parseReferenceEntry = (raw) => {
+  const doi = raw.match(DOI_REGEX)?.[1] || '';
+  const url = doi ? '' : raw.match(URL_REGEX)?.[0] || '';
+  // DOI dan URL sering berisi angka yang mirip tahun
+  const text = raw.replace(DOI_REGEX, '').replace(URL_REGEX, '').replace(/\b(?:doi|DOI):?\s*$/, '').trim();
+
+  const parenthesizedYear = text.match(/\((1[5-9]\d{2}|20\d{2})[a-z]?\)/);
+  // Rentang halaman seperti "pp. 1877-1901" bukan tahun
+  const years = Array.from(text.replace(/\d+\s*[-–—]\s*\d+/g, '').matchAll(YEAR_REGEX), match => Number(match[1]));
+  const year = parenthesizedYear ? Number(parenthesizedYear[1]) : (years[years.length - 1] ?? null);
+
+  let authors = '';
+  let title = '';
+  let venue = '';
+
+  const quoted = text.match(DOUBLE_QUOTED_TITLE_REGEX) || text.match(SINGLE_QUOTED_TITLE_REGEX);
+  const authorYear = !quoted && text.match(/^(.+?)[.,]?\s*\((?:1[5-9]\d{2}|20\d{2})[a-z]?(?:,[^)]*)?\)[.,:]?\s*(.+)$/);
+
+  if (quoted) {
+    // IEEE: A. Smith and B. Doe, "Judul," in Venue, 2020.
+    authors = quoted[1];
+    title = quoted[2];
+    venue = extractVenue(quoted[3]);
+  } else if (authorYear) {
+    // APA: Smith, J., & Doe, B. (2020). Judul. Venue, 12(3), 45-67.
+    authors = authorYear[1];
+    const [titlePart = '', ...rest] = splitSentences(authorYear[2]);
+    title = titlePart;
+    venue = extractVenue(rest.join('. '));
+  } else if (VANCOUVER_AUTHORS_REGEX.test(text)) {
+    // Vancouver: Smith J, Doe A. Judul. Venue. 2020;5:1-3.
+    const [, authorPart, rest] = text.match(VANCOUVER_AUTHORS_REGEX);
+    authors = authorPart.replace(/\.\s*$/, '');
+    const [titlePart = '', ...venueParts] = splitSentences(rest);
+    title = titlePart;
+    venue = extractVenue(venueParts.join('. '));
+  } else {
+    // Harvard: Smith, J. 2020. Judul. Venue.
+    const sentences = splitSentences(text);
+    const yearAfterAuthors = sentences.length > 1 && /^(?:1[5-9]\d{2}|20\d{2})[a-z]?$/.test(sentences[1]);
+    authors = (sentences[0] || '').replace(/[.,]?\s*(?:1[5-9]\d{2}|20\d{2})[a-z]?$/, '');
+    const rest = sentences.slice(yearAfterAuthors ? 2 : 1);
+    title = rest[0] || '';
+    venue = extractVenue(rest.slice(1).join('. '));
+  }
+
+  title = title.replace(/^[\s,.:;]+|[\s,.:;]+$/g, '').trim();
+  const type = PROCEEDINGS_REGEX.test(venue) ? 'inproceedings' : (venue && JOURNAL_REGEX.test(text) ? 'article' : 'misc');
+
+  return {
+    authors: splitAuthors(authors),
+    title,
+    venue,
+    year,
+    doi,
+    url,
+    type,
+    raw
+  };
+};
+
+/**
+ * Cari daftar pustaka dalam teks dokumen dan urai entrinya. Jika ada beberapa judul daftar pustaka
+ * (misalnya di daftar isi), yang dipakai adalah judul terakhir yang diikuti entri yang valid
+ * @param {string} text - Teks lengkap dokumen
+ * @returns {{start: number, end: number, entries: Array<Object>}|null} - Rentang karakter bagian daftar pustaka
+ *   (dari judulnya) beserta entrinya, atau null jika tidak ditemukan
+ */
+export const findReferenceList = (text) => {
+  if (!text) return null;
+
+  const headings = Array.from(text.matchAll(REFERENCE_HEADING_REGEX)).reverse();
+
+  for (const heading of headings) {
+    const bodyStart = heading.index + heading[0].length;
+    const endMatch = text.slice(bodyStart).match(SECTION_END_REGEX);
+    const end = endMatch ? bodyStart + endMatch.index : text.length;
+
+    const rawEntries = splitReferenceEntries(text.slice(bodyStart, end));
+    const entries = rawEntries.map(entry => parseReferenceEntry(entry.text));
+    const withYear = entries.filter(entry => entry.year).length;
+
+    if (entries.length >= MIN_REFERENCE_ENTRIES && withYear >= entries.length * MIN_ENTRIES_WITH_YEAR) {
+      // Rentang berakhir di entri terakhir yang terbaca, bukan di akhir dokumen
+      return { start: heading.index, end: bodyStart + rawEntries[rawEntries.length - 1].end, entries };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Escape karakter khusus LaTeX pada nilai field BibTeX
+ * @param {string} value - Nilai field
+ * @returns {string} - Nilai yang aman untuk BibTeX
+ */
+const escapeBibtex = (value) => String(value).replace(/([&%$#_{}])/g, '\\$1');
+
+/**
+ * Buat kunci sitasi BibTeX yang unik, misalnya "smith2020deep"
+ * @param {Object} entry - Entri daftar pustaka
+ * @param {Set<string>} usedKeys - Kunci yang sudah dipakai
+ * @returns {string} - Kunci sitasi
+ */
+const createCitationKey = (entry, usedKeys) => {
+  const toAscii = (value = '') => value.normalize('NFD').replace(/[^A-Za-z0-9]/g, '').toLowerCase();
+  const firstAuthor = entry.authors[0] || '';
+  // Nama belakang: sebelum koma ("Smith, J."), atau kata terakhir ("J. Smith")
+  const surname = firstAuthor.includes(',') ? firstAuthor.split(',')[0] : firstAuthor.split(/\s+/).pop();
+  const titleWord = (entry.title.split(/\s+/).find(word => toAscii(word).length > 3) || '');
+  const base = `${toAscii(surname) || 'ref'}${entry.year || ''}${toAscii(titleWord)}` || 'ref';
+
+  let key = base;
+  for (let suffix = 1; usedKeys.has(key); suffix++) {
+    key = `${base}${String.fromCharCode(96 + suffix)}`;
+  }
+  usedKeys.add(key);
+
+  return key;
+};
+
+/**
+ * Ekspor entri daftar pustaka ke format BibTeX
+ * @param {Array<Object>} references - Entri dari findReferenceList atau database
+ * @returns {string} - Isi file .bib
+ */
+export const formatBibtex = (references = []) => {
+  const usedKeys = new Set();
+  const venueFields = { article: 'journal', inproceedings: 'booktitle', misc: 'howpublished' };
+
+  return references.map((entry) => {
+    const type = venueFields[entry.type] ? entry.type : 'misc';
+    const fields = [
+      ['author', entry.authors?.length > 0 ? entry.authors.join(' and ') : ''],
+      // Kurung ganda menjaga huruf kapital judul
+      ['title', entry.title ? `{${escapeBibtex(entry.title)}}` : ''],
+      [venueFields[type], entry.venue],
+      ['year', entry.year],
+      ['doi', entry.doi],
+      ['url', entry.url],
+      // Teks asli disertakan jika judul tidak terbaca
+      ['note', entry.title ? '' : entry.raw]
+    ].filter(([, value]) => value);
+
+    const body = fields
+      .map(([name, value]) => `  ${name} = {${name === 'title' || name === 'doi' || name === 'url' ? value : escapeBibtex(value)}}`)
+      .join(',\n');
+
+    return `@${type}{${createCitationKey({ ...entry, authors: entry.authors || [], title: entry.title || '' }, usedKeys)},\n${body}\n}`;
+  }).join('\n\n') + '\n';
+};
+
+/**
+ * Ekspor entri daftar pustaka ke format RIS (Zotero, Mendeley, EndNote)
+ * @param {Array<Object>} references - Entri dari findReferenceList atau database
+ * @returns {string} - Isi file .ris
+ */
+export const formatRis = (references = []) => {
+  const risTypes = { article: 'JOUR', inproceedings: 'CONF', misc: 'GEN' };
+
+  return references.map((entry) => {
+    const lines = [
+      ['TY', risTypes[entry.type] || 'GEN'],
+      ...(entry.authors || []).map(author => ['AU', author]),
+      ['TI', entry.title],
+      ['T2', entry.venue],
+      ['PY', entry.year],
+      ['DO', entry.doi],
+      ['UR', entry.url],
+      ['N1', entry.title ? '' : entry.raw]
+    ].filter(([, value]) => value);
+
+    // RIS memakai CRLF dan setiap record ditutup ER
+    return [...lines, ['ER', '']].map(([tag, value]) => `${tag}  - ${value}`).join('\r\n');
+  }).join('\r\n\r\n') + '\r\n';
+};
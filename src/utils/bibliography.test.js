@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import { parseReferenceEntry, findReferenceList, formatBibtex, formatRis } from './bibliography';
+
+// Entries as they appear in the document; parseReferenceEntry receives them without their number
+const IEEE_ENTRIES = [
+  '[1] J. Smith and A. Lee, "Deep learning for wave equations," IEEE Trans. Neural Netw., vol. 12, no. 3, pp. 45-60, 2020, doi: 10.1109/TNN.2020.12345.',
+  '[2] B. Santoso, "Analisis gelombang pada medium berlapis," in Proc. Seminar Nasional Fisika, 2019, pp. 1-8.',
+  '[3] C. Wang, "Numerical methods for PDEs," Journal of Computational Physics, vol. 5, pp. 100-120, 2018.'
+];
+
+const withoutNumber = entry => entry.replace(/^\[\d+\]\s*/, '');
+
+describe('parseReferenceEntry', () => {
+  it('parses IEEE journal entries', () => {
+    const entry = parseReferenceEntry(withoutNumber(IEEE_ENTRIES[0]));
+
+    expect(entry).toMatchObject({
+      authors: ['J. Smith', 'A. Lee'],
+      title: 'Deep learning for wave equations',
+      year: 2020,
+      doi: '10.1109/TNN.2020.12345',
+      type: 'article'
+    });
+    expect(entry.venue).toBe('IEEE Trans. Neural Netw');
+  });
+
+  it('recognizes conference papers', () => {
+    expect(parseReferenceEntry(withoutNumber(IEEE_ENTRIES[1]))).toMatchObject({ year: 2019, type: 'inproceedings' });
+  });
+
+  it('parses APA entries', () => {
+    const entry = parseReferenceEntry('Sugiyono. (2017). Metode penelitian kuantitatif, kualitatif, dan R&D. Bandung: Alfabeta.');
+
+    expect(entry).toMatchObject({ authors: ['Sugiyono'], year: 2017 });
+    expect(entry.title).toMatch(/^Metode penelitian kuantitatif/);
+  });
+
+  it('does not take page ranges for years', () => {
+    expect(parseReferenceEntry('D. Kim, "Optics," Appl. Opt., vol. 3, pp. 1990-2001, 2015.').year).toBe(2015);
+  });
+});
+
+describe('findReferenceList', () => {
+  it('finds the last reference heading with valid entries and stops at an appendix', () => {
+    const text = `Daftar Isi\nReferences\n\n## Page 1\n\nBody text.\n\nReferences\n${IEEE_ENTRIES.join('\n')}\n\nAppendix A\nExtra tables.`;
+
+    const result = findReferenceList(text);
+
+    expect(result.entries).toHaveLength(3);
+    expect(text.slice(result.start)).toMatch(/^References\n\[1\]/);
+    expect(text.slice(result.end)).toBe('\n\nAppendix A\nExtra tables.');
+  });
+
+  it('ends at the last entry when unlabeled content follows the references', () => {
+    const text = `Body text.\n\nReferences\n${IEEE_ENTRIES.join('\n')}\n\n## Page 6\n\nSupplementary material with extra measurements from 2021.\n\n## Page 7\n\nMore body text.`;
+
+    const result = findReferenceList(text);
+
+    expect(result.entries).toHaveLength(3);
+    expect(result.entries[2].title).toBe('Numerical methods for PDEs');
+    expect(text.slice(result.end)).toMatch(/^\n\n## Page 6\n\nSupplementary material/);
+  });
+
+  it('reads entries that continue on the next page and stops at the next heading', () => {
+    const [first, second, third] = IEEE_ENTRIES;
+    const splitAt = third.indexOf('Journal');
+    const text = `References\n${first}\n${second}\n\n## Page 9\n\n${third.slice(0, splitAt)}\n\n## Page 10\n\n${third.slice(splitAt)}\n\n# Ucapan Terima Kasih\nTerima kasih kepada tim sejak 2015.`;
+
+    const result = findReferenceList(text);
+
+    expect(result.entries).toHaveLength(3);
+    expect(result.entries[2].year).toBe(2018);
+    expect(text.slice(result.end)).toMatch(/^\n\n# Ucapan Terima Kasih/);
+  });
+
+  it('returns null when there is no reference list', () => {
+    expect(findReferenceList('Just a body.\n\nConclusion.')).toBeNull();
+  });
+});
+
+describe('export', () => {
+  const references = IEEE_ENTRIES.map(withoutNumber).map(parseReferenceEntry);
+
+  it('writes BibTeX with unique keys and venue fields', () => {
+    const bibtex = formatBibtex(references);
+
+    expect(bibtex).toContain('@article{smith2020deep,');
+    expect(bibtex).toContain('@inproceedings{');
+    expect(bibtex).toContain('title = {{Deep learning for wave equations}}');
+    expect(formatBibtex([references[0], references[0]])).toContain('@article{smith2020deepa,');
+  });
+
+  it('writes RIS records closed by ER with CRLF line endings', () => {
+    const ris = formatRis(references.slice(0, 1));
+
+    expect(ris.startsWith('TY  - JOUR\r\nAU  - J. Smith\r\nAU  - A. Lee\r\n')).toBe(true);
+    expect(ris.endsWith('ER  - \r\n')).toBe(true);
+  });
+});
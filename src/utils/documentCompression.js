@@ -180,4 +180,40 @@ export const analyzeMathematicalContent = (text) => {
     recommendedFormatting: latexMatches.length > 0 ? 'preserve_latex' : 'standard',
     preserveWhitespace: latexMatches.length > 0 || mathSymbolMatches.length > 10
   };
-};
\ No newline at end of file
+};
+
+/**
+ * Helper function to detect math content in a line of text
+ * @param {string} line - The line to check for math content
+ * @returns {boolean} - True if the line likely contains math content
+ */
+export const detectMathContent = (line) => {
+  // Check for LaTeX-like math markers
+  if (/(\$|\\\(|\\\[|\\begin\{)/.test(line)) return true;
+
+  // Check for mathematical symbols
+  if (/[∫∬∭∮∯∰∇∆∂∏∑√∛∜≈≠≤≥±×÷]/.test(line)) return true;
+
+  // Check for equation-like structure (multiple symbols with numbers)
+  if (/[a-zA-Z][_^][0-9].*[=<>].*[a-zA-Z0-9+\-*/]/.test(line)) return true;
+  
+  // Check for fraction-like structure
+  if (/\b[a-zA-Z0-9]+\/[a-zA-Z0-9]+\b/.test(line) && 
+      /[+\-=]/.test(line)) return true;
+  
+  return false;
+};
+
+/**
+ * Hitung jumlah baris yang mengandung konten matematis dalam sebuah teks
+ * @param {string} text - Teks dokumen (biasanya Markdown hasil ekstraksi)
+ * @returns {{containsEquations: boolean, mathConfidence: number}} - Ringkasan konten matematis
+ */
+export const detectMathInText = (text) => {
+  const mathConfidence = (text || '').split('\n').filter(detectMathContent).length;
+
+  return {
+    containsEquations: mathConfidence > 0,
+    mathConfidence
+  };
+};
@@ -0,0 +1,107 @@
+/**
+ * Utilitas metadata bibliografis dokumen (judul, penulis, subjek, kata kunci, tanggal pembuatan)
+ * yang dibaca dari info dictionary dan XMP PDF. Metadata disimpan di `metadata.documentInfo`
+ * pada baris `documents` dan ikut disalin ke metadata setiap chunk
+ */
+
+// Field yang dapat dipakai sebagai filter pencarian beserta labelnya di UI
+export const DOCUMENT_FILTER_FIELDS = {
+  author: 'Penulis',
+  keyword: 'Kata kunci',
+  year: 'Tahun'
+};
+
+/**
+ * Ambil tahun pembuatan dokumen
+ * @param {Object|null} documentInfo - Metadata dokumen
+ * @returns {string} - Tahun empat digit, atau string kosong jika tanggal tidak diketahui
+ */
+export const getDocumentYear = (documentInfo) =>
+  documentInfo?.creationDate ? String(documentInfo.creationDate).slice(0, 4) : '';
+
+/**
+ * Format atribusi singkat untuk daftar dokumen dan sitasi, misalnya "Jane Doe, 2021"
+ * @param {Object|null} documentInfo - Metadata dokumen
+ * @returns {string} - Penulis dan tahun, atau string kosong jika keduanya tidak ada
+ */
+export const formatDocumentAttribution = (documentInfo) =>
+  [documentInfo?.author, getDocumentYear(documentInfo)].filter(Boolean).join(', ');
+
+/**
+ * Ubah filter menjadi string agar dapat dipakai sebagai nilai <select>, misalnya "author:Jane Doe"
+ * @param {{field: string, value: string}} filter - Filter dokumen
+ * @returns {string} - Kunci filter
+ */
+export const toDocumentFilterKey = ({ field, value }) => `${field}:${value}`;
+
+/**
+ * Kebalikan dari toDocumentFilterKey. Nilai boleh mengandung titik dua
+ * @param {string} key - Kunci filter
+ * @returns {{field: string, value: string}|null} - Filter dokumen, atau null jika kunci kosong atau tidak dikenal
+ */
+export const parseDocumentFilterKey = (key) => {
+  const separator = key ? key.indexOf(':') : -1;
+  if (separator === -1) return null;
+
+  const field = key.slice(0, separator);
+  const value = key.slice(separator + 1);
+  return DOCUMENT_FILTER_FIELDS[field] && value ? { field, value } : null;
+};
+
+/**
+ * Cek apakah metadata dokumen cocok dengan filter. Penulis dan kata kunci dibandingkan tanpa
+ * membedakan huruf besar-kecil; dokumen tanpa metadata tidak pernah cocok dengan filter
+ * @param {Object|null} documentInfo - Metadata dokumen
+ * @param {{field: string, value: string}|null} filter - Filter dokumen
+ * @returns {boolean} - True jika tidak ada filter atau dokumen cocok
+ */
+export const matchesDocumentFilter = (documentInfo, filter) => {
+  if (!filter) return true;
+  if (!documentInfo) return false;
+
+  const value = filter.value.toLowerCase();
+
+  switch (filter.field) {
+    case 'author':
+      return (documentInfo.author || '').toLowerCase() === value;
+    case 'keyword':
+      return (documentInfo.keywords || []).some(keyword => keyword.toLowerCase() === value);
+    case 'year':
+      return getDocumentYear(documentInfo) === filter.value;
+    default:
+      return true;
+  }
+};
+
+/**
+ * Kumpulkan nilai filter yang tersedia dari dokumen yang dimuat
+ * @param {Array<Object>} documents - Dokumen dengan `metadata.documentInfo`
+ * @returns {Array<{field: string, label: string, values: Array<string>}>} - Nilai per field, hanya field yang memiliki nilai
+ */
+export const getDocumentFilterOptions = (documents = []) => {
+  const valuesByField = { author: new Map(), keyword: new Map(), year: new Map() };
+
+  documents.forEach(document => {
+    const documentInfo = document?.metadata?.documentInfo;
+    if (!documentInfo) return;
+
+    const add = (field, value) => {
+      // Nilai yang hanya berbeda huruf besar-kecil digabung, ejaan pertama yang dipakai
+      if (value && !valuesByField[field].has(value.toLowerCase())) {
+        valuesByField[field].set(value.toLowerCase(), value);
+      }
+    };
+
+    add('author', documentInfo.author);
+    (documentInfo.keywords || []).forEach(keyword => add('keyword', keyword));
+    add('year', getDocumentYear(documentInfo));
+  });
+
+  return Object.entries(valuesByField)
+    .filter(([, values]) => values.size > 0)
+    .map(([field, values]) => ({
+      field,
+      label: DOCUMENT_FILTER_FIELDS[field],
+      values: Array.from(values.values()).sort((a, b) => a.localeCompare(b))
+    }));
+};
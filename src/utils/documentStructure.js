@@ -0,0 +1,245 @@
+/**
+ * Utilitas untuk membaca penanda struktur dokumen hasil ekstraksi
+ * Ekstraktor menyisipkan penanda seperti "## Page 3" (PDF),
+ * "## Chapter 4: Judul Bab" (EPUB), "## Slide 12: Judul Slide" (PPTX),
+ * "## Section 3: Path Bagian" (LaTeX), atau "## Sheet 1: Nama Sheet" diikuti
+ * "## Rows 2-41" (CSV/XLSX) sehingga setiap chunk dapat dipetakan
+ * kembali ke lokasi asalnya untuk keperluan sitasi
+ */
+
+// Judul hanya dibaca jika diakhiri baris baru, karena teks yang dimuat ulang
+// dari database sudah kehilangan baris barunya
+const SECTION_MARKER_REGEX = /## (Page|Chapter|Slide|Section|Sheet|Rows) (\d+)(?:-(\d+))?(?::[ \t]*([^\n]{1,150})(?=\n))?/g;
+
+// Pemisah antar tingkat pada path bagian outline, misalnya "Ch 2 > 2.3 Wave Equation"
+export const SECTION_PATH_SEPARATOR = ' > ';
+
+/**
+ * Cari semua penanda bagian di dalam teks dokumen
+ * @param {string} text - Teks lengkap dokumen
+ * @returns {Array<{type: string, number: number, numberEnd: number, title: string|null, offset: number, end: number}>} - Penanda yang ditemukan,
+ *   urut berdasarkan posisi; `numberEnd` adalah akhir rentang pada penanda seperti "## Rows 2-41"
+ */
+export const findSectionMarkers = (text) => {
+  if (!text) return [];
+
+  return Array.from(text.matchAll(SECTION_MARKER_REGEX), (match) => ({
+    type: match[1].toLowerCase(),
+    number: Number(match[2]),
+    numberEnd: Number(match[3] || match[2]),
+    title: match[4] ? match[4].trim() : null,
+    offset: match.index,
+    end: match.index + match[0].length
+  }));
+};
+
+/**
+ * Cari posisi setiap chunk di dalam teks asal.
+ * Chunk dari text splitter selalu berurutan, jadi pencarian dilanjutkan dari
+ * awal chunk sebelumnya agar bagian yang tumpang tindih tetap ditemukan
+ * @param {string} text - Teks lengkap dokumen
+ * @param {Array<string>} chunks - Isi setiap chunk
+ * @returns {Array<{start: number, end: number}|null>} - Rentang karakter setiap chunk, atau null jika tidak ditemukan
+ */
+const locateChunks = (text, chunks) => {
+  let searchFrom = 0;
+
+  return chunks.map((chunk) => {
+    let start = text.indexOf(chunk, searchFrom);
+    if (start === -1) {
+      start = text.indexOf(chunk);
+    }
+    if (start !== -1) {
+      searchFrom = start + 1;
+      return { start, end: start + chunk.length };
+    }
+
+    // Chunk yang disusun ulang (misalnya potongan tabel dengan header berulang)
+    // tidak ada utuh di teks asal, jadi cari lewat baris terakhirnya
+    const lastLine = chunk.slice(chunk.lastIndexOf('\n') + 1);
+    const lastLineStart = lastLine ? text.indexOf(lastLine, searchFrom) : -1;
+    if (lastLineStart === -1) {
+      return null;
+    }
+
+    searchFrom = lastLineStart + 1;
+    return { start: lastLineStart, end: lastLineStart + lastLine.length };
+  });
+};
+
+/**
+ * Tentukan penanda dengan jenis tertentu yang berlaku pada sebuah rentang teks
+ * @param {Array<Object>} markers - Penanda dari findSectionMarkers
+ * @param {string} type - Jenis penanda, misalnya "chapter"
+ * @param {number} start - Awal rentang
+ * @param {number} end - Akhir rentang
+ * @returns {Array<Object>} - Penanda yang aktif di awal rentang diikuti penanda di dalam rentang
+ */
+const getMarkersInRange = (markers, type, start, end) => {
+  const typed = markers.filter(marker => marker.type === type);
+  const active = typed.filter(marker => marker.offset <= start).pop();
+  const inside = typed.filter(marker => marker.offset > start && marker.offset < end);
+
+  return active ? [active, ...inside] : inside;
+};
+
+/**
+ * Cari bagian outline paling spesifik yang mencakup sebuah halaman
+ * @param {Array<Object>} outline - Daftar bagian dengan page, pageEnd, dan depth
+ * @param {number} page - Nomor halaman
+ * @returns {Object|null} - Bagian yang mencakup halaman tersebut, atau null
+ */
+const findSectionForPage = (outline, page) => {
+  let best = null;
+
+  outline.forEach((section) => {
+    if (section.page > page || section.pageEnd < page) return;
+
+    // Utamakan bagian yang lebih dalam, lalu yang dimulai paling akhir sebelum halaman ini
+    if (!best || section.depth > best.depth ||
+        (section.depth === best.depth && section.page >= best.page)) {
+      best = section;
+    }
+  });
+
+  return best;
+};
+
+/**
+ * Hitung metadata lokasi (rentang halaman atau slide, bab, bagian outline, atau sheet dan rentang baris) untuk setiap chunk dokumen.
+ * Chunk yang melewati batas halaman mendapat `page` (halaman awal) dan `pageEnd` (halaman akhir)
+ * @param {string} text - Teks lengkap dokumen
+ * @param {Array<string>} chunks - Isi setiap chunk, sesuai urutan hasil split
+ * @param {Object} options - Opsi tambahan
+ * @param {Array<Object>} options.outline - Outline/bookmark PDF atau struktur \section LaTeX untuk mengisi path bagian (`section`)
+ * @param {Array<string>} options.sheets - Nama sheet spreadsheet sesuai urutan penanda Sheet
+ * @returns {Array<Object>} - Metadata lokasi per chunk (objek kosong jika tidak diketahui)
+ */
+export const getChunkLocations = (text, chunks, { outline = [], sheets = [] } = {}) => {
+  const markers = findSectionMarkers(text);
+  if (markers.length === 0) {
+    return chunks.map(() => ({}));
+  }
+
+  return locateChunks(text, chunks).map((range) => {
+    if (!range) return {};
+
+    // Penanda di ujung chunk tanpa isi sesudahnya milik chunk berikutnya
+    const contentEnd = markers
+      .filter(marker => marker.offset > range.start && marker.offset < range.end &&
+        !text.slice(marker.end, range.end).trim())
+      .reduce((end, marker) => Math.min(end, marker.offset), range.end);
+
+    const location = {};
+    const pages = getMarkersInRange(markers, 'page', range.start, contentEnd);
+
+    if (pages.length > 0) {
+      location.page = pages[0].number;
+      location.pageEnd = pages[pages.length - 1].number;
+
+      const section = Array.isArray(outline) && findSectionForPage(outline, location.page);
+      if (section) {
+        location.section = section.path;
+      }
+    }
+
+    const slides = getMarkersInRange(markers, 'slide', range.start, contentEnd);
+
+    if (slides.length > 0) {
+      location.slide = slides[0].number;
+      location.slideEnd = slides[slides.length - 1].number;
+      if (slides[0].title) {
+        location.slideTitle = slides[0].title;
+      }
+    }
+
+    // Penanda Section menunjuk entri outline (1-based), karena judulnya hilang dari teks yang dimuat ulang
+    const [sectionMarker] = getMarkersInRange(markers, 'section', range.start, contentEnd);
+    const outlineSection = sectionMarker && Array.isArray(outline) ? outline[sectionMarker.number - 1] : null;
+
+    if (outlineSection?.path) {
+      location.section = outlineSection.path;
+    }
+
+    // Seperti Section, penanda Sheet menunjuk nama sheet (1-based) di metadata dokumen jika tersedia
+    const [sheet] = getMarkersInRange(markers, 'sheet', range.start, contentEnd);
+
+    if (sheet) {
+      location.sheet = (Array.isArray(sheets) && sheets[sheet.number - 1]) || sheet.title || `Sheet ${sheet.number}`;
+    }
+
+    const rows = getMarkersInRange(markers, 'rows', range.start, contentEnd);
+
+    if (rows.length > 0) {
+      location.rowStart = rows[0].number;
+      location.rowEnd = rows[rows.length - 1].numberEnd;
+    }
+
+    const [chapter] = getMarkersInRange(markers, 'chapter', range.start, contentEnd);
+
+    if (chapter) {
+      location.chapter = chapter.number;
+      if (chapter.title) {
+        location.chapterTitle = chapter.title;
+      }
+    }
+
+    return location;
+  });
+};
+
+/**
+ * Cek apakah chunk berada di dalam bagian tertentu (termasuk sub-bagiannya)
+ * @param {Object} metadata - Metadata chunk
+ * @param {string} sectionPath - Path bagian, misalnya "Ch 2" atau "Ch 2 > 2.3 Wave Equation"
+ * @returns {boolean} - True jika chunk berada di bagian tersebut
+ */
+export const isInSection = (metadata, sectionPath) => {
+  const section = metadata?.section;
+  if (!section || !sectionPath) return false;
+
+  return section === sectionPath || section.startsWith(`${sectionPath}${SECTION_PATH_SEPARATOR}`);
+};
+
+/**
+ * Buat label lokasi untuk sitasi, misalnya "halaman 5", "halaman 5-6, Ch 2 > 2.3 Wave Equation",
+ * "slide 12", "Sheet1 baris 40-80", "Chapter 4: Judul Bab", atau path bagian saja untuk dokumen tanpa halaman (LaTeX)
+ * @param {Object} metadata - Metadata chunk
+ * @returns {string} - Label lokasi atau string kosong jika tidak diketahui
+ */
+export const formatChunkLocation = (metadata = {}) => {
+  const page = metadata?.page || metadata?.pageNumber;
+  if (page) {
+    const pageEnd = metadata?.pageEnd;
+    const pageLabel = pageEnd && pageEnd !== page ? `halaman ${page}-${pageEnd}` : `halaman ${page}`;
+    return metadata?.section ? `${pageLabel}, ${metadata.section}` : pageLabel;
+  }
+
+  if (metadata?.slide) {
+    const slideEnd = metadata.slideEnd;
+    return slideEnd && slideEnd !== metadata.slide ? `slide ${metadata.slide}-${slideEnd}` : `slide ${metadata.slide}`;
+  }
+
+  if (metadata?.rowStart) {
+    const rowLabel = metadata.rowEnd && metadata.rowEnd !== metadata.rowStart
+      ? `baris ${metadata.rowStart}-${metadata.rowEnd}`
+      : `baris ${metadata.rowStart}`;
+    return metadata.sheet ? `${metadata.sheet} ${rowLabel}` : rowLabel;
+  }
+
+  if (metadata?.sheet) {
+    return metadata.sheet;
+  }
+
+  if (metadata?.chapter) {
+    return metadata.chapterTitle
+      ? `Chapter ${metadata.chapter}: ${metadata.chapterTitle}`
+      : `Chapter ${metadata.chapter}`;
+  }
+
+  if (metadata?.section) {
+    return metadata.section;
+  }
+
+  return '';
+};
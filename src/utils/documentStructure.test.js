@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { findSectionMarkers, getChunkLocations, formatChunkLocation, isInSection } from './documentStructure';
+
+describe('findSectionMarkers', () => {
+  it('reads page, chapter, sheet and row markers', () => {
+    const markers = findSectionMarkers('## Page 3\ntext\n## Chapter 2: Gelombang\n## Sheet 1: Data\n## Rows 2-41\n');
+
+    expect(markers.map(({ type, number, numberEnd, title }) => ({ type, number, numberEnd, title }))).toEqual([
+      { type: 'page', number: 3, numberEnd: 3, title: null },
+      { type: 'chapter', number: 2, numberEnd: 2, title: 'Gelombang' },
+      { type: 'sheet', number: 1, numberEnd: 1, title: 'Data' },
+      { type: 'rows', number: 2, numberEnd: 41, title: null }
+    ]);
+  });
+
+  it('returns nothing for empty text', () => {
+    expect(findSectionMarkers('')).toEqual([]);
+  });
+});
+
+describe('getChunkLocations', () => {
+  it('maps chunks to the pages they span', () => {
+    const text = '## Page 1\n\nAlpha beta.\n\n## Page 2\n\nGamma delta.\n\n## Page 3\n\nEpsilon.';
+    const chunks = ['Alpha beta.', 'Alpha beta.\n\n## Page 2\n\nGamma delta.', 'Epsilon.'];
+
+    const locations = getChunkLocations(text, chunks);
+
+    expect(locations[0]).toMatchObject({ page: 1 });
+    expect(locations[1]).toMatchObject({ page: 1, pageEnd: 2 });
+    expect(locations[2]).toMatchObject({ page: 3 });
+  });
+
+  it('uses sheet names from metadata and row ranges from markers', () => {
+    const text = '# data.xlsx\nSheets: 1\n\n## Sheet 1: Penjualan\n\n## Rows 2-41\n\n| a |\n| --- |\n| 1 |';
+    const [location] = getChunkLocations(text, ['| a |\n| --- |\n| 1 |'], { sheets: ['Penjualan'] });
+
+    expect(location).toMatchObject({ sheet: 'Penjualan', rowStart: 2, rowEnd: 41 });
+    expect(formatChunkLocation(location)).toBe('Penjualan baris 2-41');
+  });
+
+  it('returns empty locations for text without markers', () => {
+    expect(getChunkLocations('plain text', ['plain'])).toEqual([{}]);
+  });
+});
+
+describe('formatChunkLocation', () => {
+  it('formats pages, slides and chapters', () => {
+    expect(formatChunkLocation({ page: 5, pageEnd: 6, section: 'Ch 2 > 2.3 Wave' })).toBe('halaman 5-6, Ch 2 > 2.3 Wave');
+    expect(formatChunkLocation({ slide: 12 })).toBe('slide 12');
+    expect(formatChunkLocation({ chapter: 4, chapterTitle: 'Optik' })).toBe('Chapter 4: Optik');
+    expect(formatChunkLocation({})).toBe('');
+  });
+});
+
+describe('isInSection', () => {
+  it('matches a section and its subsections only', () => {
+    expect(isInSection({ section: 'Ch 2 > 2.3 Wave' }, 'Ch 2')).toBe(true);
+    expect(isInSection({ section: 'Ch 20' }, 'Ch 2')).toBe(false);
+  });
+});
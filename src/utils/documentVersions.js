@@ -0,0 +1,71 @@
+/**
+ * Utilitas versi dokumen. Setiap versi disimpan sebagai baris `documents` tersendiri;
+ * versi kedua dan seterusnya menyimpan `versionGroupId` (ID versi pertama), `version`,
+ * dan `previousVersionId` di metadata. Versi pertama tidak perlu diubah saat versi baru diunggah
+ */
+
+/**
+ * Baca informasi versi dari sebuah dokumen
+ * @param {Object} document - Dokumen dengan `id` dan `metadata`
+ * @returns {{groupId: string, version: number, previousVersionId: string|null}} - Informasi versi
+ */
+export const getVersionInfo = (document) => {
+  const metadata = document?.metadata || {};
+
+  return {
+    groupId: metadata.versionGroupId || document?.id,
+    version: Number(metadata.version) || 1,
+    previousVersionId: metadata.previousVersionId || null
+  };
+};
+
+/**
+ * Kelompokkan dokumen berdasarkan grup versinya, diurutkan dari versi terlama
+ * @param {Array<Object>} documents - Daftar dokumen
+ * @returns {Map<string, Array<Object>>} - Versi dokumen per ID grup
+ */
+export const groupDocumentVersions = (documents = []) => {
+  const groups = new Map();
+
+  documents.forEach(document => {
+    const { groupId } = getVersionInfo(document);
+    if (!groupId) return;
+    groups.set(groupId, [...(groups.get(groupId) || []), document]);
+  });
+
+  groups.forEach(versions => versions.sort((a, b) => getVersionInfo(a).version - getVersionInfo(b).version));
+
+  return groups;
+};
+
+/**
+ * Ambil versi terbaru dari setiap grup dokumen
+ * @param {Array<Object>} documents - Daftar dokumen
+ * @returns {Array<Object>} - Satu dokumen (versi tertinggi) per grup
+ */
+export const getLatestVersions = (documents = []) =>
+  Array.from(groupDocumentVersions(documents).values(), versions => versions[versions.length - 1]);
+
+/**
+ * Tentukan ID dokumen yang tidak dipakai dalam sebuah percakapan. Untuk setiap grup hanya
+ * versi yang dikunci (pin) yang dipakai, atau versi terbaru jika percakapan mengikuti versi terbaru
+ * @param {Array<Object>} documents - Dokumen yang dimuat di sistem RAG
+ * @param {Object} pinnedVersions - Peta `versionGroupId -> documentId` dari conversations.document_versions
+ * @returns {Array<string>} - ID versi yang harus dikecualikan dari pencarian
+ */
+export const getInactiveVersionIds = (documents = [], pinnedVersions = {}) => {
+  const inactiveIds = [];
+
+  groupDocumentVersions(documents).forEach((versions, groupId) => {
+    const pinnedId = pinnedVersions?.[groupId];
+    const activeId = versions.some(document => document.id === pinnedId)
+      ? pinnedId
+      : versions[versions.length - 1].id;
+
+    versions.forEach(document => {
+      if (document.id !== activeId) inactiveIds.push(document.id);
+    });
+  });
+
+  return inactiveIds;
+};
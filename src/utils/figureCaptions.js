@@ -0,0 +1,132 @@
+/**
+ * Deteksi keterangan gambar (caption) pada halaman PDF dan perkiraan area gambarnya.
+ * Baris dan koordinat berasal dari groupTextItemsIntoLines, dalam satuan PDF dengan sumbu Y ke atas
+ */
+
+// "Figure 3: ...", "Fig. 2.1. ...", "Gambar 4 – ..."; tanda baca setelah nomor wajib agar
+// kalimat seperti "Figure 3 shows ..." tidak dianggap caption
+const CAPTION_REGEX = /^(Figure|Fig\.?|Gambar|Gbr\.?)\s*(\d+(?:[.-]\d+)*[a-z]?)\s*[:.–—|]\s*(.*)$/i;
+
+// Rujukan ke gambar di dalam teks, misalnya "lihat Gambar 3" atau "(Fig. 2.1)"
+const REFERENCE_REGEX = /\b(?:Figure|Fig\.?|Gambar|Gbr\.?)\s*(\d+(?:[.-]\d+)*[a-z]?)/gi;
+
+// Tinggi minimum area kosong (tanpa teks) di atas atau di bawah caption agar dianggap gambar
+const MIN_FIGURE_HEIGHT = 40;
+
+// Caption panjang berlanjut ke beberapa baris berikutnya
+const MAX_CAPTION_LINES = 4;
+
+// Jarak baris maksimum (kelipatan tinggi baris) agar baris berikutnya masih dianggap bagian caption
+const CAPTION_LINE_GAP_FACTOR = 1.4;
+
+const DEFAULT_LINE_HEIGHT = 12;
+
+// Baris yang lebih pendek dari porsi lebar kolom ini dianggap teks di dalam gambar
+const BODY_LINE_WIDTH_RATIO = 0.5;
+
+/**
+ * Samakan penulisan nomor gambar, misalnya "2-1" menjadi "2.1"
+ * @param {string} number - Nomor gambar
+ * @returns {string} - Nomor yang sudah dinormalisasi
+ */
+export const normalizeFigureNumber = (number) => String(number).replace(/-/g, '.').toLowerCase();
+
+/**
+ * Cari nomor gambar yang dirujuk di dalam teks
+ * @param {string} text - Teks chunk atau pertanyaan
+ * @returns {Array<string>} - Nomor gambar unik sesuai urutan kemunculan
+ */
+export const findFigureReferences = (text) =>
+  [...new Set(Array.from((text || '').matchAll(REFERENCE_REGEX), match => normalizeFigureNumber(match[1])))];
+
+/**
+ * Cek apakah sebuah baris teks adalah caption gambar
+ * @param {string} text - Teks baris
+ * @returns {boolean} - True jika baris diawali "Figure 3:", "Gambar 2.1." dan sejenisnya
+ */
+export const isFigureCaption = (text) => CAPTION_REGEX.test((text || '').trim());
+
+const getLineText = (line) => line.cells.map(cell => cell.text).join(' ').trim();
+
+/**
+ * Perkirakan tinggi baris dari jarak antar baris di kolom. Kuartil bawah dipakai karena
+ * jarak paragraf dan area gambar memperbesar sebagian jarak
+ * @param {Array<Object>} lines - Baris teks dari atas ke bawah
+ * @returns {number} - Tinggi baris dalam satuan PDF
+ */
+const estimateLineHeight = (lines) => {
+  const gaps = lines
+    .slice(1)
+    .map((line, index) => lines[index].y - line.y)
+    .filter(gap => gap > 0)
+    .sort((a, b) => a - b);
+
+  return gaps.length > 0 ? gaps[Math.floor(gaps.length / 4)] : DEFAULT_LINE_HEIGHT;
+};
+
+/**
+ * Deteksi caption gambar dalam satu kolom halaman dan area gambar yang menyertainya.
+ * Gambar biasanya berada di ruang kosong tepat di atas caption; jika tidak ada, ruang kosong
+ * di bawah caption yang dipakai (caption di atas gambar)
+ * @param {Array<{y: number, cells: Array<{text: string, left: number, right: number}>}>} columnLines - Baris teks satu kolom
+ * @param {{width: number, height: number}} pageSize - Ukuran halaman dalam satuan PDF
+ * @returns {Array<{number: string, label: string, caption: string, region: {left: number, right: number, top: number, bottom: number}|null}>} - Caption yang ditemukan
+ */
+export const detectFigureCaptions = (columnLines, { width, height }) => {
+  if (columnLines.length === 0) return [];
+
+  const lines = [...columnLines].sort((a, b) => b.y - a.y);
+
+  const lineHeight = estimateLineHeight(lines);
+  const left = Math.max(0, Math.min(...lines.flatMap(line => line.cells.map(cell => cell.left))) - 4);
+  const right = Math.min(width, Math.max(...lines.flatMap(line => line.cells.map(cell => cell.right))) + 4);
+  const figures = [];
+
+  // Baris isi teks mengisi sebagian besar lebar kolom
+  const isBodyLine = (line) => {
+    const lineLeft = Math.min(...line.cells.map(cell => cell.left));
+    const lineRight = Math.max(...line.cells.map(cell => cell.right));
+    return lineRight - lineLeft >= (right - left) * BODY_LINE_WIDTH_RATIO;
+  };
+
+  lines.forEach((line, index) => {
+    const match = getLineText(line).match(CAPTION_REGEX);
+    if (!match) return;
+
+    // Kumpulkan baris lanjutan caption selama jaraknya rapat dan bukan caption berikutnya
+    const captionLines = [line];
+    for (let next = index + 1; next < lines.length && captionLines.length < MAX_CAPTION_LINES; next++) {
+      const previous = captionLines[captionLines.length - 1];
+      if (previous.y - lines[next].y > lineHeight * CAPTION_LINE_GAP_FACTOR || CAPTION_REGEX.test(getLineText(lines[next]))) break;
+      captionLines.push(lines[next]);
+    }
+
+    const captionTop = line.y + lineHeight;
+    const captionBottom = captionLines[captionLines.length - 1].y - lineHeight * 0.3;
+    // Label sumbu atau teks pendek di dalam gambar vektor tidak membatasi area gambar
+    const lineAbove = lines.slice(0, index).reverse().find(isBodyLine);
+    const lineBelow = lines.slice(index + captionLines.length).find(isBodyLine);
+
+    // Ruang kosong di atas caption sampai baris sebelumnya (atau tepi atas halaman)
+    const spaceAboveTop = lineAbove ? lineAbove.y - lineHeight * 0.3 : height;
+    // Ruang kosong di bawah caption sampai baris berikutnya (atau tepi bawah halaman)
+    const spaceBelowBottom = lineBelow ? lineBelow.y + lineHeight : 0;
+
+    let region = null;
+    if (spaceAboveTop - captionTop >= MIN_FIGURE_HEIGHT) {
+      region = { left, right, top: spaceAboveTop, bottom: captionTop };
+    } else if (captionBottom - spaceBelowBottom >= MIN_FIGURE_HEIGHT) {
+      region = { left, right, top: captionBottom, bottom: spaceBelowBottom };
+    }
+
+    const number = normalizeFigureNumber(match[2]);
+    figures.push({
+      number,
+      label: `${/^g/i.test(match[1]) ? 'Gambar' : 'Figure'} ${number}`,
+      caption: captionLines.map(getLineText).join(' ').replace(/\s+/g, ' ').trim(),
+      region
+    });
+  });
+
+  return figures;
+};
@@ -0,0 +1,19 @@
+/**
+ * Utilitas hash isi file untuk mendeteksi dokumen identik yang diunggah ulang
+ */
+
+/**
+ * Hitung hash SHA-256 dari isi file
+ * @param {File|Blob} file - File yang akan di-hash
+ * @returns {Promise<string|null>} - Hash dalam format heksadesimal, atau null jika Web Crypto
+ * tidak tersedia (misalnya halaman tidak dibuka lewat HTTPS)
+ */
+export const computeFileHash = async (file) => {
+  if (!globalThis.crypto?.subtle) {
+    return null;
+  }
+
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
@@ -0,0 +1,177 @@
+/**
+ * Utilitas konversi HTML ke Markdown sederhana
+ * Digunakan oleh ekstraktor dokumen non-PDF agar heading, daftar, dan tabel
+ * tetap terbaca dengan jelas saat dokumen dipotong menjadi chunk untuk RAG
+ */
+
+// Elemen yang tidak memiliki konten teks yang berguna untuk RAG
+const SKIPPED_TAGS = new Set(['script', 'style', 'noscript', 'template', 'head', 'img', 'svg', 'iframe', 'object']);
+
+/**
+ * Rapikan whitespace pada teks inline tanpa menghapus spasi antar kata
+ * @param {string} text - Teks mentah dari node DOM
+ * @returns {string} - Teks dengan whitespace yang sudah dirapikan
+ */
+const collapseWhitespace = (text) => text.replace(/\s+/g, ' ');
+
+/**
+ * Konversi isi sel tabel menjadi satu baris yang aman untuk tabel Markdown
+ * @param {Element} cell - Elemen td/th
+ * @returns {string} - Isi sel dalam satu baris
+ */
+const convertTableCell = (cell) => {
+  return convertChildren(cell, 0)
+    .replace(/\n+/g, ' ')
+    .replace(/\|/g, '\\|')
+    .trim();
+};
+
+/**
+ * Konversi elemen tabel HTML menjadi tabel Markdown (GFM)
+ * @param {Element} table - Elemen table
+ * @returns {string} - Tabel dalam format Markdown
+ */
+const convertTable = (table) => {
+  const rows = Array.from(table.querySelectorAll('tr'))
+    .map(row => Array.from(row.children)
+      .filter(cell => /^(td|th)$/i.test(cell.tagName))
+      .map(convertTableCell))
+    .filter(cells => cells.length > 0);
+
+  if (rows.length === 0) return '';
+
+  const columnCount = Math.max(...rows.map(cells => cells.length));
+  const padRow = (cells) => [...cells, ...new Array(columnCount - cells.length).fill('')];
+  const formatRow = (cells) => `| ${padRow(cells).join(' | ')} |`;
+
+  const lines = [
+    formatRow(rows[0]),
+    formatRow(new Array(columnCount).fill('---')),
+    ...rows.slice(1).map(formatRow)
+  ];
+
+  return `\n\n${lines.join('\n')}\n\n`;
+};
+
+/**
+ * Konversi daftar (ul/ol) menjadi daftar Markdown dengan indentasi bertingkat
+ * @param {Element} list - Elemen ul atau ol
+ * @param {number} depth - Kedalaman daftar saat ini
+ * @returns {string} - Daftar dalam format Markdown
+ */
+const convertList = (list, depth) => {
+  const isOrdered = list.tagName.toLowerCase() === 'ol';
+  const indent = '  '.repeat(depth);
+  let itemNumber = 1;
+
+  const items = Array.from(list.children)
+    .filter(child => child.tagName.toLowerCase() === 'li')
+    .map(item => {
+      const marker = isOrdered ? `${itemNumber++}.` : '-';
+      const content = convertChildren(item, depth + 1).trim();
+      return `${indent}${marker} ${content}`;
+    });
+
+  return `\n${items.join('\n')}\n${depth === 0 ? '\n' : ''}`;
+};
+
+/**
+ * Konversi satu node DOM menjadi Markdown
+ * @param {Node} node - Node yang akan dikonversi
+ * @param {number} listDepth - Kedalaman daftar untuk daftar bertingkat
+ * @returns {string} - Markdown untuk node tersebut
+ */
+const convertNode = (node, listDepth) => {
+  if (node.nodeType === Node.TEXT_NODE) {
+    return collapseWhitespace(node.textContent);
+  }
+
+  if (node.nodeType !== Node.ELEMENT_NODE) {
+    return '';
+  }
+
+  const tag = node.tagName.toLowerCase();
+
+  if (SKIPPED_TAGS.has(tag)) {
+    return '';
+  }
+
+  if (/^h[1-6]$/.test(tag)) {
+    const level = Number(tag[1]);
+    const heading = collapseWhitespace(node.textContent).trim();
+    return heading ? `\n\n${'#'.repeat(level)} ${heading}\n\n` : '';
+  }
+
+  switch (tag) {
+    case 'p':
+    case 'div':
+    case 'section':
+    case 'article':
+    case 'header':
+    case 'footer':
+    case 'main':
+      return `\n\n${convertChildren(node, listDepth).trim()}\n\n`;
+    case 'br':
+      return '\n';
+    case 'hr':
+      return '\n\n---\n\n';
+    case 'strong':
+    case 'b': {
+      const content = convertChildren(node, listDepth).trim();
+      return content ? `**${content}**` : '';
+    }
+    case 'em':
+    case 'i': {
+      const content = convertChildren(node, listDepth).trim();
+      return content ? `*${content}*` : '';
+    }
+    case 'ul':
+    case 'ol':
+      return convertList(node, listDepth);
+    case 'table':
+      return convertTable(node);
+    case 'pre':
+      return `\n\n\`\`\`\n${node.textContent.replace(/\n$/, '')}\n\`\`\`\n\n`;
+    case 'code':
+      return `\`${node.textContent}\``;
+    case 'blockquote': {
+      const content = convertChildren(node, listDepth).trim();
+      return `\n\n${content.split('\n').map(line => `> ${line}`).join('\n')}\n\n`;
+    }
+    default:
+      return convertChildren(node, listDepth);
+  }
+};
+
+/**
+ * Konversi semua anak dari sebuah elemen menjadi Markdown
+ * @param {Element} element - Elemen induk
+ * @param {number} listDepth - Kedalaman daftar saat ini
+ * @returns {string} - Markdown gabungan dari semua anak
+ */
+const convertChildren = (element, listDepth = 0) => {
+  return Array.from(element.childNodes)
+    .map(child => convertNode(child, listDepth))
+    .join('');
+};
+
+/**
+ * Konversi string HTML menjadi Markdown dengan mempertahankan hierarki heading,
+ * daftar bertingkat, dan tabel
+ * @param {string} html - String HTML yang akan dikonversi
+ * @returns {string} - Hasil konversi dalam format Markdown
+ */
+export const htmlToMarkdown = (html) => {
+  if (!html) return '';
+
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+
+  return convertChildren(doc.body)
+    // Hapus spasi di awal dan akhir setiap baris kecuali indentasi daftar
+    .split('\n')
+    .map(line => line.replace(/[ \t]+$/, '').replace(/^ (?! )/, ''))
+    .join('\n')
+    // Maksimal satu baris kosong antar blok
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
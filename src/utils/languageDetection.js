@@ -0,0 +1,104 @@
+/**
+ * Deteksi bahasa sederhana untuk perpustakaan campuran Indonesia dan Inggris.
+ * Bahasa ditentukan dari proporsi kata fungsi (stopword) setiap bahasa di dalam teks,
+ * sehingga cepat dan tidak membutuhkan model atau panggilan API
+ */
+
+export const LANGUAGE_LABELS = {
+  id: 'Bahasa Indonesia',
+  en: 'Bahasa Inggris',
+  mixed: 'Campuran Indonesia/Inggris'
+};
+
+// Kata fungsi yang paling sering muncul dan hampir tidak pernah dipakai di bahasa lainnya
+const STOPWORDS = {
+  id: new Set([
+    'yang', 'dan', 'di', 'ke', 'dari', 'ini', 'itu', 'dengan', 'untuk', 'pada', 'adalah', 'dalam',
+    'tidak', 'akan', 'atau', 'juga', 'oleh', 'sebagai', 'dapat', 'karena', 'bahwa', 'tersebut', 'ada',
+    'kita', 'kami', 'mereka', 'jika', 'maka', 'sehingga', 'telah', 'sudah', 'belum', 'bisa', 'lebih',
+    'seperti', 'antara', 'setiap', 'hanya', 'bagaimana', 'apa', 'mengapa', 'kapan', 'dimana', 'agar',
+    'secara', 'yaitu', 'namun', 'tetapi', 'serta', 'para', 'saat', 'kepada', 'terhadap', 'hal'
+  ]),
+  en: new Set([
+    'the', 'and', 'of', 'to', 'in', 'is', 'that', 'for', 'with', 'as', 'on', 'are', 'by', 'this',
+    'be', 'it', 'from', 'or', 'an', 'which', 'we', 'can', 'not', 'at', 'was', 'were', 'has', 'have',
+    'its', 'their', 'these', 'those', 'then', 'than', 'when', 'where', 'what', 'how', 'why', 'there',
+    'such', 'also', 'but', 'if', 'into', 'between', 'each', 'only', 'would', 'should', 'been', 'about'
+  ])
+};
+
+// Minimal jumlah stopword yang dikenali agar hasil deteksi dapat dipercaya
+const MIN_STOPWORDS = 5;
+
+// Bahasa dengan porsi stopword di bawah ambang ini dianggap campuran
+const DOMINANT_SHARE = 0.75;
+
+const tokenize = (text) => (text || '').toLowerCase().match(/[a-z]+/g) || [];
+
+/**
+ * Deteksi bahasa sebuah teks (dokumen, chunk, atau pertanyaan)
+ * @param {string} text - Teks yang akan diperiksa
+ * @param {Object} options - Opsi deteksi
+ * @param {number} options.minStopwords - Minimal stopword yang harus ditemukan (default 5; pakai 1 untuk teks pendek seperti pertanyaan)
+ * @returns {{language: 'id'|'en'|'mixed'|null, confidence: number}} - Kode bahasa dan porsi stopword bahasa tersebut (0-1); language null jika teks terlalu pendek
+ */
+export const detectLanguage = (text, { minStopwords = MIN_STOPWORDS } = {}) => {
+  let indonesian = 0;
+  let english = 0;
+
+  tokenize(text).forEach(word => {
+    if (STOPWORDS.id.has(word)) indonesian++;
+    if (STOPWORDS.en.has(word)) english++;
+  });
+
+  const total = indonesian + english;
+  if (total < minStopwords) {
+    return { language: null, confidence: 0 };
+  }
+
+  const share = Math.max(indonesian, english) / total;
+  const dominant = indonesian >= english ? 'id' : 'en';
+
+  return {
+    language: share >= DOMINANT_SHARE ? dominant : 'mixed',
+    confidence: Math.round(share * 100) / 100
+  };
+};
+
+/**
+ * Deteksi bahasa sebuah dokumen per paragraf, sehingga dokumen dwibahasa (misalnya abstrak
+ * berbahasa Inggris di skripsi berbahasa Indonesia) tetap terlihat proporsinya
+ * @param {string} text - Teks lengkap dokumen
+ * @returns {{primary: 'id'|'en'|'mixed', distribution: Object<string, number>}|null} - Bahasa utama dan porsi paragraf per bahasa, atau null jika bahasa tidak dapat ditentukan
+ */
+export const detectDocumentLanguage = (text) => {
+  const detected = (text || '')
+    .split(/\n\s*\n/)
+    .map(paragraph => detectLanguage(paragraph).language)
+    .filter(Boolean);
+  if (detected.length === 0) return null;
+
+  const counts = {};
+  detected.forEach(language => {
+    counts[language] = (counts[language] || 0) + 1;
+  });
+
+  const distribution = Object.fromEntries(
+    Object.entries(counts).map(([language, count]) => [language, Math.round((count / detected.length) * 100) / 100])
+  );
+  const [topLanguage, topShare] = Object.entries(distribution).sort((a, b) => b[1] - a[1])[0];
+
+  return {
+    primary: topShare >= DOMINANT_SHARE ? topLanguage : 'mixed',
+    distribution
+  };
+};
+
+/**
+ * Ambil stopword untuk sebuah bahasa. Untuk bahasa campuran atau tidak dikenal, stopword
+ * kedua bahasa digabung
+ * @param {string|null} language - Kode bahasa
+ * @returns {Set<string>} - Daftar stopword
+ */
+export const getStopwords = (language) =>
+  STOPWORDS[language] || new Set([...STOPWORDS.id, ...STOPWORDS.en]);
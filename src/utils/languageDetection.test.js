@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { detectLanguage, detectDocumentLanguage } from './languageDetection';
+
+const INDONESIAN = 'Penelitian ini adalah studi yang dilakukan untuk melihat bahwa metode tersebut dapat digunakan dengan baik pada data yang ada.';
+const ENGLISH = 'This study is an analysis of the method that we use for the data, and it shows that the results are consistent with the model.';
+
+describe('detectLanguage', () => {
+  it('detects Indonesian and English text', () => {
+    expect(detectLanguage(INDONESIAN).language).toBe('id');
+    expect(detectLanguage(ENGLISH).language).toBe('en');
+  });
+
+  it('returns null for text that is too short', () => {
+    expect(detectLanguage('Halo').language).toBeNull();
+  });
+
+  it('accepts short questions with a lower threshold', () => {
+    expect(detectLanguage('apa itu gelombang', { minStopwords: 1 }).language).toBe('id');
+  });
+});
+
+describe('detectDocumentLanguage', () => {
+  it('reports the share of each language per paragraph', () => {
+    const result = detectDocumentLanguage([INDONESIAN, INDONESIAN, INDONESIAN, ENGLISH].join('\n\n'));
+
+    expect(result.primary).toBe('id');
+    expect(result.distribution.en).toBeGreaterThan(0);
+  });
+
+  it('returns null when no paragraph can be classified', () => {
+    expect(detectDocumentLanguage('123 456')).toBeNull();
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Utilitas rentang halaman untuk mengunggah sebagian halaman PDF, misalnya "1-20, 45-60".
+ * Rentang disimpan sebagai array pasangan [awal, akhir] (inklusif, mulai dari 1) yang sudah
+ * diurutkan dan digabung, dan dicatat di `metadata.pageRanges` dokumen
+ */
+
+/**
+ * Urutkan rentang dan gabungkan rentang yang tumpang tindih atau bersebelahan
+ * @param {Array<[number, number]>} ranges - Rentang halaman
+ * @returns {Array<[number, number]>} - Rentang yang sudah dinormalisasi
+ */
+export const normalizePageRanges = (ranges = []) =>
+  ranges
+    .map(([start, end]) => [Math.min(start, end), Math.max(start, end)])
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, [start, end]) => {
+      const last = merged[merged.length - 1];
+      if (last && start <= last[1] + 1) {
+        last[1] = Math.max(last[1], end);
+      } else {
+        merged.push([start, end]);
+      }
+      return merged;
+    }, []);
+
+/**
+ * Baca input rentang halaman dari pengguna, misalnya "1-20, 45-60, 100"
+ * @param {string} input - Teks rentang halaman; kosong berarti semua halaman
+ * @returns {Array<[number, number]>|null} - Rentang yang sudah dinormalisasi, atau null jika input kosong
+ * @throws {Error} - Jika ada bagian yang bukan nomor atau rentang halaman yang valid
+ */
+export const parsePageRanges = (input) => {
+  const parts = (input || '').split(/[,;]/).map(part => part.trim()).filter(Boolean);
+  if (parts.length === 0) return null;
+
+  return normalizePageRanges(parts.map(part => {
+    const match = part.match(/^(\d+)\s*(?:[-–]\s*(\d+))?$/);
+    const start = match ? Number(match[1]) : 0;
+    const end = match?.[2] ? Number(match[2]) : start;
+
+    if (start < 1 || end < 1) {
+      throw new Error(`Rentang halaman tidak valid: "${part}"`);
+    }
+    return [start, end];
+  }));
+};
+
+/**
+ * Batasi rentang ke jumlah halaman dokumen dan buang rentang yang seluruhnya di luar dokumen
+ * @param {Array<[number, number]>} ranges - Rentang halaman
+ * @param {number} pageCount - Jumlah halaman dokumen
+ * @returns {Array<[number, number]>} - Rentang di dalam dokumen
+ */
+export const clampPageRanges = (ranges, pageCount) =>
+  ranges
+    .filter(([start]) => start <= pageCount)
+    .map(([start, end]) => [start, Math.min(end, pageCount)]);
+
+/**
+ * Cek apakah sebuah halaman termasuk dalam rentang
+ * @param {number} page - Nomor halaman (mulai dari 1)
+ * @param {Array<[number, number]>|null} ranges - Rentang halaman; null berarti semua halaman
+ * @returns {boolean} - True jika halaman termasuk
+ */
+export const isPageInRanges = (page, ranges) =>
+  !ranges || ranges.some(([start, end]) => page >= start && page <= end);
+
+/**
+ * Hitung jumlah halaman dalam rentang
+ * @param {Array<[number, number]>} ranges - Rentang halaman
+ * @returns {number} - Jumlah halaman
+ */
+export const countPagesInRanges = (ranges = []) =>
+  ranges.reduce((total, [start, end]) => total + end - start + 1, 0);
+
+/**
+ * Baca satu rentang yang tersimpan di metadata. Selain pasangan [awal, akhir], dokumen lama
+ * menyimpan rentang sebagai objek {"0": awal, "1": akhir}, dan teks seperti "1-20" juga diterima
+ * @param {Array<number>|Object|string|number} range - Rentang tersimpan
+ * @returns {[number, number]|null} - Pasangan [awal, akhir], atau null jika tidak terbaca
+ */
+const toPageRange = (range) => {
+  let start;
+  let end;
+  if (Array.isArray(range)) {
+    [start, end = start] = range;
+  } else if (range && typeof range === 'object') {
+    start = range[0];
+    end = range[1] ?? start;
+  } else if (typeof range === 'string') {
+    const match = range.match(/^\s*(\d+)\s*(?:[-–]\s*(\d+))?\s*$/);
+    start = match ? match[1] : NaN;
+    end = match?.[2] ?? start;
+  } else {
+    start = range;
+    end = range;
+  }
+
+  start = Number(start);
+  end = Number(end);
+  return Number.isInteger(start) && Number.isInteger(end) && start >= 1 && end >= 1 ? [start, end] : null;
+};
+
+/**
+ * Rapikan rentang dari metadata dokumen menjadi array pasangan [awal, akhir]
+ * @param {*} ranges - Nilai metadata.pageRanges
+ * @returns {Array<[number, number]>} - Rentang yang sudah dinormalisasi; kosong jika tidak ada
+ */
+export const readStoredPageRanges = (ranges) =>
+  Array.isArray(ranges) ? normalizePageRanges(ranges.map(toPageRange).filter(Boolean)) : [];
+
+/**
+ * Format rentang untuk tampilan, misalnya "1-20, 45-60"
+ * @param {Array<[number, number]>} ranges - Rentang halaman; bentuk lama dari metadata juga diterima
+ * @returns {string} - Rentang dalam bentuk teks
+ */
+export const formatPageRanges = (ranges = []) =>
+  readStoredPageRanges(ranges).map(([start, end]) => (start === end ? `${start}` : `${start}-${end}`)).join(', ');
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parsePageRanges,
+  normalizePageRanges,
+  clampPageRanges,
+  isPageInRanges,
+  countPagesInRanges,
+  formatPageRanges
+} from './pageRanges';
+
+describe('parsePageRanges', () => {
+  it('parses ranges and single pages', () => {
+    expect(parsePageRanges('1-20, 45-60, 100')).toEqual([[1, 20], [45, 60], [100, 100]]);
+  });
+
+  it('swaps reversed ranges', () => {
+    expect(parsePageRanges('3-1')).toEqual([[1, 3]]);
+  });
+
+  it('merges overlapping and adjacent ranges', () => {
+    expect(parsePageRanges('5-10; 1-4, 8-12')).toEqual([[1, 12]]);
+  });
+
+  it('returns null for empty input', () => {
+    expect(parsePageRanges('')).toBeNull();
+    expect(parsePageRanges('  ')).toBeNull();
+  });
+
+  it('rejects page zero, open ranges and text', () => {
+    expect(() => parsePageRanges('0')).toThrow();
+    expect(() => parsePageRanges('1-')).toThrow();
+    expect(() => parsePageRanges('abc')).toThrow();
+  });
+});
+
+describe('page range helpers', () => {
+  it('normalizes unsorted ranges', () => {
+    expect(normalizePageRanges([[10, 12], [1, 2], [3, 3]])).toEqual([[1, 3], [10, 12]]);
+  });
+
+  it('clamps ranges to the document and drops ranges outside it', () => {
+    expect(clampPageRanges([[1, 5], [8, 20], [30, 40]], 10)).toEqual([[1, 5], [8, 10]]);
+  });
+
+  it('checks and counts pages in ranges', () => {
+    expect(isPageInRanges(4, [[1, 3], [5, 6]])).toBe(false);
+    expect(isPageInRanges(5, [[1, 3], [5, 6]])).toBe(true);
+    expect(isPageInRanges(99, null)).toBe(true);
+    expect(countPagesInRanges([[1, 3], [5, 6]])).toBe(5);
+  });
+});
+
+describe('formatPageRanges', () => {
+  it('formats pairs', () => {
+    expect(formatPageRanges([[1, 20], [45, 45]])).toBe('1-20, 45');
+  });
+
+  it('reads ranges stored as objects or strings by older versions', () => {
+    expect(formatPageRanges([{ 0: 1, 1: 20 }, { 0: 45, 1: 60 }])).toBe('1-20, 45-60');
+    expect(formatPageRanges(['1-20', '45'])).toBe('1-20, 45');
+  });
+
+  it('ignores missing or invalid values', () => {
+    expect(formatPageRanges(undefined)).toBe('');
+    expect(formatPageRanges(null)).toBe('');
+    expect(formatPageRanges(['x'])).toBe('');
+  });
+});
@@ -0,0 +1,383 @@
+/**
+ * Utilitas analisis tata letak halaman PDF berdasarkan posisi item teks pdf.js
+ * Digunakan untuk membaca halaman dua kolom dengan urutan yang benar, menyusun
+ * baris teks, dan merekonstruksi tabel menjadi tabel Markdown
+ */
+
+// Selisih Y maksimum agar dua item dianggap berada di baris yang sama
+const LINE_Y_TOLERANCE = 5;
+
+// Jarak horizontal (kelipatan ukuran font) yang memisahkan dua sel tabel
+const CELL_GAP_FACTOR = 1.2;
+
+// Toleransi posisi X saat mencocokkan sel dengan kolom tabel
+const COLUMN_X_TOLERANCE = 8;
+
+// Tabel minimal memiliki sejumlah baris ini
+const MIN_TABLE_ROWS = 3;
+
+// Sel tabel biasanya pendek; baris dengan sel panjang lebih mirip paragraf
+const MAX_AVERAGE_CELL_LENGTH = 40;
+
+// Celah antar kolom dicari di bagian tengah halaman (proporsi dari lebar halaman)
+const GUTTER_SEARCH_START = 0.3;
+const GUTTER_SEARCH_END = 0.7;
+
+// Proporsi maksimum baris yang boleh melintasi celah kolom (judul, abstrak, caption lebar)
+const MAX_GUTTER_CROSSING_RATIO = 0.2;
+
+// Proporsi minimum baris yang memiliki teks di masing-masing sisi celah
+const MIN_COLUMN_ROW_RATIO = 0.3;
+
+// Halaman dengan baris lebih sedikit dari ini tidak dianalisis kolomnya
+const MIN_ROWS_FOR_COLUMNS = 6;
+
+// Rata-rata panjang baris (karakter) minimum di tiap kolom, agar tabel
+// dengan celah di tengah halaman tidak dianggap sebagai tata letak dua kolom
+const MIN_COLUMN_LINE_LENGTH = 30;
+
+/**
+ * Perkirakan ukuran font sebuah item teks
+ * @param {Object} item - Item teks pdf.js
+ * @returns {number} - Ukuran font dalam satuan PDF
+ */
+const getFontSize = (item) => {
+  return Math.abs(item.transform[3]) || item.height || 10;
+};
+
+/**
+ * Kelompokkan item teks menjadi baris visual berdasarkan koordinat Y, dari atas ke bawah
+ * @param {Array<Object>} items - Item teks pdf.js yang tidak kosong
+ * @returns {Array<Array<Object>>} - Item per baris, masing-masing urut dari kiri ke kanan
+ */
+const groupItemsByRow = (items) => {
+  const sorted = [...items].sort((a, b) => b.transform[5] - a.transform[5]);
+  const rows = [];
+  let currentY = null;
+
+  sorted.forEach((item) => {
+    const y = item.transform[5];
+    if (currentY === null || Math.abs(currentY - y) > LINE_Y_TOLERANCE) {
+      rows.push([]);
+      currentY = y;
+    }
+    rows[rows.length - 1].push(item);
+  });
+
+  return rows.map(row => row.sort((a, b) => a.transform[4] - b.transform[4]));
+};
+
+/**
+ * Cek apakah sebuah item teks melintasi posisi X tertentu
+ * @param {Object} item - Item teks pdf.js
+ * @param {number} x - Posisi X
+ * @returns {boolean} - True jika item melintasi X
+ */
+const crossesX = (item, x) => item.transform[4] < x && item.transform[4] + (item.width || 0) > x;
+
+/**
+ * Cari celah vertikal di antara dua kolom teks.
+ * Celah adalah posisi X di tengah halaman yang hampir tidak pernah dilintasi baris,
+ * sementara kedua sisinya sama-sama berisi teks
+ * @param {Array<Array<Object>>} rows - Baris dari groupItemsByRow
+ * @param {number} pageWidth - Lebar halaman
+ * @returns {number|null} - Posisi X celah, atau null jika halaman hanya satu kolom
+ */
+const findColumnGutter = (rows, pageWidth) => {
+  if (!pageWidth || rows.length < MIN_ROWS_FOR_COLUMNS) return null;
+
+  let best = null;
+
+  for (let x = pageWidth * GUTTER_SEARCH_START; x <= pageWidth * GUTTER_SEARCH_END; x += 2) {
+    let crossing = 0;
+    let leftRows = 0;
+    let rightRows = 0;
+
+    rows.forEach((row) => {
+      if (row.some(item => crossesX(item, x))) {
+        crossing++;
+        return;
+      }
+      if (row.some(item => item.transform[4] + (item.width || 0) <= x)) leftRows++;
+      if (row.some(item => item.transform[4] >= x)) rightRows++;
+    });
+
+    const crossingRatio = crossing / rows.length;
+    if (crossingRatio > MAX_GUTTER_CROSSING_RATIO ||
+        leftRows / rows.length < MIN_COLUMN_ROW_RATIO ||
+        rightRows / rows.length < MIN_COLUMN_ROW_RATIO) {
+      continue;
+    }
+
+    const distanceFromCenter = Math.abs(x - pageWidth / 2);
+    if (!best || crossingRatio < best.crossingRatio ||
+        (crossingRatio === best.crossingRatio && distanceFromCenter < best.distanceFromCenter)) {
+      best = { x, crossingRatio, distanceFromCenter };
+    }
+  }
+
+  return best ? best.x : null;
+};
+
+/**
+ * Cek apakah kedua sisi celah berisi baris teks panjang seperti kolom tulisan,
+ * bukan sel-sel pendek seperti tabel
+ * @param {Array<Array<Object>>} rows - Baris dari groupItemsByRow
+ * @param {number} gutter - Posisi X celah
+ * @returns {boolean} - True jika kedua sisi tampak seperti kolom teks
+ */
+const hasTextColumns = (rows, gutter) => {
+  const averageLength = (side) => {
+    const lengths = rows
+      .filter(row => !row.some(item => crossesX(item, gutter)))
+      .map(row => row.filter(side).reduce((total, item) => total + item.str.length, 0))
+      .filter(length => length > 0);
+
+    return lengths.length > 0 ? lengths.reduce((a, b) => a + b, 0) / lengths.length : 0;
+  };
+
+  return averageLength(item => item.transform[4] < gutter) >= MIN_COLUMN_LINE_LENGTH &&
+    averageLength(item => item.transform[4] >= gutter) >= MIN_COLUMN_LINE_LENGTH;
+};
+
+/**
+ * Pecah item teks halaman menjadi blok sesuai urutan baca agar halaman dua kolom terbaca per kolom.
+ * Baris yang melintasi celah (judul, abstrak, gambar lebar) memisahkan halaman
+ * menjadi beberapa bagian; di setiap bagian kolom kiri dibaca lebih dulu baru kolom kanan.
+ * Halaman satu kolom dikembalikan sebagai satu blok dengan urutan aslinya
+ * @param {Array<Object>} items - textContent.items dari pdf.js
+ * @param {number} pageWidth - Lebar halaman (viewport skala 1)
+ * @returns {Array<Array<Object>>} - Blok item teks sesuai urutan baca
+ */
+export const splitItemsIntoColumns = (items, pageWidth) => {
+  const rows = groupItemsByRow(items.filter(item => item.str && item.str.trim()));
+  const gutter = findColumnGutter(rows, pageWidth);
+
+  if (gutter === null || !hasTextColumns(rows, gutter)) {
+    return [items];
+  }
+
+  const blocks = [];
+  let leftColumn = [];
+  let rightColumn = [];
+
+  const flushColumns = () => {
+    [leftColumn, rightColumn]
+      .filter(column => column.length > 0)
+      .forEach(column => blocks.push(column));
+    leftColumn = [];
+    rightColumn = [];
+  };
+
+  rows.forEach((row) => {
+    if (row.some(item => crossesX(item, gutter))) {
+      flushColumns();
+      blocks.push(row);
+      return;
+    }
+
+    row.forEach((item) => {
+      if (item.transform[4] < gutter) {
+        leftColumn.push(item);
+      } else {
+        rightColumn.push(item);
+      }
+    });
+  });
+
+  flushColumns();
+  return blocks;
+};
+
+/**
+ * Kelompokkan item teks pdf.js menjadi baris berdasarkan koordinat Y,
+ * lalu pecah setiap baris menjadi sel berdasarkan jarak horizontal antar item
+ * @param {Array<Object>} items - textContent.items dari pdf.js
+ * @returns {Array<{y: number, cells: Array<{text: string, left: number, right: number}>}>} - Baris teks sesuai urutan di halaman
+ */
+export const groupTextItemsIntoLines = (items) => {
+  const lines = [];
+  let current = null;
+
+  items.forEach((item) => {
+    if (!item.str || !item.str.trim()) return;
+
+    const y = item.transform[5];
+    if (!current || Math.abs(current.y - y) > LINE_Y_TOLERANCE) {
+      current = { y, items: [] };
+      lines.push(current);
+    }
+    current.items.push(item);
+  });
+
+  return lines.map(({ y, items: lineItems }) => {
+    const sorted = [...lineItems].sort((a, b) => a.transform[4] - b.transform[4]);
+    const cells = [];
+
+    sorted.forEach((item) => {
+      const left = item.transform[4];
+      const right = left + (item.width || 0);
+      const lastCell = cells[cells.length - 1];
+
+      if (lastCell && left - lastCell.right <= getFontSize(item) * CELL_GAP_FACTOR) {
+        lastCell.parts.push(item.str);
+        lastCell.right = Math.max(lastCell.right, right);
+      } else {
+        cells.push({ parts: [item.str], left, right });
+      }
+    });
+
+    return {
+      y,
+      cells: cells.map(cell => ({
+        text: cell.parts.join(' ').replace(/\s+/g, ' ').trim(),
+        left: cell.left,
+        right: cell.right
+      }))
+    };
+  });
+};
+
+/**
+ * Gabungkan sel-sel sebuah baris menjadi teks biasa
+ * @param {Object} line - Baris dari groupTextItemsIntoLines
+ * @returns {string} - Teks baris
+ */
+export const getLineText = (line) => line.cells.map(cell => cell.text).join(' ');
+
+/**
+ * Cek apakah sebuah sel sejajar dengan kolom (rata kiri, kanan, atau tengah)
+ * @param {Object} cell - Sel teks
+ * @param {Object} column - Kolom dengan batas left dan right
+ * @returns {boolean} - True jika sel sejajar dengan kolom
+ */
+const isAlignedWithColumn = (cell, column) => {
+  const cellCenter = (cell.left + cell.right) / 2;
+  const columnCenter = (column.left + column.right) / 2;
+
+  return Math.abs(cell.left - column.left) <= COLUMN_X_TOLERANCE ||
+    Math.abs(cell.right - column.right) <= COLUMN_X_TOLERANCE ||
+    Math.abs(cellCenter - columnCenter) <= COLUMN_X_TOLERANCE;
+};
+
+/**
+ * Cocokkan sel-sel sebuah baris dengan kolom tabel yang sudah dikenali.
+ * Baris diterima jika minimal setengah selnya (dan minimal dua) sejajar dengan kolom
+ * @param {Object} line - Baris teks
+ * @param {Array<Object>} columns - Kolom tabel saat ini (akan diperbarui)
+ * @returns {boolean} - True jika baris termasuk dalam tabel
+ */
+const matchLineToColumns = (line, columns) => {
+  const matches = line.cells.map(cell => ({
+    cell,
+    column: columns.find(col => isAlignedWithColumn(cell, col))
+  }));
+  const matched = matches.filter(match => match.column).length;
+
+  if (matched < 2 || matched < line.cells.length / 2) {
+    return false;
+  }
+
+  matches.forEach(({ cell, column }) => {
+    if (column) {
+      column.left = Math.min(column.left, cell.left);
+      column.right = Math.max(column.right, cell.right);
+    } else {
+      columns.push({ left: cell.left, right: cell.right });
+    }
+  });
+  return true;
+};
+
+/**
+ * Ubah sekumpulan baris yang sejajar menjadi tabel Markdown (GFM)
+ * @param {Array<Object>} rows - Baris-baris tabel
+ * @param {Array<Object>} columns - Kolom tabel
+ * @returns {string} - Tabel dalam format Markdown
+ */
+const renderMarkdownTable = (rows, columns) => {
+  const sortedColumns = [...columns].sort((a, b) => a.left - b.left);
+
+  const grid = rows.map((row) => {
+    const values = new Array(sortedColumns.length).fill('');
+
+    row.cells.forEach((cell) => {
+      // Pilih kolom yang paling banyak beririsan dengan sel, atau yang terdekat
+      let bestIndex = 0;
+      let bestScore = -Infinity;
+
+      sortedColumns.forEach((column, index) => {
+        const overlap = Math.min(cell.right, column.right) - Math.max(cell.left, column.left);
+        const distance = Math.abs((cell.left + cell.right) / 2 - (column.left + column.right) / 2);
+        const score = overlap > 0 ? overlap : -distance;
+        if (score > bestScore) {
+          bestScore = score;
+          bestIndex = index;
+        }
+      });
+
+      values[bestIndex] = values[bestIndex] ? `${values[bestIndex]} ${cell.text}` : cell.text;
+    });
+
+    return values.map(value => value.replace(/\|/g, '\\|'));
+  });
+
+  const formatRow = (values) => `| ${values.join(' | ')} |`;
+
+  return [
+    formatRow(grid[0]),
+    formatRow(new Array(sortedColumns.length).fill('---')),
+    ...grid.slice(1).map(formatRow)
+  ].join('\n');
+};
+
+/**
+ * Cek apakah sekumpulan baris cukup meyakinkan untuk dianggap tabel
+ * @param {Array<Object>} rows - Baris kandidat
+ * @returns {boolean} - True jika baris-baris tersebut membentuk tabel
+ */
+const looksLikeTable = (rows) => {
+  if (rows.length < MIN_TABLE_ROWS) return false;
+
+  const cells = rows.flatMap(row => row.cells);
+  const averageLength = cells.reduce((total, cell) => total + cell.text.length, 0) / cells.length;
+
+  return averageLength <= MAX_AVERAGE_CELL_LENGTH;
+};
+
+/**
+ * Kelompokkan baris halaman menjadi blok teks biasa dan blok tabel.
+ * Tabel dikenali dari baris berurutan yang memiliki beberapa sel dengan posisi kolom yang sejajar
+ * @param {Array<Object>} lines - Baris dari groupTextItemsIntoLines
+ * @returns {Array<{type: string, line?: Object, markdown?: string}>} - Blok "line" atau "table" sesuai urutan
+ */
+export const detectTableBlocks = (lines) => {
+  const blocks = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index];
+
+    if (line.cells.length >= 2) {
+      const columns = line.cells.map(cell => ({ left: cell.left, right: cell.right }));
+      const rows = [line];
+      let next = index + 1;
+
+      while (next < lines.length && lines[next].cells.length >= 2 && matchLineToColumns(lines[next], columns)) {
+        rows.push(lines[next]);
+        next++;
+      }
+
+      if (looksLikeTable(rows)) {
+        blocks.push({ type: 'table', markdown: renderMarkdownTable(rows, columns) });
+        index = next;
+        continue;
+      }
+    }
+
+    blocks.push({ type: 'line', line });
+    index++;
+  }
+
+  return blocks;
+};
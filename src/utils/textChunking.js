@@ -0,0 +1,440 @@
+/**
+ * Utilitas pemotongan teks menjadi chunk untuk RAG
+ * Blok tertentu (tabel Markdown dan persamaan display) tidak boleh terpotong agar
+ * pertanyaan tentang isi tabel atau persamaan tetap dapat dijawab dari satu chunk
+ */
+
+import { RecursiveCharacterTextSplitter } from 'langchain/text_splitter';
+import { findSectionMarkers, getChunkLocations } from './documentStructure';
+import { findReferenceList } from './bibliography';
+import { detectLanguage } from './languageDetection';
+import { findFigureReferences } from './figureCaptions';
+
+/**
+ * Strategi chunking yang dapat dipilih per dokumen: potongan berukuran tetap, atau
+ * mengikuti hierarki heading/bagian dokumen
+ */
+export const CHUNKING_STRATEGIES = {
+  fixed: 'Ukuran tetap',
+  structure: 'Ikuti struktur dokumen'
+};
+
+export const DEFAULT_CHUNKING_STRATEGY = 'fixed';
+
+// Pemisah text splitter: penanda halaman, bab, slide, bagian, dan sheet lebih dulu, lalu paragraf,
+// baris, kalimat, kata, dan terakhir karakter
+const CHUNK_SEPARATORS = [
+  '\n## Page', '\n## Chapter', '\n## Slide', '\n## Section', '\n## Sheet', '\n## Rows',
+  '\n\n', '\n', '. ', ' ', ''
+];
+
+// Batas ukuran bagian pada strategi struktur, relatif terhadap ukuran chunk text splitter:
+// bagian yang lebih panjang dipotong lagi, bagian yang lebih pendek digabung dengan bagian di sebelahnya
+const MAX_SECTION_CHUNK_FACTOR = 2;
+const MIN_SECTION_CHUNK_FACTOR = 0.25;
+
+// Heading Markdown dari DOCX, HTML, dan Markdown
+const MARKDOWN_HEADING_REGEX = /^(#{1,6})[ \t]+\S[^\n]*$/gm;
+
+// Heading bernomor pada PDF tanpa outline: "2.3 Wave Equation", "II. METHODS", "BAB III METODE PENELITIAN".
+// Baris panjang atau yang diakhiri tanda baca adalah kalimat atau butir daftar, bukan heading
+const NUMBERED_HEADING_REGEX = /^(?:(?:BAB|Bab|CHAPTER|Chapter)[ \t]+(?:[IVXLC]+|\d{1,2})\b|((?:\d{1,2}\.)*\d{1,2})\.?[ \t]+(?=[A-Z])|[IVX]{1,5}\.[ \t]+(?=[A-Z]))[^\n]{0,80}$/gm;
+const MAX_HEADING_WORDS = 12;
+
+// Tabel Markdown: baris header, baris pemisah (| --- |), lalu baris-baris isi
+const MARKDOWN_TABLE_REGEX = /^\|[^\n]*\|[ \t]*\n\|(?:[ \t]*:?-{3,}:?[ \t]*\|)+[ \t]*(?:\n\|[^\n]*\|[ \t]*)*/gm;
+
+// Tabel yang lebih panjang dari ini dipecah per kelompok baris dengan header diulang,
+// supaya satu chunk tetap muat untuk model embedding
+const MAX_TABLE_CHUNK_LENGTH = 6000;
+
+// Persamaan display yang tidak boleh terbelah: lingkungan LaTeX (equation, align, gather, multline,
+// eqnarray, dan versi bertanda bintang), $$...$$, dan \[...\]
+const DISPLAY_MATH_REGEX = /\\begin\{(equation|align|gather|multline|eqnarray)(\*?)\}[\s\S]*?\\end\{\1\2\}|\$\$[\s\S]+?\$\$|\\\[[\s\S]+?\\\]/g;
+
+// Matematika inline: \(...\) dan $...$ dalam satu baris; "$5 dan $10" tidak dihitung karena ada spasi di dalam tanda $
+const INLINE_MATH_REGEX = /\\\([\s\S]+?\\\)|\$(?!\s)[^$\n]+?(?<!\s)\$/g;
+
+// Batas akhir kalimat, paragraf, atau baris heading/penanda; kalimat pengantar persamaan dimulai sesudahnya
+const SENTENCE_BOUNDARY_REGEX = /[.!?]\s+|\n[ \t]*\n\s*|^#{1,6} [^\n]*\n\s*/gm;
+
+// Kalimat pengantar yang lebih panjang dari ini tidak ikut disatukan dengan persamaannya
+const MAX_EQUATION_LEAD_IN_LENGTH = 200;
+
+// Header dokumen hasil ekstraksi, misalnya "# data.xlsx\nSheets: 2"
+const DOCUMENT_HEADER_REGEX = /^\s*# [^\n]*\n[A-Z][a-z]+: \d+\n/;
+
+// Penanda sheet dan kelompok baris spreadsheet (lihat spreadsheetService)
+const SPREADSHEET_MARKER_REGEX = /## (?:Sheet \d+(?::[^\n]*)?|Rows \d+-\d+)/g;
+
+// Penanda pengganti persamaan selama pemotongan; karakter private use tidak muncul di teks dokumen
+const MATH_PLACEHOLDER_REGEX = /\uE000(\d+)\uE001/g;
+
+/**
+ * Pecah tabel yang terlalu panjang menjadi beberapa tabel dengan header yang sama
+ * @param {string} table - Tabel Markdown
+ * @returns {Array<string>} - Satu atau beberapa tabel Markdown
+ */
+const splitOversizedTable = (table) => {
+  if (table.length <= MAX_TABLE_CHUNK_LENGTH) {
+    return [table];
+  }
+
+  const [header, separator, ...rows] = table.split('\n');
+  const prefix = `${header}\n${separator}`;
+  const parts = [];
+  let current = [];
+  let currentLength = prefix.length;
+
+  rows.forEach((row) => {
+    if (current.length > 0 && currentLength + row.length + 1 > MAX_TABLE_CHUNK_LENGTH) {
+      parts.push(`${prefix}\n${current.join('\n')}`);
+      current = [];
+      currentLength = prefix.length;
+    }
+    current.push(row);
+    currentLength += row.length + 1;
+  });
+
+  if (current.length > 0) {
+    parts.push(`${prefix}\n${current.join('\n')}`);
+  }
+
+  return parts;
+};
+
+/**
+ * Cek apakah segmen di antara tabel hanya berisi header dokumen dan penanda spreadsheet.
+ * Segmen seperti ini tidak dijadikan chunk; lokasi tabel sesudahnya tetap terbaca dari penanda tersebut
+ * @param {string} segment - Teks di antara tabel
+ * @param {boolean} atStart - True jika segmen berada di awal dokumen (tempat header dokumen)
+ * @returns {boolean} - True jika segmen tidak memiliki isi
+ */
+const isMarkerOnlySegment = (segment, atStart) =>
+  !(atStart ? segment.replace(DOCUMENT_HEADER_REGEX, '') : segment).replace(SPREADSHEET_MARKER_REGEX, '').trim();
+
+/**
+ * Hitung persamaan dalam teks; setiap persamaan display atau ekspresi inline dihitung satu kali
+ * @param {string} text - Teks chunk atau dokumen
+ * @returns {number} - Jumlah persamaan
+ */
+export const countEquations = (text) => {
+  const displayCount = (text.match(DISPLAY_MATH_REGEX) || []).length;
+  const inlineCount = (text.replace(DISPLAY_MATH_REGEX, ' ').match(INLINE_MATH_REGEX) || []).length;
+  return displayCount + inlineCount;
+};
+
+/**
+ * Cari awal kalimat pendek yang mengantar persamaan, misalnya "Persamaan gelombang dituliskan sebagai"
+ * @param {string} segment - Teks yang sedang dipotong
+ * @param {number} from - Posisi paling awal yang boleh diambil (akhir persamaan sebelumnya)
+ * @param {number} equationStart - Posisi awal persamaan
+ * @returns {number} - Awal kalimat pengantar, atau equationStart jika tidak ada kalimat yang cukup pendek
+ */
+const findEquationLeadIn = (segment, from, equationStart) => {
+  const before = segment.slice(from, equationStart).replace(/\s+$/, '');
+  // Tanda baca di akhir kalimat pengantar ("... sebagai berikut.") bukan batas kalimat sebelumnya
+  const body = before.replace(/[.!?]$/, '');
+
+  let sentenceStart = 0;
+  for (const match of body.matchAll(SENTENCE_BOUNDARY_REGEX)) {
+    sentenceStart = match.index + match[0].length;
+  }
+
+  const leadIn = before.slice(sentenceStart);
+  if (!leadIn.trim() || leadIn.length > MAX_EQUATION_LEAD_IN_LENGTH) {
+    return equationStart;
+  }
+
+  return from + sentenceStart;
+};
+
+/**
+ * Potong teks dengan text splitter tanpa memotong persamaan display. Setiap persamaan, bersama
+ * kalimat pendek yang mengantarnya, diganti penanda pendek tanpa spasi selama pemotongan lalu
+ * dikembalikan, sehingga model tidak pernah melihat setengah rumus atau rumus tanpa konteks
+ * @param {Object} textSplitter - Instance text splitter
+ * @param {string} segment - Teks yang akan dipotong
+ * @returns {Promise<Array<string>>} - Isi setiap chunk
+ */
+const splitTextKeepingEquations = async (textSplitter, segment) => {
+  const units = [];
+  let masked = '';
+  let lastIndex = 0;
+
+  for (const match of segment.matchAll(DISPLAY_MATH_REGEX)) {
+    const unitStart = findEquationLeadIn(segment, lastIndex, match.index);
+    const unitEnd = match.index + match[0].length;
+    masked += `${segment.slice(lastIndex, unitStart)}\uE000${units.push(segment.slice(unitStart, unitEnd)) - 1}\uE001`;
+    lastIndex = unitEnd;
+  }
+
+  if (units.length === 0) {
+    return textSplitter.splitText(segment);
+  }
+
+  masked += segment.slice(lastIndex);
+  const chunks = await textSplitter.splitText(masked);
+  return chunks.map(chunk => chunk.replace(MATH_PLACEHOLDER_REGEX, (_, index) => units[Number(index)]));
+};
+
+/**
+ * Potong satu bagian teks menjadi chunk dengan tabel Markdown sebagai chunk utuh
+ * @param {Object} textSplitter - Instance text splitter
+ * @param {string} text - Bagian teks dokumen
+ * @param {boolean} atDocumentStart - True jika bagian ini adalah awal dokumen
+ * @returns {Promise<Array<string>>} - Isi setiap chunk
+ */
+const splitPart = async (textSplitter, text, atDocumentStart) => {
+  const chunks = [];
+  let lastIndex = 0;
+
+  const pushText = async (segment, atStart) => {
+    if (!isMarkerOnlySegment(segment, atStart)) {
+      chunks.push(...await splitTextKeepingEquations(textSplitter, segment));
+    }
+  };
+
+  for (const match of text.matchAll(MARKDOWN_TABLE_REGEX)) {
+    await pushText(text.slice(lastIndex, match.index), atDocumentStart && lastIndex === 0);
+    chunks.push(...splitOversizedTable(match[0].trim()));
+    lastIndex = match.index + match[0].length;
+  }
+
+  await pushText(text.slice(lastIndex), atDocumentStart && lastIndex === 0);
+
+  return chunks;
+};
+
+/**
+ * Cari posisi judul bagian outline PDF di halamannya. Judul dicocokkan per kata agar
+ * perbedaan spasi dan huruf besar/kecil diabaikan; jika tidak ditemukan, bagian dimulai di awal halaman
+ * @param {string} text - Teks lengkap dokumen
+ * @param {Array<Object>} outline - Outline PDF dengan title dan page
+ * @returns {Array<number>} - Posisi awal setiap bagian
+ */
+const findOutlineBoundaries = (text, outline) => {
+  const pageMarkers = findSectionMarkers(text).filter(marker => marker.type === 'page');
+
+  return outline.flatMap((section) => {
+    const markerIndex = pageMarkers.findIndex(marker => marker.number === section.page);
+    if (markerIndex === -1) return [];
+
+    const pageStart = pageMarkers[markerIndex].end;
+    const pageEnd = pageMarkers[markerIndex + 1]?.offset ?? text.length;
+    const words = (section.title || '').split(/\s+/).filter(Boolean)
+      .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const match = words.length > 0
+      ? text.slice(pageStart, pageEnd).match(new RegExp(words.join('\\s+'), 'i'))
+      : null;
+
+    if (!match) {
+      return [pageMarkers[markerIndex].offset];
+    }
+
+    return [text.lastIndexOf('\n', pageStart + match.index) + 1];
+  });
+};
+
+/**
+ * Tentukan awal setiap bagian dokumen dari sumber struktur terbaik yang tersedia:
+ * outline PDF, lalu heading Markdown dan penanda Chapter/Slide/Section/Sheet, lalu heading bernomor
+ * @param {string} text - Teks lengkap dokumen
+ * @param {Array<Object>} outline - Outline PDF atau struktur \section LaTeX
+ * @returns {Array<number>} - Posisi awal bagian, terurut dan unik
+ */
+const findSectionBoundaries = (text, outline) => {
+  const hasPages = findSectionMarkers(text).some(marker => marker.type === 'page');
+  let boundaries = [];
+
+  // Outline LaTeX sudah diwakili penanda Section; outline PDF perlu dicari di halamannya
+  if (hasPages && Array.isArray(outline) && outline.length > 0) {
+    boundaries = findOutlineBoundaries(text, outline);
+  }
+
+  if (boundaries.length === 0) {
+    const headingMarkers = findSectionMarkers(text)
+      .filter(marker => ['chapter', 'slide', 'section', 'sheet'].includes(marker.type))
+      .map(marker => marker.offset);
+    // Penanda struktur ("## Page 3") dan header dokumen di baris pertama bukan heading isi
+    const markdownHeadings = Array.from(text.matchAll(MARKDOWN_HEADING_REGEX))
+      .filter(match => match.index > 0 && !/^## (?:Page|Chapter|Slide|Section|Sheet|Rows) \d/.test(match[0]))
+      .map(match => match.index);
+    boundaries = [...headingMarkers, ...markdownHeadings];
+  }
+
+  if (boundaries.length === 0) {
+    boundaries = Array.from(text.matchAll(NUMBERED_HEADING_REGEX))
+      .filter(match => !/[.,;:]$/.test(match[0].trim()) && match[0].trim().split(/\s+/).length <= MAX_HEADING_WORDS)
+      .map(match => match.index);
+  }
+
+  return [...new Set(boundaries)].sort((a, b) => a - b);
+};
+
+/**
+ * Potong satu bagian teks per bagian dokumen: bagian kecil digabung dengan bagian di sebelahnya
+ * dan bagian yang terlalu panjang dipotong lagi dengan text splitter
+ * @param {Object} textSplitter - Instance text splitter
+ * @param {string} text - Teks lengkap dokumen
+ * @param {number} start - Awal bagian teks yang dipotong
+ * @param {number} end - Akhir bagian teks yang dipotong
+ * @param {Array<number>} boundaries - Awal setiap bagian dokumen
+ * @returns {Promise<Array<string>>} - Isi setiap chunk
+ */
+const splitPartBySections = async (textSplitter, text, start, end, boundaries) => {
+  const chunkSize = textSplitter.chunkSize || 1000;
+  const maxLength = chunkSize * MAX_SECTION_CHUNK_FACTOR;
+  const minLength = chunkSize * MIN_SECTION_CHUNK_FACTOR;
+
+  const starts = [start, ...boundaries.filter(offset => offset > start && offset < end)];
+  const sections = starts.map((sectionStart, index) => ({ start: sectionStart, end: starts[index + 1] ?? end }));
+
+  // Gabungkan bagian yang terlalu kecil selama hasilnya tidak melebihi batas. Bagian kecil (misalnya
+  // heading tanpa isi) digabung ke bagian sesudahnya; hanya bagian kecil terakhir yang digabung ke sebelumnya
+  const isSmall = (range) => text.slice(range.start, range.end).trim().length < minLength;
+  const groups = [];
+  sections.forEach((section) => {
+    const current = groups[groups.length - 1];
+
+    if (current && isSmall(current) && section.end - current.start <= maxLength) {
+      current.end = section.end;
+    } else {
+      groups.push({ ...section });
+    }
+  });
+
+  const last = groups[groups.length - 1];
+  const previous = groups[groups.length - 2];
+  if (previous && isSmall(last) && last.end - previous.start <= maxLength) {
+    previous.end = last.end;
+    groups.pop();
+  }
+
+  const chunks = [];
+  for (const group of groups) {
+    const segment = text.slice(group.start, group.end);
+    if (segment.trim().length > maxLength) {
+      const sectionChunks = await splitPart(textSplitter, segment, group.start === 0);
+
+      // Heading yang terpisah dari isinya digabung ke chunk pertama bagian tersebut
+      if (sectionChunks.length > 1 && sectionChunks[0].length < minLength) {
+        const headingStart = segment.indexOf(sectionChunks[0]);
+        const nextStart = segment.indexOf(sectionChunks[1], headingStart + sectionChunks[0].length);
+        if (headingStart !== -1 && nextStart !== -1) {
+          sectionChunks.splice(0, 2, segment.slice(headingStart, nextStart + sectionChunks[1].length));
+        }
+      }
+
+      chunks.push(...sectionChunks);
+    } else if (!isMarkerOnlySegment(segment, group.start === 0)) {
+      chunks.push(segment.trim());
+    }
+  }
+
+  return chunks;
+};
+
+/**
+ * Potong teks per bagian dokumen mengikuti hierarki heading: outline PDF, heading Markdown,
+ * atau heading bernomor yang terdeteksi. Bagian yang terlalu panjang dipotong lagi seperti
+ * splitTextPreservingBlocks (tabel dan persamaan tetap utuh) dan bagian kecil digabung
+ * @param {Object} textSplitter - Instance text splitter; chunkSize-nya menentukan batas ukuran bagian
+ * @param {string} text - Teks lengkap dokumen
+ * @param {Object} options - Opsi tambahan
+ * @param {Array<Object>} options.outline - Outline PDF atau struktur \section LaTeX
+ * @param {{start: number, end: number}|null} options.excludeRange - Rentang yang tidak dijadikan chunk, misalnya daftar pustaka
+ * @returns {Promise<Array<string>>} - Isi setiap chunk sesuai urutan dalam dokumen
+ */
+export const splitTextBySections = async (textSplitter, text, { outline = [], excludeRange = null } = {}) => {
+  const boundaries = findSectionBoundaries(text, outline);
+  const parts = excludeRange
+    ? [[0, excludeRange.start], [excludeRange.end, text.length]]
+    : [[0, text.length]];
+
+  const chunks = [];
+  for (const [start, end] of parts) {
+    chunks.push(...await splitPartBySections(textSplitter, text, start, end, boundaries));
+  }
+
+  return chunks;
+};
+
+/**
+ * Potong teks menjadi chunk dengan text splitter LangChain, tetapi setiap tabel
+ * Markdown dijadikan satu chunk utuh alih-alih dipotong di tengah baris, dan persamaan
+ * display (lingkungan LaTeX, $$...$$, \[...\]) tidak pernah terbelah
+ * @param {Object} textSplitter - Instance text splitter (misalnya RecursiveCharacterTextSplitter)
+ * @param {string} text - Teks lengkap dokumen
+ * @param {Object} options - Opsi tambahan
+ * @param {{start: number, end: number}|null} options.excludeRange - Rentang yang tidak dijadikan chunk, misalnya daftar pustaka
+ * @returns {Promise<Array<string>>} - Isi setiap chunk sesuai urutan dalam dokumen
+ */
+export const splitTextPreservingBlocks = async (textSplitter, text, { excludeRange = null } = {}) => {
+  if (!excludeRange) {
+    return splitPart(textSplitter, text, true);
+  }
+
+  // Bagian sebelum dan sesudah rentang dipotong terpisah agar setiap chunk tetap ada utuh di teks asal
+  return [
+    ...await splitPart(textSplitter, text.slice(0, excludeRange.start), true),
+    ...await splitPart(textSplitter, text.slice(excludeRange.end), false)
+  ];
+};
+
+/**
+ * Potong teks dokumen menjadi chunk dan lengkapi setiap chunk dengan metadatanya: lokasi (halaman, bab,
+ * slide, atau baris sheet), bahasa, gambar yang disebut, dan jumlah persamaan. Daftar pustaka tidak
+ * dijadikan chunk karena entrinya disimpan terpisah sebagai referensi terstruktur
+ * @param {string} text - Teks lengkap dokumen
+ * @param {Object} options - Opsi chunking dan metadata dokumen
+ * @param {number} options.chunkSize - Ukuran chunk text splitter
+ * @param {number} options.chunkOverlap - Overlap antar chunk
+ * @param {string} options.chunkingStrategy - Kunci CHUNKING_STRATEGIES
+ * @param {Array<Object>} options.outline - Outline PDF atau struktur \section LaTeX
+ * @param {Array<string>} options.sheets - Nama sheet CSV/XLSX sesuai urutan penanda Sheet
+ * @param {Array<Object>} options.figures - Daftar gambar dokumen dengan nomornya
+ * @returns {Promise<Array<{content: string, location: Object}>>} - Isi setiap chunk beserta metadatanya
+ */
+export const chunkDocumentText = async (text, {
+  chunkSize = 1000,
+  chunkOverlap = 200,
+  chunkingStrategy = DEFAULT_CHUNKING_STRATEGY,
+  outline = [],
+  sheets = [],
+  figures = []
+} = {}) => {
+  const textSplitter = new RecursiveCharacterTextSplitter({
+    chunkSize,
+    chunkOverlap,
+    separators: CHUNK_SEPARATORS,
+    keepSeparator: true
+  });
+
+  const excludeRange = findReferenceList(text);
+  const chunks = chunkingStrategy === 'structure'
+    ? await splitTextBySections(textSplitter, text, { outline, excludeRange })
+    : await splitTextPreservingBlocks(textSplitter, text, { excludeRange });
+
+  const locations = getChunkLocations(text, chunks, { outline, sheets });
+  const figureNumbers = new Set((figures || []).map(figure => figure.number));
+
+  return chunks.map((content, index) => {
+    // Bahasa per chunk, agar abstrak berbahasa Inggris di skripsi berbahasa Indonesia tetap ditandai bahasa Inggris
+    const { language } = detectLanguage(content);
+    const chunkFigures = figureNumbers.size > 0
+      ? findFigureReferences(content).filter(number => figureNumbers.has(number))
+      : [];
+    const equationCount = countEquations(content);
+
+    return {
+      content,
+      location: {
+        ...locations[index],
+        ...(language ? { language } : {}),
+        ...(chunkFigures.length > 0 ? { figures: chunkFigures } : {}),
+        ...(equationCount > 0 ? { equationCount } : {})
+      }
+    };
+  });
+};
@@ -0,0 +1,132 @@
+import { describe, it, expect } from 'vitest';
+import { RecursiveCharacterTextSplitter } from 'langchain/text_splitter';
+import { splitTextPreservingBlocks, splitTextBySections, countEquations, chunkDocumentText } from './textChunking';
+
+const filler = (sentences) => 'Lorem ipsum dolor sit amet consectetur. '.repeat(sentences);
+const createSplitter = (chunkSize = 300) => new RecursiveCharacterTextSplitter({ chunkSize, chunkOverlap: 50 });
+
+describe('splitTextPreservingBlocks', () => {
+  it('keeps a Markdown table in one chunk', async () => {
+    const table = ['| Kota | Populasi |', '| --- | --- |', ...Array.from({ length: 20 }, (_, i) => `| Kota ${i} | ${i * 1000} |`)].join('\n');
+    const text = `# data.pdf\nPages: 1\n\n## Page 1\n\n${filler(10)}\n\n${table}\n\n${filler(10)}`;
+
+    const chunks = await splitTextPreservingBlocks(createSplitter(), text);
+
+    expect(chunks).toContain(table);
+    expect(chunks.every(chunk => text.includes(chunk))).toBe(true);
+  });
+
+  it('splits oversized tables by row groups with the header repeated', async () => {
+    const header = '| No | Keterangan |\n| --- | --- |';
+    const rows = Array.from({ length: 400 }, (_, i) => `| ${i} | ${'x'.repeat(20)} |`);
+    const chunks = await splitTextPreservingBlocks(createSplitter(), `${header}\n${rows.join('\n')}`);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(chunk => expect(chunk.startsWith(header)).toBe(true));
+  });
+
+  it('never splits display equations and keeps their lead-in sentence', async () => {
+    const equation = '$$\n\\frac{\\partial^2 u}{\\partial t^2} = c^2 \\frac{\\partial^2 u}{\\partial x^2}\n$$';
+    const align = '\\begin{align}\na &= b + c \\\\\nd &= e\n\\end{align}';
+    const text = `${filler(8)}\nThe wave equation is given by\n${equation}\nwhere $c$ is the speed. ${filler(8)}The system reads:\n${align}\n${filler(8)}`;
+
+    const chunks = await splitTextPreservingBlocks(createSplitter(200), text);
+
+    expect(chunks.some(chunk => chunk.includes(`The wave equation is given by\n${equation}`))).toBe(true);
+    expect(chunks.some(chunk => chunk.includes(`The system reads:\n${align}`))).toBe(true);
+    chunks.forEach((chunk) => {
+      expect((chunk.match(/\$\$/g) || []).length % 2).toBe(0);
+      expect((chunk.match(/\\begin\{align\}/g) || []).length).toBe((chunk.match(/\\end\{align\}/g) || []).length);
+    });
+  });
+
+  it('leaves the excluded range out of the chunks', async () => {
+    const body = filler(5);
+    const excluded = 'EXCLUDED REFERENCE LIST';
+    const text = `${body}\n\n${excluded}\n\n${body}`;
+    const start = text.indexOf(excluded);
+
+    const chunks = await splitTextPreservingBlocks(createSplitter(), text, { excludeRange: { start, end: start + excluded.length } });
+
+    expect(chunks.join('\n')).not.toContain(excluded);
+    expect(chunks.length).toBeGreaterThan(0);
+  });
+});
+
+describe('countEquations', () => {
+  it('counts every display or inline expression once', () => {
+    expect(countEquations('$$a = b$$ and \\[ c \\] with $x$ and \\(y\\)')).toBe(4);
+    expect(countEquations('\\begin{equation}\nE = mc^2\n\\end{equation}')).toBe(1);
+  });
+
+  it('does not count currency amounts', () => {
+    expect(countEquations('It costs $5 or $10.')).toBe(0);
+  });
+});
+
+describe('splitTextBySections', () => {
+  it('starts chunks at Markdown headings and merges tiny sections', async () => {
+    const text = `# notes.md\n\n## Pendahuluan\n\n${filler(6)}\n\n## Kosong\n\n## Metode\n\n${filler(6)}`;
+
+    const chunks = await splitTextBySections(createSplitter(), text);
+
+    // The document header is too small on its own and joins the first section
+    expect(chunks[0].startsWith('# notes.md\n\n## Pendahuluan')).toBe(true);
+    expect(chunks[0]).not.toContain('## Metode');
+    expect(chunks.some(chunk => chunk.startsWith('## Kosong\n\n## Metode'))).toBe(true);
+  });
+
+  it('detects numbered headings when there is no other structure', async () => {
+    const text = `1 Introduction\n${filler(6)}\n2.1 Wave Equation\n${filler(6)}`;
+
+    const chunks = await splitTextBySections(createSplitter(), text);
+
+    expect(chunks[0].startsWith('1 Introduction')).toBe(true);
+    expect(chunks.some(chunk => chunk.startsWith('2.1 Wave Equation'))).toBe(true);
+  });
+
+  it('follows the PDF outline on its pages', async () => {
+    const text = `# book.pdf\nPages: 2\n\n## Page 1\n\nChapter One\n${filler(6)}\n\n## Page 2\n\n${filler(2)}\nChapter Two\n${filler(6)}`;
+    const outline = [{ title: 'Chapter One', page: 1 }, { title: 'Chapter Two', page: 2 }];
+
+    const chunks = await splitTextBySections(createSplitter(), text, { outline });
+
+    expect(chunks.some(chunk => chunk.startsWith('Chapter Two'))).toBe(true);
+  });
+
+  it('splits sections larger than twice the chunk size', async () => {
+    const text = `## Panjang\n\n${filler(40)}`;
+
+    const chunks = await splitTextBySections(createSplitter(), text);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(chunk => expect(chunk.length).toBeLessThanOrEqual(600));
+  });
+});
+
+describe('chunkDocumentText', () => {
+  const references = [
+    '[1] J. Smith, "Deep learning for wave equations," IEEE Trans. Neural Netw., vol. 12, pp. 45-60, 2020.',
+    '[2] B. Santoso, "Analisis gelombang pada medium berlapis," in Proc. Seminar Nasional Fisika, 2019.',
+    '[3] C. Wang, "Numerical methods for PDEs," Journal of Computational Physics, vol. 5, 2018.'
+  ].join('\n');
+  const english = 'The wave equation describes how the displacement of a string changes over time and it is used in many fields of physics.';
+  const indonesian = 'Persamaan gelombang ini digunakan untuk menghitung perpindahan tali pada setiap titik dan juga dapat dipakai dalam bidang lain.';
+  const text = `# paper.pdf\nPages: 3\n\n## Page 1\n\n${english}\n\nAs shown in Figure 1, the solution satisfies $u(0) = 0$.\n\n## Page 2\n\n${indonesian}\n\n## Page 3\n\nReferences\n${references}`;
+
+  it('leaves out the reference list and adds location, language, figures and equations to each chunk', async () => {
+    const chunks = await chunkDocumentText(text, { chunkSize: 300, chunkOverlap: 0, figures: [{ number: '1', page: 1 }] });
+
+    expect(chunks.some(({ content }) => content.includes('Smith'))).toBe(false);
+    expect(chunks[0].location).toMatchObject({ page: 1, language: 'en', figures: ['1'], equationCount: 1 });
+    expect(chunks[chunks.length - 1].location).toMatchObject({ page: 2, language: 'id' });
+    chunks.forEach(({ content }) => expect(text.includes(content)).toBe(true));
+  });
+
+  it('splits at page markers before paragraphs', async () => {
+    const chunks = await chunkDocumentText(text, { chunkSize: 300, chunkOverlap: 0 });
+
+    expect(chunks).toHaveLength(2);
+    expect(chunks[1].content.startsWith('## Page 2')).toBe(true);
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Utilitas pembersihan teks hasil ekstraksi per halaman
+ * Menghapus header/footer berulang (judul buku, judul bab, nomor halaman)
+ * dan menyambung kembali kata yang terpotong tanda hubung di akhir baris
+ */
+
+// Jumlah baris teratas dan terbawah setiap halaman yang diperiksa sebagai header/footer
+const EDGE_LINE_COUNT = 2;
+
+// Baris dianggap header/footer jika muncul di tepi halaman pada minimal sejumlah halaman ini
+const MIN_REPEATED_PAGES = 3;
+
+// Header/footer biasanya pendek; baris yang lebih panjang tidak pernah dihapus
+const MAX_HEADER_LENGTH = 120;
+
+// Nomor halaman yang berdiri sendiri, misalnya "12", "- 12 -", "Page 3 of 10", "Halaman 4"
+const PAGE_NUMBER_REGEX = /^(?:(?:page|halaman|hal\.?)\s*)?[-–—]?\s*\d{1,4}\s*[-–—]?(?:\s*(?:of|dari|\/)\s*\d{1,4})?$/i;
+
+// Kata yang diakhiri tanda hubung di akhir baris dan dilanjutkan huruf kecil di baris berikutnya.
+// Kata sebelumnya ikut ditangkap beserta tanda hubung di dalamnya, misalnya "state-of-" pada "state-of-\nthe-art"
+const HYPHENATED_BREAK_REGEX = /([A-Za-zÀ-ÖØ-öø-ÿ-]*[A-Za-zÀ-ÖØ-öø-ÿ])-\n[ \t]*([a-zß-öø-ÿ][A-Za-zÀ-ÖØ-öø-ÿ]*)/g;
+
+// Pemenggalan suku kata menyisakan minimal 2 huruf sebelum dan 3 huruf sesudah tanda hubung
+// (batas bawaan TeX), jadi bagian yang lebih pendek menandakan kata majemuk seperti "e-learning"
+const MIN_PART_BEFORE_BREAK = 2;
+const MIN_PART_AFTER_BREAK = 3;
+
+// Awalan yang umumnya ditulis dengan tanda hubung ("well-known", "anti-inflamasi", "non-linear")
+const HYPHENATED_PREFIXES = new Set([
+  'anti', 'co', 'cross', 'ex', 'multi', 'non', 'post', 'pre', 'pseudo', 'quasi', 'self', 'semi', 'well'
+]);
+
+/**
+ * Normalisasi baris untuk membandingkan header/footer antar halaman.
+ * Angka diganti agar "Bab 3 · 45" dan "Bab 3 · 46" dianggap baris yang sama
+ * @param {string} line - Baris teks
+ * @returns {string} - Baris yang sudah dinormalisasi
+ */
+const normalizeEdgeLine = (line) => line.trim().toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ');
+
+/**
+ * Ambil indeks baris di tepi atas dan bawah sebuah halaman yang bisa menjadi header/footer.
+ * Baris tabel Markdown tidak pernah dianggap header/footer
+ * @param {Array<string>} lines - Baris-baris halaman
+ * @returns {Array<number>} - Indeks baris kandidat
+ */
+const getEdgeLineIndexes = (lines) => {
+  const contentIndexes = lines
+    .map((line, index) => ({ line: line.trim(), index }))
+    .filter(({ line }) => line && !line.startsWith('|') && line.length <= MAX_HEADER_LENGTH)
+    .map(({ index }) => index);
+
+  return [...new Set([
+    ...contentIndexes.slice(0, EDGE_LINE_COUNT),
+    ...contentIndexes.slice(-EDGE_LINE_COUNT)
+  ])];
+};
+
+/**
+ * Cek apakah tanda hubung di akhir baris adalah bagian dari kata majemuk atau kata ulang
+ * ("well-known", "e-learning", "gelombang-gelombang"), bukan pemenggalan suku kata
+ * @param {string} before - Kata sebelum tanda hubung, boleh berisi tanda hubung lain
+ * @param {string} after - Kata setelah tanda hubung
+ * @returns {boolean} - True jika tanda hubung harus dipertahankan
+ */
+const isHyphenatedWord = (before, after) => {
+  if (before.includes('-')) return true;
+
+  const lowerBefore = before.toLowerCase();
+  return before.length < MIN_PART_BEFORE_BREAK ||
+    after.length < MIN_PART_AFTER_BREAK ||
+    lowerBefore === after.toLowerCase() ||
+    HYPHENATED_PREFIXES.has(lowerBefore);
+};
+
+/**
+ * Bersihkan teks setiap halaman dari header/footer berulang dan tanda hubung di akhir baris
+ * @param {Array<string>} pageTexts - Teks setiap halaman sesuai urutan
+ * @returns {{pageTexts: Array<string>, removedLines: number, repairedHyphenations: number}} - Teks yang sudah dibersihkan beserta statistiknya
+ */
+export const cleanExtractedPages = (pageTexts) => {
+  const pages = pageTexts.map(text => (text || '').split('\n'));
+
+  // Hitung di berapa halaman setiap baris tepi muncul
+  const pageCountByLine = new Map();
+  pages.forEach((lines) => {
+    const seen = new Set(getEdgeLineIndexes(lines).map(index => normalizeEdgeLine(lines[index])));
+    seen.forEach(key => pageCountByLine.set(key, (pageCountByLine.get(key) || 0) + 1));
+  });
+
+  let removedLines = 0;
+  let repairedHyphenations = 0;
+
+  const cleanedTexts = pages.map((lines) => {
+    const edgeIndexes = new Set(getEdgeLineIndexes(lines));
+
+    const keptLines = lines.filter((line, index) => {
+      if (!edgeIndexes.has(index)) return true;
+
+      const isRepeated = (pageCountByLine.get(normalizeEdgeLine(line)) || 0) >= MIN_REPEATED_PAGES;
+      const isPageNumber = PAGE_NUMBER_REGEX.test(line.trim());
+
+      if (isRepeated || isPageNumber) {
+        removedLines++;
+        return false;
+      }
+      return true;
+    });
+
+    // Kata majemuk disatukan kembali dengan tanda hubungnya; hanya pemenggalan suku kata yang disambung
+    return keptLines.join('\n').replace(HYPHENATED_BREAK_REGEX, (match, before, after) => {
+      if (isHyphenatedWord(before, after)) return `${before}-${after}`;
+
+      repairedHyphenations++;
+      return `${before}${after}`;
+    });
+  });
+
+  return {
+    pageTexts: cleanedTexts,
+    removedLines,
+    repairedHyphenations
+  };
+};
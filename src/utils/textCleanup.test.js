@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { cleanExtractedPages } from './textCleanup';
+
+const page = (number, body) => `Fisika Dasar\n${body}\n- ${number} -`;
+
+describe('cleanExtractedPages', () => {
+  it('removes repeated headers and page numbers', () => {
+    const bodies = ['Gelombang merambat di udara.', 'Cahaya adalah gelombang elektromagnetik.', 'Bunyi memerlukan medium.'];
+    const { pageTexts, removedLines } = cleanExtractedPages(bodies.map((body, index) => page(index + 1, body)));
+
+    expect(pageTexts).toEqual(bodies);
+    expect(removedLines).toBe(6);
+  });
+
+  it('keeps lines that repeat on fewer pages', () => {
+    const { pageTexts } = cleanExtractedPages(['Judul\nIsi satu.', 'Judul\nIsi dua.']);
+
+    expect(pageTexts[0]).toContain('Judul');
+  });
+
+  it('joins words broken by a hyphen at the end of a line', () => {
+    const { pageTexts, repairedHyphenations } = cleanExtractedPages(['Gelombang elektro-\nmagnetik merambat.']);
+
+    expect(pageTexts[0]).toBe('Gelombang elektromagnetik merambat.');
+    expect(repairedHyphenations).toBe(1);
+  });
+
+  it('keeps the hyphen of compounds and reduplicated words', () => {
+    const { pageTexts, repairedHyphenations } = cleanExtractedPages([
+      'A well-\nknown method for e-\nlearning uses anti-\ninflamasi data, gelombang-\ngelombang, and state-of-\nthe-art models.'
+    ]);
+
+    expect(pageTexts[0]).toBe('A well-known method for e-learning uses anti-inflamasi data, gelombang-gelombang, and state-of-the-art models.');
+    expect(repairedHyphenations).toBe(0);
+  });
+
+  it('joins short syllables and keeps breaks followed by a capital letter', () => {
+    const { pageTexts } = cleanExtractedPages(['Hasil ke-\nmudian di-\nlakukan oleh peneliti Indonesia-\nJepang.']);
+
+    expect(pageTexts[0]).toBe('Hasil kemudian dilakukan oleh peneliti Indonesia-\nJepang.');
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Web Worker untuk ekstraksi teks dokumen agar UI tidak membeku saat memproses PDF besar.
+ * Pesan masuk:
+ * - { type: 'extract', id, file, options } untuk mengekstrak satu file
+ * - { type: 'cancel', id } untuk membatalkan ekstraksi
+ * Pesan keluar: 'progress' ({ page, pageCount }), 'result', atau 'error'
+ */
+import { getDocumentText } from '../services/pdfService';
+
+// AbortController untuk setiap permintaan yang belum selesai, berdasarkan id
+const controllers = new Map();
+
+// Dokumen diekstrak satu per satu agar penggunaan memori tetap rendah
+let queue = Promise.resolve();
+
+/**
+ * Ubah error menjadi objek biasa agar dapat dikirim lewat postMessage
+ * @param {Error} error - Error dari ekstraktor
+ * @returns {{name: string, message: string, code: string|undefined, fileName: string|undefined}} - Data error
+ */
+const serializeError = (error) => ({
+  name: error?.name || 'Error',
+  message: error?.message || 'Failed to extract document text',
+  code: error?.code,
+  fileName: error?.fileName
+});
+
+const extract = async ({ id, file, options }) => {
+  const controller = controllers.get(id);
+
+  try {
+    const result = await getDocumentText(file, {
+      ...options,
+      signal: controller.signal,
+      onProgress: (progress) => self.postMessage({ type: 'progress', id, progress })
+    });
+    self.postMessage({ type: 'result', id, result });
+  } catch (error) {
+    self.postMessage({ type: 'error', id, error: serializeError(error) });
+  } finally {
+    controllers.delete(id);
+  }
+};
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'extract') {
+    controllers.set(data.id, new AbortController());
+    queue = queue.then(() => extract(data));
+  } else if (data.type === 'cancel') {
+    controllers.get(data.id)?.abort();
+  }
+};
@@ -13,6 +13,7 @@ CREATE TABLE IF NOT EXISTS public.conversations (
     user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
     title text DEFAULT 'New Conversation',
     document_context jsonb DEFAULT '[]',  -- Added from alter_conversations_table.sql
+    document_versions jsonb DEFAULT '{}',  -- Versi dokumen yang dikunci: { versionGroupId: documentId }
     created_at timestamptz DEFAULT now(),
     updated_at timestamptz DEFAULT now()
 );
@@ -20,6 +21,9 @@ CREATE TABLE IF NOT EXISTS public.conversations (
 -- Update any existing rows that might have NULL values for document_context
 UPDATE public.conversations SET document_context = '[]' WHERE document_context IS NULL;
 
+-- Database lama: tambahkan kolom versi dokumen yang dikunci per percakapan
+ALTER TABLE public.conversations ADD COLUMN IF NOT EXISTS document_versions jsonb DEFAULT '{}';
+
 -- RLS (Row Level Security) untuk tabel conversations
 ALTER TABLE public.conversations ENABLE ROW LEVEL SECURITY;
 
@@ -150,6 +154,117 @@ CREATE POLICY "Chunk dokumen dibagi dapat dibaca oleh pengguna tertentu"
         AND (auth.uid())::text IN (SELECT jsonb_array_elements_text(d.shared_with))
     ));
 
+-- Tabel untuk gambar dokumen: caption dan thumbnail area gambar (data URL JPEG) per nomor gambar
+CREATE TABLE IF NOT EXISTS public.document_figures (
+    id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+    document_id uuid NOT NULL REFERENCES public.documents(id) ON DELETE CASCADE,
+    user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    number text NOT NULL,
+    label text NOT NULL,
+    caption text NOT NULL,
+    page integer,
+    thumbnail text,
+    created_at timestamptz DEFAULT now()
+);
+
+-- RLS untuk tabel document_figures, mengikuti hak akses dokumennya
+ALTER TABLE public.document_figures ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Pemilik dapat CRUD gambar dokumen mereka sendiri" ON public.document_figures;
+CREATE POLICY "Pemilik dapat CRUD gambar dokumen mereka sendiri"
+    ON public.document_figures
+    FOR ALL
+    USING (auth.uid() = user_id)
+    WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Gambar dokumen publik dan dibagi dapat dibaca" ON public.document_figures;
+CREATE POLICY "Gambar dokumen publik dan dibagi dapat dibaca"
+    ON public.document_figures
+    FOR SELECT
+    USING (EXISTS (
+        SELECT 1 FROM public.documents d
+        WHERE d.id = document_id
+        AND (
+            d.is_public = true
+            OR (d.is_shared = true AND (auth.uid())::text IN (SELECT jsonb_array_elements_text(d.shared_with)))
+        )
+    ));
+
+-- Tabel untuk daftar pustaka dokumen: satu baris per entri, diurai dari bagian References/Daftar Pustaka
+CREATE TABLE IF NOT EXISTS public.document_references (
+    id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+    document_id uuid NOT NULL REFERENCES public.documents(id) ON DELETE CASCADE,
+    user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    position integer NOT NULL, -- Urutan entri di daftar pustaka (1-based)
+    type text NOT NULL DEFAULT 'misc', -- article | inproceedings | misc
+    authors text[] NOT NULL DEFAULT '{}',
+    title text,
+    venue text,
+    year integer,
+    doi text,
+    url text,
+    raw text NOT NULL, -- Teks asli entri
+    created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_references_document ON public.document_references(document_id, position);
+
+-- RLS untuk tabel document_references, mengikuti hak akses dokumennya
+ALTER TABLE public.document_references ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Pemilik dapat CRUD daftar pustaka dokumen mereka sendiri" ON public.document_references;
+CREATE POLICY "Pemilik dapat CRUD daftar pustaka dokumen mereka sendiri"
+    ON public.document_references
+    FOR ALL
+    USING (auth.uid() = user_id)
+    WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Daftar pustaka dokumen publik dan dibagi dapat dibaca" ON public.document_references;
+CREATE POLICY "Daftar pustaka dokumen publik dan dibagi dapat dibaca"
+    ON public.document_references
+    FOR SELECT
+    USING (EXISTS (
+        SELECT 1 FROM public.documents d
+        WHERE d.id = document_id
+        AND (
+            d.is_public = true
+            OR (d.is_shared = true AND (auth.uid())::text IN (SELECT jsonb_array_elements_text(d.shared_with)))
+        )
+    ));
+
+-- Tabel untuk job ingest dokumen: tahap terakhir yang selesai per file, agar unggahan yang terputus
+-- (tab dimuat ulang atau ditutup) dapat dilanjutkan dan dokumen yang baru terindeks sebagian dapat ditandai
+CREATE TABLE IF NOT EXISTS public.ingestion_jobs (
+    id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    document_id uuid REFERENCES public.documents(id) ON DELETE CASCADE, -- Terisi setelah teks diekstrak dan dokumen disimpan
+    filename text NOT NULL,
+    content_hash text,
+    status text NOT NULL DEFAULT 'running', -- running | completed | failed | cancelled
+    stage text NOT NULL DEFAULT 'queued', -- queued | extracted | chunked | embedding | stored
+    total_chunks integer,
+    total_batches integer,
+    embedded_batches integer NOT NULL DEFAULT 0,
+    stored_batches integer NOT NULL DEFAULT 0,
+    source_text text, -- Teks hasil ekstraksi apa adanya untuk melanjutkan unggahan; dihapus setelah job selesai
+    error text,
+    created_at timestamptz DEFAULT now(),
+    updated_at timestamptz DEFAULT now()
+);
+
+-- Untuk database yang tabel ingestion_jobs-nya dibuat sebelum kolom source_text ada
+ALTER TABLE public.ingestion_jobs ADD COLUMN IF NOT EXISTS source_text text;
+
+-- RLS untuk tabel ingestion_jobs
+ALTER TABLE public.ingestion_jobs ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Pengguna dapat CRUD ingestion_jobs mereka sendiri" ON public.ingestion_jobs;
+CREATE POLICY "Pengguna dapat CRUD ingestion_jobs mereka sendiri"
+    ON public.ingestion_jobs
+    FOR ALL
+    USING (auth.uid() = user_id)
+    WITH CHECK (auth.uid() = user_id);
+
 -- NEW: Tabel untuk menyimpan RAG sessions
 CREATE TABLE IF NOT EXISTS public.rag_sessions (
     id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
@@ -181,9 +296,13 @@ CREATE INDEX IF NOT EXISTS idx_conversations_document_context ON public.conversa
 CREATE INDEX IF NOT EXISTS idx_messages_conversation_id ON public.messages(conversation_id); 
 CREATE INDEX IF NOT EXISTS idx_messages_user_id ON public.messages(user_id);
 CREATE INDEX IF NOT EXISTS idx_documents_user_id ON public.documents(user_id);
+CREATE INDEX IF NOT EXISTS idx_documents_content_hash ON public.documents ((metadata->>'contentHash')); -- Deteksi dokumen duplikat saat unggah
+CREATE INDEX IF NOT EXISTS idx_documents_version_group ON public.documents ((metadata->>'versionGroupId')); -- Daftar versi dokumen
 CREATE INDEX IF NOT EXISTS idx_document_chunks_document_id ON public.document_chunks(document_id);
 CREATE INDEX IF NOT EXISTS idx_document_chunks_user_id ON public.document_chunks(user_id);
+CREATE INDEX IF NOT EXISTS idx_document_figures_document_number ON public.document_figures(document_id, number);
 CREATE INDEX IF NOT EXISTS idx_rag_sessions_user_id ON public.rag_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_ingestion_jobs_user_status ON public.ingestion_jobs(user_id, status);
 
 -- Pastikan view dibuat setelah tabel dan indeks
 -- (Jalankan bagian CREATE VIEW ini secara terpisah jika editor SQL Anda memerlukannya)
@@ -1,11 +1,41 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import { VitePWA } from 'vite-plugin-pwa'
+import { readFileSync } from 'node:fs'
+import { createRequire } from 'node:module'
+
+const require = createRequire(import.meta.url)
+
+// Data bahasa OCR dari paket @tesseract.js-data (varian LSTM, sesuai engine yang dipakai ocrService)
+const TESSDATA_FILES = ['ind', 'eng'].map(lang => ({
+  fileName: `tessdata/${lang}.traineddata.gz`,
+  path: require.resolve(`@tesseract.js-data/${lang}/4.0.0_best_int/${lang}.traineddata.gz`)
+}))
+
+// Sajikan data bahasa OCR di /tessdata, baik saat dev maupun di hasil build,
+// agar Tesseract tidak mengunduhnya dari CDN dan OCR tetap berjalan offline
+const tessdata = () => ({
+  name: 'tessdata',
+  configureServer(server) {
+    server.middlewares.use((req, res, next) => {
+      const file = TESSDATA_FILES.find(({ fileName }) => req.url === `${server.config.base}${fileName}`)
+      if (!file) return next()
+      res.setHeader('Content-Type', 'application/gzip')
+      res.end(readFileSync(file.path))
+    })
+  },
+  generateBundle() {
+    TESSDATA_FILES.forEach(({ fileName, path }) => {
+      this.emitFile({ type: 'asset', fileName, source: readFileSync(path) })
+    })
+  }
+})
 
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [
     react(),
+    tessdata(),
     VitePWA({
       registerType: 'autoUpdate',
       includeAssets: ['mask-icon.svg'],
@@ -30,7 +60,7 @@ export default defineConfig({
         ]
       },
       workbox: {
-        globPatterns: ['**/*.{js,css,html,ico,png,svg}'],
+        globPatterns: ['**/*.{js,css,html,ico,png,svg}', 'tessdata/*.traineddata.gz'],
         maximumFileSizeToCacheInBytes: 5 * 1024 * 1024,
         runtimeCaching: [
           {
@@ -51,4 +81,9 @@ export default defineConfig({
       }
     })
   ],
+  test: {
+    // Tes perilaku untuk parser dan ekstraktor; tes ekstraktor mengambil DOMParser dari jsdom
+    include: ['src/**/*.test.js'],
+    environment: 'node'
+  }
 })